@@ -4,12 +4,14 @@
  * Endpoint: /api/case-study
  */
 
-import OpenAI from 'openai';
 import { logger } from '../src/utils/logger.js';
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+import { buildCoachingTimingContext } from '../src/services/openaiService.js';
+import { loadRegistry, describeMetricDirection } from '../src/services/registry.js';
+import { clientLabelList, genericizeClientNames } from '../src/utils/clientLabels.js';
+import { llmConfigurationError } from '../src/llmProviders/index.js';
+import { generateVerifiedText } from '../src/services/factChecker.js';
+import { resolveNarrativePreset, describeNarrativePreset } from '../src/services/narrativePresets.js';
+import { renderPrompt } from '../src/prompts/index.js';
 
 export default async function handler(req, res) {
   // Set CORS headers
@@ -28,11 +30,12 @@ export default async function handler(req, res) {
   }
   
   try {
-    // Check for OpenAI API key
-    if (!process.env.OPENAI_API_KEY) {
+    // Check the case study provider is configured (OPENAI_API_KEY by default)
+    const configurationError = llmConfigurationError('case_study');
+    if (configurationError) {
       return res.status(500).json({ 
         error: 'Server configuration error',
-        message: 'OPENAI_API_KEY not configured'
+        message: configurationError
       });
     }
     
@@ -50,7 +53,16 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: 'snapshotData is required' });
     }
     
-    logger.info('Generating case study with OpenAI');
+    // Audience and tone: narrative_preset, else the preset the snapshot's summary was written with
+    let preset;
+    try {
+      preset = resolveNarrativePreset(body.narrative_preset ?? snapshotData.narrative_preset?.id);
+    } catch (presetError) {
+      return res.status(400).json({ error: presetError.message });
+    }
+    const { caseStudy: tone } = preset;
+    
+    logger.info(`Generating case study (${preset.id} v${preset.version})`);
     
     const metadata = snapshotData.snapshot_metadata || {};
     const comparison = metadata.comparison || {};
@@ -59,151 +71,84 @@ export default async function handler(req, res) {
     const previousBehaviors = coaching.previous?.top_behaviors || [];
 
     // Genericize client names everywhere (BPO 1/2/3)
-    const clientNameMap = {
-      'ALORICA': 'BPO 1',
-      'TP': 'BPO 2',
-      'TTEC': 'BPO 3'
-    };
-    const toGeneric = (name) => {
-      if (!name) return name;
-      const key = String(name).trim().toUpperCase();
-      return clientNameMap[key] || name;
-    };
-    const genericizeClientsField = (clientsValue) => {
-      if (!clientsValue) return clientsValue;
-      // Supports comma-separated list or single value
-      return String(clientsValue)
-        .split(',')
-        .map(c => toGeneric(c.trim()))
-        .join(', ');
-    };
-    const genericizeText = (text) => {
-      if (!text) return text;
-      // Replace whole-word, case-insensitive
-      return String(text)
-        .replace(/\bAlorica\b/gi, 'BPO 1')
-        .replace(/\bTP\b/g, 'BPO 2')
-        .replace(/\bTTEC\b/gi, 'BPO 3');
-    };
-
-    const genericClients = genericizeClientsField(metadata.clients);
+    const genericClients = clientLabelList(metadata.clients);
 
     // Frame from BPO perspective serving UHC
     const isMultiBpo = (genericClients || '').includes(',');
     const bpoNoun = isMultiBpo ? 'BPO partners' : 'BPO partner';
     const bpoPronoun = isMultiBpo ? 'these partners' : 'this partner';
 
-    const prompt = `You are writing customer success case studies for contact center performance improvements.
-Write a direct, analytical case study (2-3 paragraphs) from the perspective of a ${bpoNoun} delivering services on behalf of UHC (the payer client).
-Do NOT frame the results as UHC's internal operations; explicitly attribute the work and improvements to the ${bpoNoun} serving UHC members/customers.
-Always use generic BPO names (BPO 1/2/3) and avoid real vendor names.
-
-CONTEXT:
-- End Client (Payer): ${metadata.organization}
-- ${bpoNoun}: ${genericClients}
-- Engagement: ${bpoPronoun} handle member/customer calls on behalf of UHC and are accountable for performance outcomes (e.g., ${metadata.metric}).
-
-PERFORMANCE RESULTS:
-- Current Period (${comparison.current_period}): ${comparison.current_value}
-- Previous Period (${comparison.previous_period}): ${comparison.previous_value}
-- Change: ${comparison.change} (${comparison.percent_change})
-- Programs Analyzed: ${metadata.programs_count}
-- Total Data Points: ${metadata.data_quality?.total_metric_data_points || 'N/A'}
-
-COACHING ACTIVITY (delivered by the ${bpoNoun}):
-Current Period (${coaching.current?.period_label || comparison.current_period}):
-- Total Sessions: ${coaching.current?.total_coaching_sessions || 0}
-- Effectiveness: ${coaching.current?.coaching_effectiveness || 'N/A'}
-- Records: ${metadata.data_quality?.coaching_records_current || 0}
-
-Previous Period (${coaching.previous?.period_label || comparison.previous_period}):
-- Total Sessions: ${coaching.previous?.total_coaching_sessions || 0}
-- Effectiveness: ${coaching.previous?.coaching_effectiveness || 'N/A'}
-- Records: ${metadata.data_quality?.coaching_records_previous || 0}
-
-Change: ${coaching.change?.coaching_volume_change || 0} sessions (${coaching.change?.coaching_volume_change_pct || 'N/A'})
-Effectiveness Change: ${coaching.change?.effectiveness_change || 'N/A'}
-
-TOP COACHING BEHAVIORS (Current Period - delivered by the ${bpoNoun} that drove results for UHC):
-${currentBehaviors.map((b, i) => `${i + 1}. ${b.behavior}: ${b.sessions} sessions (${b.percent_of_total} of total)`).join('\n')}
-
-TOP COACHING BEHAVIORS (Previous Period):
-${previousBehaviors.map((b, i) => `${i + 1}. ${b.behavior}: ${b.sessions} sessions (${b.percent_of_total} of total)`).join('\n')}
-
-CRITICAL TIMING CONTEXT:
-- Coaching is from the PREVIOUS period and drives the following period's performance (e.g., June coaching → July performance).
-- The "current period" coaching behaviors listed above are what drove the "current period" performance results.
-
-## WRITING GUIDELINES:
-
-### Structure: Problem → Solution → Results
-1. Start with the member/customer pain point from UHC's perspective (what was broken before the coaching period)
-2. Explain what the ${bpoNoun} targeted and why those behaviors solve that problem for UHC members/customers
-3. Show the measurable results with context
-
-### Tone:
-- Direct and analytical, not promotional
-- Use specific numbers, avoid vague praise ("impressive," "commendable," "strategic focus")
-- Be honest about trade-offs (if effectiveness dropped, say so)
-- Ground every claim in data or clear reasoning
-
-### What to Include:
-- Impact for UHC members/customers before and after (not just internal metrics)
-- Why the specific coaching behaviors drove the specific results for UHC
-- Context for numbers (is ${comparison.current_value} ${metadata.metric} good? Compared to what?)
-- How many programs/agents were involved (${metadata.programs_count} programs)
-- What changed from the customer's perspective
-
-### What to Avoid:
-- Marketing fluff ("impressive demonstration of strategic focus," "commendable results," "comprehensive coaching efforts")
-- Percentages without context (don't say "56.30% effectiveness" without explaining what that means)
-- Spinning negative findings as positives
-- Generic statements that could apply to any company
-- Long sentences with multiple clauses
-
-### Format:
-- 2-3 paragraphs max
-- Lead with the most important finding
-- Use specific numbers, not ranges
-- Short sentences
-- Active voice
-
-### Example of Good vs Bad:
-❌ BAD: "In an impressive demonstration of strategic focus, the team achieved commendable results through comprehensive coaching efforts."
-✅ GOOD: "For ${metadata.organization}, ${genericClients} improved ${metadata.metric} from ${comparison.previous_value} to ${comparison.current_value} in one month. The driver: ${currentBehaviors[0]?.sessions || 0} coaching sessions teaching agents to ${currentBehaviors[0]?.behavior || 'address key behaviors'}, reducing member frustration caused by [specific issue]."
-
-OUTPUT FORMAT:
-Output ONLY the case study text. No JSON, no markdown formatting, no headers, just the case study content as plain text. Write 2-3 paragraphs following the Problem → Solution → Results structure.`;
-
-    const response = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL_CASE_STUDY || 'gpt-4o', // Use stronger model for case studies
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a data-driven analyst writing customer success case studies for contact center performance improvements. You write direct, analytical content that connects specific coaching behaviors to measurable customer experience outcomes. You avoid marketing fluff and focus on clear problem-solution-results narratives grounded in data.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      temperature: 0.5, // Lower temperature for more analytical, direct writing
-      max_tokens: 1000, // Increased token limit for longer case study
+    // Metric direction comes from the registry
+    await loadRegistry();
+
+    const listBehaviors = (behaviors) => behaviors
+      .map((b, i) => `${i + 1}. ${b.behavior}: ${b.sessions} sessions (${b.percent_of_total} of total)`)
+      .join('\n');
+    // Templates reject missing values, so fields absent from the posted snapshot read as N/A
+    const orNA = (value) => value ?? 'N/A';
+
+    const { template: promptTemplate, system, prompt } = renderPrompt('case_study', {
+      role: tone.system,
+      style: tone.style,
+      bpo_noun: bpoNoun,
+      bpo_pronoun: bpoPronoun,
+      organization: orNA(metadata.organization),
+      clients: orNA(genericClients),
+      metric: orNA(metadata.metric),
+      current_period: orNA(comparison.current_period),
+      current_value: orNA(comparison.current_value),
+      previous_period: orNA(comparison.previous_period),
+      previous_value: orNA(comparison.previous_value),
+      change: orNA(comparison.change),
+      percent_change: orNA(comparison.percent_change),
+      metric_direction: describeMetricDirection(metadata.metric),
+      programs_count: orNA(metadata.programs_count),
+      data_points: metadata.data_quality?.total_metric_data_points || 'N/A',
+      current_coaching_period: orNA(coaching.current?.period_label || comparison.current_period),
+      current_sessions: coaching.current?.total_coaching_sessions || 0,
+      current_effectiveness: coaching.current?.coaching_effectiveness || 'N/A',
+      current_records: metadata.data_quality?.coaching_records_current || 0,
+      previous_coaching_period: orNA(coaching.previous?.period_label || comparison.previous_period),
+      previous_sessions: coaching.previous?.total_coaching_sessions || 0,
+      previous_effectiveness: coaching.previous?.coaching_effectiveness || 'N/A',
+      previous_records: metadata.data_quality?.coaching_records_previous || 0,
+      volume_change: coaching.change?.coaching_volume_change || 0,
+      volume_change_pct: coaching.change?.coaching_volume_change_pct || 'N/A',
+      effectiveness_change: coaching.change?.effectiveness_change || 'N/A',
+      current_behaviors: listBehaviors(currentBehaviors),
+      previous_behaviors: listBehaviors(previousBehaviors),
+      lag_description: metadata.coaching_lag?.description || 'coaching from 1 month before each performance month',
+      timing_context: buildCoachingTimingContext(snapshotData),
+      tone_guidelines: tone.tone.map(line => `- ${line}`).join('\n'),
+      avoid: tone.avoid.map(line => `- ${line}`).join('\n'),
+      top_behavior_sessions: currentBehaviors[0]?.sessions || 0,
+      top_behavior: currentBehaviors[0]?.behavior || 'address key behaviors'
     });
-    
-    const caseStudy = response.choices[0]?.message?.content?.trim();
+
+    // The case_study use case defaults to a stronger model (OPENAI_MODEL_CASE_STUDY, gpt-4o)
+    // Every number and period in the case study is checked against the snapshot
+    const { text: caseStudy, provider, verification } = await generateVerifiedText('case_study', {
+      system,
+      prompt,
+      temperature: tone.temperature,
+      maxTokens: 1000, // Increased token limit for longer case study
+      data: snapshotData,
+    }, snapshotData);
     
     if (!caseStudy) {
-      throw new Error('OpenAI returned empty response');
+      throw new Error(`${provider} returned empty response`);
     }
     
     // Final safety pass to enforce generic client naming in the output
-    const genericCaseStudy = genericizeText(caseStudy);
+    const genericCaseStudy = genericizeClientNames(caseStudy);
     
     logger.info('Case study generated successfully');
     
     return res.status(200).json({
       case_study: genericCaseStudy,
+      verification,
+      narrative_preset: describeNarrativePreset(preset),
+      prompt_template: promptTemplate,
       generated_at: new Date().toISOString()
     });
     
@@ -4,12 +4,13 @@
  * 
  * Usage:
  * POST /api/generate-stories
- * Body: { "year": 2025, "limit": 5 }
+ * Body: { "year": 2025, "limit": 5, "aggregation": "mean" }
  */
 
 import { generateHighPerformerStories } from '../src/services/storyGenerator.js';
-import { testConnection } from '../src/config/database.js';
+import { getDataSource } from '../src/dataSources/index.js';
 import { logger } from '../src/utils/logger.js';
+import { parseAggregationMode } from '../src/utils/aggregation.js';
 
 export default async function handler(req, res) {
   // Set CORS headers
@@ -28,8 +29,8 @@ export default async function handler(req, res) {
   }
   
   try {
-    // Test database connection
-    const connected = await testConnection();
+    // Test the data source (Supabase, or the local exports with DATA_SOURCE=file)
+    const connected = await getDataSource().testConnection();
     if (!connected) {
       return res.status(500).json({ error: 'Database connection failed' });
     }
@@ -44,13 +45,22 @@ export default async function handler(req, res) {
     
     const { year = 2025, limit = 5 } = body || {};
     
+    let aggregation;
+    try {
+      aggregation = parseAggregationMode(body?.aggregation);
+    } catch (aggregationError) {
+      return res.status(400).json({ error: aggregationError.message });
+    }
+    
     logger.info(`API request: Generating ${limit} stories for year ${year}`);
     
     // Generate stories
     const stories = await generateHighPerformerStories({
       year: parseInt(year),
       limit: parseInt(limit),
-      saveToDatabase: true,
+      // Offline runs (DATA_SOURCE=file) have no story_log to save to
+      saveToDatabase: getDataSource().name === 'supabase',
+      aggregation,
     });
     
     return res.status(200).json({
@@ -63,6 +73,8 @@ export default async function handler(req, res) {
         metric: s.metrics_tracked?.[0],
         performance: s.performance_summary,
         content_preview: s.generated_content?.substring(0, 200) + '...',
+        verification: s.verification,
+        prompt_template: { id: s.prompt_template, version: s.prompt_template_version },
         generated_at: s.generation_date,
       })),
     });
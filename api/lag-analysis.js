@@ -0,0 +1,92 @@
+/**
+ * Coaching lag analysis API endpoint
+ * Correlates monthly coaching volume with a metric at lags 0-3 months
+ * Endpoint: /api/lag-analysis
+ *
+ * Usage:
+ * POST /api/lag-analysis
+ * Body: { "clients": ["TTEC"], "organization": "UHC", "metric_name": "NPS", "end_year": 2025, "end_month": "Jul", "months": 12 }
+ * Optional: "min_samples" (positive integer, default 6) - paired program-months a lag needs to count
+ */
+
+import { detectCoachingLag } from '../src/services/lagAnalysis.js';
+import { toPeriod } from '../src/utils/periods.js';
+import { logger } from '../src/utils/logger.js';
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  
+  // Handle preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed. Use POST.' });
+  }
+  
+  try {
+    // Parse request body
+    let body;
+    try {
+      body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid JSON in request body' });
+    }
+    
+    const { clients, organization, metric_name, end_year, end_month, months = 12, min_samples } = body || {};
+    
+    if (!clients || !Array.isArray(clients) || clients.length === 0) {
+      return res.status(400).json({ error: 'clients array is required and must not be empty' });
+    }
+    
+    if (!organization || !metric_name || !end_year || !end_month) {
+      return res.status(400).json({ error: 'Missing required fields: organization, metric_name, end_year, end_month' });
+    }
+    
+    const historyMonths = parseInt(months);
+    if (isNaN(historyMonths) || historyMonths < 3 || historyMonths > 36) {
+      return res.status(400).json({ error: 'months must be between 3 and 36' });
+    }
+    
+    const minSamples = min_samples === undefined || min_samples === null ? undefined : Number(min_samples);
+    if (minSamples !== undefined && (!Number.isInteger(minSamples) || minSamples < 1)) {
+      return res.status(400).json({ error: 'min_samples must be a positive integer' });
+    }
+    
+    let endPeriod;
+    try {
+      endPeriod = toPeriod(end_year, end_month);
+    } catch (periodError) {
+      return res.status(400).json({ error: periodError.message });
+    }
+    
+    const report = await detectCoachingLag({
+      clients,
+      organization,
+      metric_name,
+      end_period: endPeriod,
+      months: historyMonths,
+      min_samples: minSamples,
+    });
+    
+    return res.status(200).json({
+      organization,
+      metric: metric_name,
+      clients,
+      ...report,
+    });
+    
+  } catch (error) {
+    logger.error('Lag analysis API error', error);
+    return res.status(500).json({
+      error: 'Lag analysis failed',
+      message: error.message,
+      ...(process.env.NODE_ENV === 'development' && { stack: error.stack }),
+    });
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * Snapshot options API endpoint
+ * Lists the clients, organizations, metrics, years and months that have monthly_metrics
+ * or behavioral_coaching rows, with coverage counts, for the dashboard dropdowns
+ * Endpoint: /api/options
+ *
+ * Usage:
+ * GET /api/options
+ */
+
+import { getSnapshotOptions } from '../src/queries/snapshotOptions.js';
+import { logger } from '../src/utils/logger.js';
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed. Use GET.' });
+  }
+
+  try {
+    const options = await getSnapshotOptions();
+
+    // Data only changes on imports, so let the CDN hold it briefly
+    res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=600');
+    return res.status(200).json(options);
+
+  } catch (error) {
+    logger.error('Options API error', error);
+    return res.status(500).json({
+      error: 'Failed to load snapshot options',
+      message: error.message,
+      ...(process.env.NODE_ENV === 'development' && { stack: error.stack }),
+    });
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * Registry API endpoint
+ * Lists and edits the organizations and metrics (aliases, units, direction, display names)
+ * that every module resolves names through
+ * Endpoint: /api/registry
+ *
+ * Usage:
+ * GET /api/registry
+ * PUT /api/registry
+ * Body: { "kind": "metric", "entry": { "id": "AHT", "display_name": "Average Handle Time", "unit": "seconds", "direction": "lower", "aliases": ["AVERAGE HANDLE TIME"] } }
+ * Organizations may also carry "supplements": [{ "clients": ["TP"], "supplemental_clients": ["Alorica"], "mode": "supplement", "reason": "..." }]
+ * DELETE /api/registry?kind=metric&id=AHT
+ *
+ * PUT and DELETE change every snapshot calculation, so they need the REGISTRY_ADMIN_KEY as
+ * "Authorization: Bearer <key>" and are not offered to other origins (CORS is for GET only).
+ * Without REGISTRY_ADMIN_KEY the endpoint is read-only.
+ */
+
+import { timingSafeEqual } from 'node:crypto';
+import { loadRegistry, saveRegistryEntry, deleteRegistryEntry, validateRegistryEntry, REGISTRY_KINDS } from '../src/services/registry.js';
+import { logger } from '../src/utils/logger.js';
+
+/**
+ * Whether the request carries the registry admin key (always false when none is configured)
+ */
+function isAdmin(req) {
+  const adminKey = process.env.REGISTRY_ADMIN_KEY;
+  const header = req.headers?.authorization || req.headers?.Authorization || '';
+  const match = /^Bearer\s+(.+)$/i.exec(String(header).trim());
+  if (!adminKey || !match) {
+    return false;
+  }
+  const expected = Buffer.from(adminKey);
+  const given = Buffer.from(match[1]);
+  return expected.length === given.length && timingSafeEqual(expected, given);
+}
+
+export default async function handler(req, res) {
+  // Reads are open to any origin; writes are same-origin only
+  if (req.method === 'GET' || req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  }
+  
+  // Handle preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  
+  if (!['GET', 'PUT', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed. Use GET, PUT or DELETE.' });
+  }
+  
+  try {
+    if (req.method === 'GET') {
+      const registry = await loadRegistry({ force: req.query?.refresh === 'true' });
+      return res.status(200).json(registry);
+    }
+    
+    if (!process.env.REGISTRY_ADMIN_KEY) {
+      return res.status(403).json({ error: 'Registry edits are disabled. Set REGISTRY_ADMIN_KEY to enable PUT and DELETE.' });
+    }
+    if (!isAdmin(req)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'PUT and DELETE require "Authorization: Bearer <REGISTRY_ADMIN_KEY>"' });
+    }
+    
+    if (req.method === 'DELETE') {
+      const { kind, id } = req.query || {};
+      if (!REGISTRY_KINDS.includes(kind) || !id) {
+        return res.status(400).json({ error: `kind (${REGISTRY_KINDS.join(' or ')}) and id query parameters are required` });
+      }
+      await deleteRegistryEntry(kind, id);
+      return res.status(200).json({ success: true, ...(await loadRegistry()) });
+    }
+    
+    // PUT: create or update an entry
+    let body;
+    try {
+      body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid JSON in request body' });
+    }
+    
+    const { kind, entry } = body || {};
+    try {
+      validateRegistryEntry(kind, entry);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+    
+    const saved = await saveRegistryEntry(kind, entry);
+    return res.status(200).json({ success: true, entry: saved });
+    
+  } catch (error) {
+    logger.error('Registry API error', error);
+    return res.status(500).json({
+      error: 'Registry request failed',
+      message: error.message,
+      ...(process.env.NODE_ENV === 'development' && { stack: error.stack }),
+    });
+  }
+}
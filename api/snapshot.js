@@ -4,10 +4,32 @@
  * Endpoint: /api/snapshot
  */
 
-import { processSnapshotData } from '../src/services/snapshotProcessor.js';
-import { generateAISummary } from '../src/services/openaiService.js';
+import { processSnapshotData, processMultiMetricSnapshot, processClientComparisonSnapshot } from '../src/services/snapshotProcessor.js';
+import { generateAISummary, generateMultiMetricSummary } from '../src/services/openaiService.js';
+import { llmConfigurationError } from '../src/llmProviders/index.js';
 import { saveSnapshot } from '../src/services/snapshotStorage.js';
 import { logger } from '../src/utils/logger.js';
+import { dataSourceName } from '../src/dataSources/index.js';
+import { resolveComparisonPeriods, parseLagMonths, COMPARISON_TYPES } from '../src/utils/periods.js';
+import { parseAggregationMode, parseWeightColumn } from '../src/utils/aggregation.js';
+import { resolveNarrativePreset, describeNarrativePreset } from '../src/services/narrativePresets.js';
+
+// Upper bound on metric_names, to keep one request inside the function time limit
+const MAX_METRIC_NAMES = 8;
+
+// combined merges the selected clients into one average; by_client keeps each BPO separate
+const COMPARISON_MODES = ['combined', 'by_client'];
+
+/**
+ * Whether the summary provider is set up (an invalid LLM_PROVIDER or LLM_FIXTURES counts as not configured)
+ */
+function summaryProviderConfigured() {
+  try {
+    return !llmConfigurationError('summary');
+  } catch (error) {
+    return false;
+  }
+}
 
 export default async function handler(req, res) {
   // Set CORS headers
@@ -25,9 +47,11 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed. Use POST.' });
   }
   
+  const requestStartedAt = Date.now();
+  
   try {
-    // Check for required environment variables
-    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY) {
+    // Check for required environment variables (the file data source runs without a database)
+    if (dataSourceName() === 'supabase' && (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY)) {
       console.error('Missing Supabase credentials');
       return res.status(500).json({ 
         error: 'Server configuration error',
@@ -44,42 +68,131 @@ export default async function handler(req, res) {
     }
     
     // Validate required fields
-    const { clients, organization, metric_name, year, comparison_type } = body;
+    const { clients, organization, metric_name, metric_names, year, comparison_type } = body;
     
     if (!clients || !Array.isArray(clients) || clients.length === 0) {
       return res.status(400).json({ error: 'clients array is required and must not be empty' });
     }
     
-    if (!organization || !metric_name || !year || !comparison_type) {
-      return res.status(400).json({ error: 'Missing required fields: organization, metric_name, year, comparison_type' });
+    if (!organization || !(metric_name || metric_names) || !comparison_type) {
+      return res.status(400).json({ error: 'Missing required fields: organization, metric_name (or metric_names), comparison_type' });
     }
     
-    // Build params object (replicates "Define Parameters" node)
-    const quarterMonths = {
-      'Q1': ['Jan', 'Feb', 'Mar'],
-      'Q2': ['Apr', 'May', 'Jun'],
-      'Q3': ['Jul', 'Aug', 'Sep'],
-      'Q4': ['Oct', 'Nov', 'Dec']
-    };
+    if (metric_names !== undefined && (!Array.isArray(metric_names) || metric_names.length === 0 || metric_names.length > MAX_METRIC_NAMES ||
+        !metric_names.every(name => typeof name === 'string' && name.trim() !== ''))) {
+      return res.status(400).json({ error: `metric_names must be an array of 1-${MAX_METRIC_NAMES} metric names` });
+    }
+    
+    if (!COMPARISON_TYPES.includes(comparison_type)) {
+      return res.status(400).json({ error: `comparison_type must be one of: ${COMPARISON_TYPES.join(', ')}` });
+    }
+    
+    const comparisonMode = body.comparison_mode ?? 'combined';
+    if (!COMPARISON_MODES.includes(comparisonMode)) {
+      return res.status(400).json({ error: `comparison_mode must be one of: ${COMPARISON_MODES.join(', ')}` });
+    }
+    
+    if (comparisonMode === 'by_client') {
+      if (new Set(clients).size < 2) {
+        return res.status(400).json({ error: 'comparison_mode "by_client" needs at least two clients' });
+      }
+      if (metric_names && metric_names.length > 1) {
+        return res.status(400).json({ error: 'comparison_mode "by_client" takes a single metric' });
+      }
+      if (body.include_supplemental === true || body.include_supplemental === 'true') {
+        return res.status(400).json({ error: 'include_supplemental is not available with comparison_mode "by_client"' });
+      }
+    }
     
+    // Build params object (replicates "Define Parameters" node)
     const params = {
       clients: clients,
       organization: organization,
-      metric_name: metric_name,
-      year: parseInt(year),
+      metric_name: metric_name || metric_names[0],
+      year: year !== undefined ? parseInt(year) : undefined,
       comparison_type: comparison_type,
+      current_year: body.current_year !== undefined ? parseInt(body.current_year) : undefined,
+      previous_year: body.previous_year !== undefined ? parseInt(body.previous_year) : undefined,
     };
     
     if (comparison_type === 'quarter') {
       params.current_quarter = body.current_quarter;
       params.previous_quarter = body.previous_quarter;
-      params.current_months = quarterMonths[body.current_quarter];
-      params.previous_months = quarterMonths[body.previous_quarter];
+    } else if (comparison_type === 'yoy' && body.current_quarter) {
+      params.current_quarter = body.current_quarter;
     } else {
       params.current_month = body.current_month;
       params.previous_month = body.previous_month;
-      params.current_months = [body.current_month];
-      params.previous_months = [body.previous_month];
+    }
+    
+    if (comparison_type === 'rolling') {
+      params.window_months = body.window_months ?? 3;
+    }
+    
+    // Coaching-to-performance lag: 0-3 months, "auto", or omitted for the comparison type's default
+    try {
+      const lagMonths = parseLagMonths(body.lag_months);
+      if (lagMonths !== null) {
+        params.lag_months = lagMonths;
+      }
+    } catch (lagError) {
+      return res.status(400).json({ error: lagError.message });
+    }
+    
+    // Aggregation across program-month rows: mean (default), weighted, median or goal_ratio
+    try {
+      params.aggregation = parseAggregationMode(body.aggregation);
+      const weightColumn = parseWeightColumn(body.weight_column);
+      if (weightColumn) {
+        params.weight_column = weightColumn;
+      }
+    } catch (aggregationError) {
+      return res.status(400).json({ error: aggregationError.message });
+    }
+    
+    // Audience and tone of the AI summary: client_marketing (default), internal_ops, executive_brief or qa_compliance
+    let preset;
+    try {
+      preset = resolveNarrativePreset(body.narrative_preset);
+      params.narrative_preset = preset.id;
+    } catch (presetError) {
+      return res.status(400).json({ error: presetError.message });
+    }
+    
+    // Demo mode is opt-in: sample data is only returned (and labeled as such) when real data is missing
+    params.demo_mode = body.demo_mode === true || body.demo_mode === 'true';
+    
+    // Other clients' rows (the organization's supplement rules) are only used when asked for
+    params.include_supplemental = body.include_supplemental === true || body.include_supplemental === 'true';
+    
+    // Identical requests over unchanged data reuse the saved snapshot unless force_refresh is set
+    params.force_refresh = body.force_refresh === true || body.force_refresh === 'true';
+    
+    // Resolve year-aware { year, month } periods (explicit current_periods/previous_periods win)
+    try {
+      const periods = resolveComparisonPeriods({ ...params, current_periods: body.current_periods, previous_periods: body.previous_periods });
+      params.current_periods = periods.current;
+      params.previous_periods = periods.previous;
+      // Keep `year` meaningful for storage: the year the current period ends in
+      params.year = periods.current[periods.current.length - 1].year;
+    } catch (periodError) {
+      return res.status(400).json({ error: periodError.message });
+    }
+    
+    // Clients side by side: one shared fetch, per-client blocks and rankings (nothing to summarize or save)
+    if (comparisonMode === 'by_client') {
+      params.comparison_mode = comparisonMode;
+      logger.info('Processing by-client snapshot request', params);
+      const clientComparison = await processClientComparisonSnapshot(params);
+      clientComparison.timings.total_ms = Date.now() - requestStartedAt;
+      return res.status(200).json(clientComparison);
+    }
+    
+    // Several metrics: one shared fetch, per-metric blocks and one combined AI summary
+    if (metric_names && metric_names.length > 1) {
+      params.metric_names = metric_names;
+      logger.info('Processing multi-metric snapshot request', params);
+      return res.status(200).json(await buildMultiMetricSnapshot(params, preset, requestStartedAt));
     }
     
     logger.info('Processing snapshot request', params);
@@ -103,26 +216,67 @@ export default async function handler(req, res) {
       current_behaviors: snapshotData.coaching_activity?.current?.top_behaviors?.length || 0
     });
     
+    // Stage timings, so slow requests can be traced against the 60s function limit
+    const timings = snapshotData.timings || {};
+    snapshotData.timings = timings;
+    
+    // Nothing to summarize or save; the response says what was missing and which periods have data
+    if (snapshotData.status === 'insufficient_data') {
+      logger.warn('Returning insufficient data response:', snapshotData.insufficient_data.message);
+      timings.total_ms = Date.now() - requestStartedAt;
+      return res.status(200).json(snapshotData);
+    }
+    
+    // Cache hit: the saved snapshot already has its AI summary and is already stored
+    if (snapshotData.cache?.hit) {
+      logger.info(`Returning cached snapshot ${snapshotData.cache.snapshot_id}`);
+      timings.total_ms = Date.now() - requestStartedAt;
+      return res.status(200).json(snapshotData);
+    }
+    
+    let stageStartedAt = Date.now();
+    let aiSummaryGenerated = false;
     try {
       // Generate AI summary (replicates "AI Summary" node)
       logger.info('Generating AI summary...');
-      const aiSummary = await generateAISummary(snapshotData);
-      snapshotData.ai_summary = aiSummary;
+      const aiSummary = await generateAISummary(snapshotData, preset);
+      snapshotData.ai_summary = aiSummary?.summary ?? null;
+      // Which numbers and periods in the summary were found in the snapshot (saved with the result)
+      snapshotData.ai_summary_verification = aiSummary?.verification ?? null;
+      // Which prompt template (id and version) wrote the summary, saved with the row
+      snapshotData.prompt_template = aiSummary?.prompt_template ?? null;
+      aiSummaryGenerated = !!aiSummary;
       logger.info('AI summary generated');
     } catch (aiError) {
       logger.error('Error generating AI summary:', aiError);
       snapshotData.ai_summary = 'AI summary generation failed';
     }
+    snapshotData.narrative_preset = describeNarrativePreset(preset);
+    timings.ai_summary_ms = Date.now() - stageStartedAt;
     
+    // A failed summary isn't cached, so the next identical request tries it again
+    if (snapshotData.cache && summaryProviderConfigured() && !aiSummaryGenerated) {
+      snapshotData.cache.cacheable = false;
+    }
+    
+    stageStartedAt = Date.now();
     try {
       // Save to database (replicates "Snapshot" node)
       logger.info('Saving snapshot to database...');
-      await saveSnapshot(snapshotData, params);
+      const saved = await saveSnapshot(snapshotData, params);
+      if (saved?.id !== undefined) {
+        // Lets the dashboard link to this run through /api/snapshots/:id
+        snapshotData.snapshot_id = saved.id;
+      }
       logger.info('Snapshot saved');
     } catch (saveError) {
       logger.error('Error saving snapshot:', saveError);
-      // Don't fail the request if save fails
+      // Don't fail the request if save fails, but say so (the snapshot won't be cached or in history)
+      snapshotData.save_error = saveError.message;
     }
+    timings.save_ms = Date.now() - stageStartedAt;
+    timings.total_ms = Date.now() - requestStartedAt;
+    logger.info('Snapshot request timings:', timings);
     
     // Add debug_info at the VERY END - preserve all existing fields and add timestamp
     try {
@@ -158,3 +312,50 @@ export default async function handler(req, res) {
   }
 }
 
+/**
+ * Multi-metric snapshot: processes every metric, adds one combined AI summary and saves each
+ * comparable metric as its own metric_snapshots row (sharing that summary)
+ */
+async function buildMultiMetricSnapshot(params, preset, requestStartedAt) {
+  const multiData = await processMultiMetricSnapshot(params);
+  const timings = multiData.timings;
+  
+  if (multiData.status === 'insufficient_data') {
+    logger.warn('Returning insufficient data response for every metric');
+    timings.total_ms = Date.now() - requestStartedAt;
+    return multiData;
+  }
+  
+  let stageStartedAt = Date.now();
+  try {
+    // A failed summary doesn't fail the request: every metric is still saved, without it
+    const aiSummary = await generateMultiMetricSummary(multiData, preset);
+    multiData.ai_summary = aiSummary?.summary ?? null;
+    multiData.ai_summary_verification = aiSummary?.verification ?? null;
+    multiData.prompt_template = aiSummary?.prompt_template ?? null;
+  } catch (aiError) {
+    logger.error('Error generating multi-metric AI summary:', aiError);
+    multiData.ai_summary = null;
+    multiData.ai_summary_verification = null;
+    multiData.prompt_template = null;
+  }
+  multiData.narrative_preset = describeNarrativePreset(preset);
+  timings.ai_summary_ms = Date.now() - stageStartedAt;
+  
+  stageStartedAt = Date.now();
+  for (const metricResult of multiData.metrics) {
+    if (metricResult.status === 'insufficient_data') continue;
+    try {
+      const saved = await saveSnapshot({ ...metricResult, ai_summary: multiData.ai_summary, narrative_preset: multiData.narrative_preset, prompt_template: multiData.prompt_template }, { ...params, metric_name: metricResult.metric });
+      metricResult.snapshot_id = saved.id;
+    } catch (saveError) {
+      logger.error(`Error saving ${metricResult.metric} snapshot:`, saveError);
+      metricResult.save_error = saveError.message;
+    }
+  }
+  timings.save_ms = Date.now() - stageStartedAt;
+  timings.total_ms = Date.now() - requestStartedAt;
+  logger.info('Multi-metric snapshot request timings:', timings);
+  
+  return multiData;
+}
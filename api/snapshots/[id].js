@@ -0,0 +1,54 @@
+/**
+ * Saved snapshot API endpoint
+ * Returns one metric_snapshots row in the same JSON shape as /api/snapshot, so the dashboard
+ * can reopen it without recomputing
+ * Endpoint: /api/snapshots/:id
+ *
+ * Usage:
+ * GET /api/snapshots/1729
+ */
+
+import { getSavedSnapshot } from '../../src/services/snapshotStorage.js';
+import { logger } from '../../src/utils/logger.js';
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  
+  // Handle preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed. Use GET.' });
+  }
+  
+  try {
+    const id = req.query?.id;
+    // Numeric or uuid ids, depending on how metric_snapshots was created
+    if (!id || !/^[\w-]+$/.test(String(id))) {
+      return res.status(400).json({ error: 'A valid snapshot id is required' });
+    }
+    
+    const snapshot = await getSavedSnapshot(id);
+    if (!snapshot) {
+      return res.status(404).json({ error: `Snapshot ${id} not found` });
+    }
+    
+    // Saved snapshots never change
+    res.setHeader('Cache-Control', 's-maxage=86400');
+    return res.status(200).json(snapshot);
+    
+  } catch (error) {
+    logger.error('Saved snapshot API error', error);
+    return res.status(500).json({
+      error: 'Failed to load snapshot',
+      message: error.message,
+      ...(process.env.NODE_ENV === 'development' && { stack: error.stack }),
+    });
+  }
+}
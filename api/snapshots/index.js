@@ -0,0 +1,82 @@
+/**
+ * Snapshot history API endpoint
+ * Lists snapshots saved to metric_snapshots, newest first
+ * Endpoint: /api/snapshots
+ *
+ * Usage:
+ * GET /api/snapshots?organization=UHC&metric=NPS&clients=TTEC,TP&period=Jan%202025&from=2025-01-01&to=2025-03-31
+ * Optional: year, include_demo=true, limit (default 50, max 200), offset
+ */
+
+import { listSnapshots, HISTORY_PAGE_SIZE, MAX_HISTORY_PAGE_SIZE } from '../../src/services/snapshotStorage.js';
+import { logger } from '../../src/utils/logger.js';
+
+const isDate = (value) => !isNaN(Date.parse(value));
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  
+  // Handle preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed. Use GET.' });
+  }
+  
+  try {
+    const query = req.query || {};
+    
+    const limit = query.limit !== undefined ? parseInt(query.limit) : HISTORY_PAGE_SIZE;
+    const offset = query.offset !== undefined ? parseInt(query.offset) : 0;
+    if (isNaN(limit) || limit < 1 || limit > MAX_HISTORY_PAGE_SIZE) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_HISTORY_PAGE_SIZE}` });
+    }
+    if (isNaN(offset) || offset < 0) {
+      return res.status(400).json({ error: 'offset must be 0 or more' });
+    }
+    
+    const year = query.year !== undefined ? parseInt(query.year) : undefined;
+    if (year !== undefined && isNaN(year)) {
+      return res.status(400).json({ error: 'year must be a number' });
+    }
+    
+    if ((query.from && !isDate(query.from)) || (query.to && !isDate(query.to))) {
+      return res.status(400).json({ error: 'from and to must be dates (e.g. 2025-01-31)' });
+    }
+    
+    // clients=TTEC,TP or clients=TTEC&clients=TP
+    const clients = [query.clients].flat().filter(Boolean)
+      .flatMap(value => String(value).split(','))
+      .map(client => client.trim())
+      .filter(Boolean);
+    
+    const history = await listSnapshots({
+      organization: query.organization,
+      metric: query.metric || query.metric_name,
+      clients,
+      period: query.period,
+      year,
+      from: query.from,
+      to: query.to,
+      includeDemo: query.include_demo === 'true',
+      limit,
+      offset
+    });
+    
+    return res.status(200).json(history);
+    
+  } catch (error) {
+    logger.error('Snapshot history API error', error);
+    return res.status(500).json({
+      error: 'Failed to list snapshots',
+      message: error.message,
+      ...(process.env.NODE_ENV === 'development' && { stack: error.stack }),
+    });
+  }
+}
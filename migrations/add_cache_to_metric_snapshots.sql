@@ -0,0 +1,15 @@
+-- Snapshot result cache: saved snapshots are reused for identical requests over unchanged data
+-- Run this in your Supabase SQL editor
+
+ALTER TABLE metric_snapshots
+  ADD COLUMN IF NOT EXISTS cache_key TEXT,
+  ADD COLUMN IF NOT EXISTS data_version TEXT,
+  ADD COLUMN IF NOT EXISTS result_payload JSONB,
+  ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_metric_snapshots_cache
+  ON metric_snapshots (cache_key, data_version, created_at DESC);
+
+COMMENT ON COLUMN metric_snapshots.cache_key IS 'sha256 of the normalized request (clients, organization, metric, periods, lag, aggregation)';
+COMMENT ON COLUMN metric_snapshots.data_version IS 'sha256 of the monthly_metrics and behavioral_coaching rows the snapshot was built from';
+COMMENT ON COLUMN metric_snapshots.result_payload IS 'Full snapshot response (including ai_summary) returned on a cache hit';
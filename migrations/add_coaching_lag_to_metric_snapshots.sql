@@ -0,0 +1,9 @@
+-- Record the coaching-to-performance lag used for each saved snapshot
+-- Run this in your Supabase SQL editor
+
+ALTER TABLE metric_snapshots
+  ADD COLUMN IF NOT EXISTS lag_months INTEGER,
+  ADD COLUMN IF NOT EXISTS lag_mode TEXT;
+
+COMMENT ON COLUMN metric_snapshots.lag_months IS 'Months between the coaching window and the performance period it is compared against (0-3)';
+COMMENT ON COLUMN metric_snapshots.lag_mode IS 'How the lag was chosen: default, fixed (requested) or auto (detected)';
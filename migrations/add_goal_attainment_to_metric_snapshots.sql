@@ -0,0 +1,18 @@
+-- Record goal attainment for both periods of each saved snapshot
+-- Run this in your Supabase SQL editor
+
+ALTER TABLE metric_snapshots
+  ADD COLUMN IF NOT EXISTS current_goal NUMERIC,
+  ADD COLUMN IF NOT EXISTS previous_goal NUMERIC,
+  ADD COLUMN IF NOT EXISTS current_gap_to_goal NUMERIC,
+  ADD COLUMN IF NOT EXISTS previous_gap_to_goal NUMERIC,
+  ADD COLUMN IF NOT EXISTS current_percent_of_goal NUMERIC,
+  ADD COLUMN IF NOT EXISTS previous_percent_of_goal NUMERIC,
+  ADD COLUMN IF NOT EXISTS current_months_at_or_above_goal INTEGER,
+  ADD COLUMN IF NOT EXISTS previous_months_at_or_above_goal INTEGER,
+  ADD COLUMN IF NOT EXISTS current_months_with_goal INTEGER,
+  ADD COLUMN IF NOT EXISTS previous_months_with_goal INTEGER;
+
+COMMENT ON COLUMN metric_snapshots.current_gap_to_goal IS 'current_value minus current_goal (positive means above goal)';
+COMMENT ON COLUMN metric_snapshots.current_months_at_or_above_goal IS 'Months in the current period whose value met or beat that month''s goal';
+COMMENT ON COLUMN metric_snapshots.current_months_with_goal IS 'Months in the current period that had both an actual and a goal';
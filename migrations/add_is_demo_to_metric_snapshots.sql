@@ -0,0 +1,7 @@
+-- Flag snapshots built from demo (sample) data so they are never mistaken for real results
+-- Run this in your Supabase SQL editor
+
+ALTER TABLE metric_snapshots
+  ADD COLUMN IF NOT EXISTS is_demo BOOLEAN NOT NULL DEFAULT FALSE;
+
+COMMENT ON COLUMN metric_snapshots.is_demo IS 'TRUE when the request opted into demo_mode and real data was missing, so every value is illustrative';
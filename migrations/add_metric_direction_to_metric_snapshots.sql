@@ -0,0 +1,10 @@
+-- Record the metric direction and direction-aware goal attainment for each saved snapshot
+-- Run this in your Supabase SQL editor
+
+ALTER TABLE metric_snapshots
+  ADD COLUMN IF NOT EXISTS metric_direction TEXT,
+  ADD COLUMN IF NOT EXISTS current_months_meeting_goal INTEGER,
+  ADD COLUMN IF NOT EXISTS previous_months_meeting_goal INTEGER;
+
+COMMENT ON COLUMN metric_snapshots.metric_direction IS 'higher or lower: which direction is an improvement for this metric (from the metric catalog)';
+COMMENT ON COLUMN metric_snapshots.current_months_meeting_goal IS 'Months in the current period at or above goal, or at or below goal for lower-is-better metrics';
@@ -0,0 +1,9 @@
+-- Record which narrative preset (audience and tone template) wrote each snapshot's AI summary
+-- Run this in your Supabase SQL editor
+
+ALTER TABLE metric_snapshots
+  ADD COLUMN IF NOT EXISTS narrative_preset TEXT,
+  ADD COLUMN IF NOT EXISTS narrative_preset_version INTEGER;
+
+COMMENT ON COLUMN metric_snapshots.narrative_preset IS 'Preset id: client_marketing, internal_ops, executive_brief or qa_compliance (NULL for snapshots saved before presets)';
+COMMENT ON COLUMN metric_snapshots.narrative_preset_version IS 'Version of the preset template, bumped whenever its wording changes';
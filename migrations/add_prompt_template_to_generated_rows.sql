@@ -0,0 +1,18 @@
+-- Record which prompt template (id and version) produced each saved summary and story
+-- Run this in your Supabase SQL editor
+
+ALTER TABLE metric_snapshots
+  ADD COLUMN IF NOT EXISTS prompt_template TEXT,
+  ADD COLUMN IF NOT EXISTS prompt_template_version INTEGER;
+
+ALTER TABLE story_log
+  ADD COLUMN IF NOT EXISTS prompt_template TEXT,
+  ADD COLUMN IF NOT EXISTS prompt_template_version INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_metric_snapshots_prompt_template ON metric_snapshots(prompt_template, prompt_template_version);
+CREATE INDEX IF NOT EXISTS idx_story_log_prompt_template ON story_log(prompt_template, prompt_template_version);
+
+COMMENT ON COLUMN metric_snapshots.prompt_template IS 'Prompt template that wrote ai_summary: snapshot_summary or multi_metric_summary (NULL when no summary was generated)';
+COMMENT ON COLUMN metric_snapshots.prompt_template_version IS 'Version of that template (src/prompts)';
+COMMENT ON COLUMN story_log.prompt_template IS 'Prompt template that wrote generated_content: high_performer_story';
+COMMENT ON COLUMN story_log.prompt_template_version IS 'Version of that template (src/prompts)';
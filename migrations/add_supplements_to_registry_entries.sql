@@ -0,0 +1,16 @@
+-- Client supplement rules per organization: which other clients' rows may fill in for a selection
+-- Run this in your Supabase SQL editor
+--
+-- Rules only apply when a snapshot request sets include_supplemental: true.
+-- Each rule: { "clients": [...], "supplemental_clients": [...], "mode": "supplement" | "proxy", "reason": "..." }
+
+ALTER TABLE registry_entries
+  ADD COLUMN IF NOT EXISTS supplements JSONB NOT NULL DEFAULT '[]';
+
+COMMENT ON COLUMN registry_entries.supplements IS 'Organizations only: client supplement/proxy rules, applied when a snapshot sets include_supplemental';
+
+-- The rule that used to be hard-coded for every snapshot (TP/TTEC supplemented with Alorica), now opt-in
+UPDATE registry_entries
+SET supplements = '[{"clients": ["TP", "TTEC"], "supplemental_clients": ["Alorica"], "mode": "supplement", "reason": "Alorica rows fill gaps in TP and TTEC coverage for UHC programs"}]'::jsonb,
+    updated_at = NOW()
+WHERE kind = 'organization' AND id = 'UHC' AND supplements = '[]'::jsonb;
@@ -1,10 +1,27 @@
 -- PostgreSQL function for high performers query
 -- This is more efficient than the JavaScript fallback
 -- Run this in your Supabase SQL editor
+--
+-- p_aggregation controls how a program's monthly rows collapse into avg_actual/avg_goal:
+--   mean       - simple average (default)
+--   weighted   - weighted by volume, or headcount when volume is absent (falls back to mean)
+--   median     - median month
+--   goal_ratio - average of actual / goal * 100 (avg_goal is then 100)
+-- Must match src/utils/aggregation.js (used by the JavaScript fallback)
+--
+-- p_lower_is_better lists metrics where a lower value is better (e.g. AHT); for those a month
+-- counts toward months_above_goal / pct_above_goal when it is AT OR BELOW goal.
+-- The caller passes the list from the metric registry (src/services/registry.js).
+
+-- Drop previous versions so RPC calls don't hit an ambiguous overload
+DROP FUNCTION IF EXISTS get_high_performers(INTEGER, INTEGER);
+DROP FUNCTION IF EXISTS get_high_performers(INTEGER, INTEGER, TEXT);
 
 CREATE OR REPLACE FUNCTION get_high_performers(
   p_year INTEGER DEFAULT 2025,
-  p_limit INTEGER DEFAULT 30
+  p_limit INTEGER DEFAULT 30,
+  p_aggregation TEXT DEFAULT 'mean',
+  p_lower_is_better TEXT[] DEFAULT ARRAY['AHT', 'ACW', 'TRANSFER_RATE', 'AVERAGE HANDLE TIME']
 )
 RETURNS TABLE (
   client TEXT,
@@ -16,7 +33,9 @@ RETURNS TABLE (
   pct_above_goal NUMERIC,
   avg_actual NUMERIC,
   avg_goal NUMERIC,
-  months_tracked TEXT
+  months_tracked TEXT,
+  aggregation_method TEXT,
+  direction TEXT
 ) AS $$
 BEGIN
   RETURN QUERY
@@ -26,25 +45,49 @@ BEGIN
     mm.program,
     mm.amplifai_metric,
     COUNT(DISTINCT mm.month || '-' || mm.year)::INTEGER as total_months,
-    COUNT(DISTINCT CASE WHEN mm.actual >= mm.goal THEN mm.month || '-' || mm.year END)::INTEGER as months_above_goal,
-    ROUND(100.0 * COUNT(DISTINCT CASE WHEN mm.actual >= mm.goal THEN mm.month || '-' || mm.year END)::numeric / 
+    COUNT(DISTINCT CASE WHEN w.meets_goal THEN mm.month || '-' || mm.year END)::INTEGER as months_above_goal,
+    ROUND(100.0 * COUNT(DISTINCT CASE WHEN w.meets_goal THEN mm.month || '-' || mm.year END)::numeric / 
           COUNT(DISTINCT mm.month || '-' || mm.year)::numeric, 1) as pct_above_goal,
-    ROUND(AVG(mm.actual)::numeric, 2) as avg_actual,
-    ROUND(AVG(mm.goal)::numeric, 2) as avg_goal,
-    STRING_AGG(DISTINCT mm.month, ', ' ORDER BY mm.month) as months_tracked
+    ROUND((CASE p_aggregation
+      WHEN 'median' THEN PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY mm.actual)
+      WHEN 'goal_ratio' THEN AVG(100.0 * mm.actual / mm.goal)
+      WHEN 'weighted' THEN CASE
+        WHEN COUNT(w.volume) > 0 THEN SUM(mm.actual * w.volume) / SUM(w.volume)
+        WHEN COUNT(w.headcount) > 0 THEN SUM(mm.actual * w.headcount) / SUM(w.headcount)
+        ELSE AVG(mm.actual) END
+      ELSE AVG(mm.actual)
+    END)::numeric, 2) as avg_actual,
+    ROUND((CASE p_aggregation
+      WHEN 'median' THEN PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY mm.goal)
+      WHEN 'goal_ratio' THEN 100
+      WHEN 'weighted' THEN CASE
+        WHEN COUNT(w.volume) > 0 THEN SUM(mm.goal * w.volume) / SUM(w.volume)
+        WHEN COUNT(w.headcount) > 0 THEN SUM(mm.goal * w.headcount) / SUM(w.headcount)
+        ELSE AVG(mm.goal) END
+      ELSE AVG(mm.goal)
+    END)::numeric, 2) as avg_goal,
+    STRING_AGG(DISTINCT mm.month, ', ' ORDER BY mm.month) as months_tracked,
+    p_aggregation as aggregation_method,
+    CASE WHEN mm.amplifai_metric = ANY(p_lower_is_better) THEN 'lower' ELSE 'higher' END as direction
   FROM monthly_metrics mm
+  -- Weight columns are optional on monthly_metrics, so read them through jsonb
+  CROSS JOIN LATERAL (
+    SELECT
+      CASE WHEN (to_jsonb(mm)->>'volume')::numeric > 0 THEN (to_jsonb(mm)->>'volume')::numeric END as volume,
+      CASE WHEN (to_jsonb(mm)->>'headcount')::numeric > 0 THEN (to_jsonb(mm)->>'headcount')::numeric END as headcount,
+      CASE WHEN mm.amplifai_metric = ANY(p_lower_is_better) THEN mm.actual <= mm.goal ELSE mm.actual >= mm.goal END as meets_goal
+  ) w
   WHERE mm.year = p_year
     AND mm.goal IS NOT NULL
     AND mm.actual IS NOT NULL
     AND mm.amplifai_org IS NOT NULL
-    AND mm.amplifai_metric NOT IN ('AHT', 'ACW', 'TRANSFER_RATE', 'AVERAGE HANDLE TIME')
     AND mm.actual BETWEEN mm.goal * 0.3 AND mm.goal * 3
     AND mm.actual >= 1
     AND mm.goal >= 1
     AND mm.id NOT IN (SELECT record_id FROM wonky_data WHERE reviewed = FALSE)
   GROUP BY mm.client, mm.amplifai_org, mm.program, mm.amplifai_metric
   HAVING COUNT(DISTINCT mm.month || '-' || mm.year) >= 4
-    AND COUNT(DISTINCT CASE WHEN mm.actual >= mm.goal THEN mm.month || '-' || mm.year END) >= 3
+    AND COUNT(DISTINCT CASE WHEN w.meets_goal THEN mm.month || '-' || mm.year END) >= 3
   ORDER BY pct_above_goal DESC, total_months DESC
   LIMIT p_limit;
 END;
@@ -0,0 +1,79 @@
+-- Create metric_snapshots table for saved snapshots
+-- Run this in your Supabase SQL editor
+--
+-- Includes every column from the add_*_to_metric_snapshots migrations, so a fresh database
+-- only needs this file; on an existing table those migrations add any missing columns.
+-- Must stay in sync with SNAPSHOT_RECORD_SCHEMA in src/services/snapshotStorage.js
+
+CREATE TABLE IF NOT EXISTS metric_snapshots (
+  id BIGSERIAL PRIMARY KEY,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  created_by TEXT NOT NULL DEFAULT 'System',
+
+  -- Request
+  clients TEXT[] NOT NULL,
+  amplifai_org TEXT NOT NULL,
+  amplifai_metric TEXT NOT NULL,
+  comparison_type TEXT NOT NULL CHECK (comparison_type IN ('month', 'quarter', 'rolling', 'yoy')),
+  current_period_label TEXT NOT NULL,
+  previous_period_label TEXT NOT NULL,
+  year INTEGER NOT NULL,
+  lag_months INTEGER,
+  lag_mode TEXT CHECK (lag_mode IN ('default', 'fixed', 'auto')),
+
+  -- Metric comparison
+  current_value NUMERIC,
+  previous_value NUMERIC,
+  change_value NUMERIC,
+  percent_change NUMERIC,
+  metric_direction TEXT CHECK (metric_direction IN ('higher', 'lower')),
+
+  -- Goal attainment
+  current_goal NUMERIC,
+  previous_goal NUMERIC,
+  current_gap_to_goal NUMERIC,
+  previous_gap_to_goal NUMERIC,
+  current_percent_of_goal NUMERIC,
+  previous_percent_of_goal NUMERIC,
+  current_months_with_goal INTEGER,
+  previous_months_with_goal INTEGER,
+  current_months_at_or_above_goal INTEGER,
+  previous_months_at_or_above_goal INTEGER,
+  current_months_meeting_goal INTEGER,
+  previous_months_meeting_goal INTEGER,
+  current_programs_count INTEGER,
+
+  -- Coaching
+  current_coaching_sessions INTEGER,
+  previous_coaching_sessions INTEGER,
+  coaching_volume_change INTEGER,
+  coaching_volume_change_pct NUMERIC,
+  current_coaching_effectiveness NUMERIC,
+  previous_coaching_effectiveness NUMERIC,
+  coaching_effectiveness_change NUMERIC,
+  current_top_behaviors JSONB,
+  previous_top_behaviors JSONB,
+
+  ai_summary TEXT,
+  narrative_preset TEXT,
+  narrative_preset_version INTEGER,
+  prompt_template TEXT,
+  prompt_template_version INTEGER,
+  is_demo BOOLEAN NOT NULL DEFAULT FALSE,
+
+  -- Cache
+  cache_key TEXT,
+  data_version TEXT,
+  result_payload JSONB
+);
+
+-- Create indexes for history listings and cache lookups
+CREATE INDEX IF NOT EXISTS idx_metric_snapshots_created_at ON metric_snapshots(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_metric_snapshots_org_metric ON metric_snapshots(amplifai_org, amplifai_metric, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_metric_snapshots_cache ON metric_snapshots(cache_key, data_version, created_at DESC);
+
+COMMENT ON TABLE metric_snapshots IS 'Saved Brand Snapshot results, one row per generated snapshot';
+COMMENT ON COLUMN metric_snapshots.change_value IS 'current_value minus previous_value';
+COMMENT ON COLUMN metric_snapshots.percent_change IS 'change_value as a percent of previous_value (NULL when previous_value is 0)';
+COMMENT ON COLUMN metric_snapshots.current_coaching_effectiveness IS 'Average coaching effectiveness in percent (54.00 = 54%)';
+COMMENT ON COLUMN metric_snapshots.coaching_effectiveness_change IS 'Current minus previous effectiveness, in percentage points';
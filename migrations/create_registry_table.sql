@@ -0,0 +1,22 @@
+-- Create registry_entries table: the single source of organizations and metrics
+-- (canonical ids, aliases, units, direction and display names)
+-- Run this in your Supabase SQL editor, then load the defaults with: npm run seed-registry
+
+CREATE TABLE IF NOT EXISTS registry_entries (
+  kind TEXT NOT NULL CHECK (kind IN ('organization', 'metric')),
+  id TEXT NOT NULL,
+  display_name TEXT NOT NULL,
+  aliases TEXT[] NOT NULL DEFAULT '{}',
+  unit TEXT,
+  direction TEXT CHECK (direction IN ('higher', 'lower')),
+  supplements JSONB NOT NULL DEFAULT '[]',
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (kind, id)
+);
+
+-- Add comments
+COMMENT ON TABLE registry_entries IS 'Organizations and metrics with their aliases; seeded from src/config/registrySeed.json and edited via /api/registry';
+COMMENT ON COLUMN registry_entries.id IS 'Canonical value stored in amplifai_org / amplifai_metric';
+COMMENT ON COLUMN registry_entries.aliases IS 'Other spellings that resolve to this entry (matched case- and whitespace-insensitively)';
+COMMENT ON COLUMN registry_entries.direction IS 'Metrics only: whether higher or lower values are better';
+COMMENT ON COLUMN registry_entries.supplements IS 'Organizations only: client supplement/proxy rules, applied when a snapshot sets include_supplemental';
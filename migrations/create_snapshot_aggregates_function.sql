@@ -0,0 +1,155 @@
+-- PostgreSQL function for the snapshot's coaching rollups
+-- Sessions, effectiveness, top 5 behaviors and their top 3 sub-behaviors for the current and
+-- previous coaching windows, computed in the database instead of row by row in JavaScript
+-- Run this in your Supabase SQL editor
+--
+-- Must match aggregateCoachingWindows in src/utils/coachingAggregates.js (used by the JavaScript
+-- fallback); test/snapshotAggregates.test.js checks both produce identical output:
+--   - organizations and metrics match ignoring case and extra whitespace; a row matches the metric
+--     through amplifai_metric or the raw metric column
+--   - months match as "Jan", "January", "JAN" or 1
+--   - behaviors group case-insensitively and display in title case
+--   - ties rank by first occurrence (lowest id)
+--
+-- p_organizations / p_metrics are the canonical id plus aliases from the registry
+-- p_current_periods / p_previous_periods are JSON arrays of { "year": 2025, "month": "Jan" }
+
+-- "  united  health " -> "UNITED HEALTH"
+CREATE OR REPLACE FUNCTION snapshot_normalize_name(p_value TEXT)
+RETURNS TEXT AS $$
+  SELECT upper(regexp_replace(regexp_replace(p_value, '^\s+|\s+$', '', 'g'), '\s+', ' ', 'g'));
+$$ LANGUAGE sql IMMUTABLE;
+
+-- "January", "JAN", "1" -> "Jan"; NULL when unrecognized
+CREATE OR REPLACE FUNCTION snapshot_normalize_month(p_month TEXT)
+RETURNS TEXT AS $$
+  SELECT CASE
+    WHEN btrim(p_month) ~ '^\d+$' AND btrim(p_month)::NUMERIC BETWEEN 1 AND 12
+      THEN (ARRAY['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'])[btrim(p_month)::INTEGER]
+    ELSE CASE upper(btrim(p_month))
+      WHEN 'JAN' THEN 'Jan' WHEN 'JANUARY' THEN 'Jan'
+      WHEN 'FEB' THEN 'Feb' WHEN 'FEBRUARY' THEN 'Feb'
+      WHEN 'MAR' THEN 'Mar' WHEN 'MARCH' THEN 'Mar'
+      WHEN 'APR' THEN 'Apr' WHEN 'APRIL' THEN 'Apr'
+      WHEN 'MAY' THEN 'May'
+      WHEN 'JUN' THEN 'Jun' WHEN 'JUNE' THEN 'Jun'
+      WHEN 'JUL' THEN 'Jul' WHEN 'JULY' THEN 'Jul'
+      WHEN 'AUG' THEN 'Aug' WHEN 'AUGUST' THEN 'Aug'
+      WHEN 'SEP' THEN 'Sep' WHEN 'SEPT' THEN 'Sep' WHEN 'SEPTEMBER' THEN 'Sep'
+      WHEN 'OCT' THEN 'Oct' WHEN 'OCTOBER' THEN 'Oct'
+      WHEN 'NOV' THEN 'Nov' WHEN 'NOVEMBER' THEN 'Nov'
+      WHEN 'DEC' THEN 'Dec' WHEN 'DECEMBER' THEN 'Dec'
+    END
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION get_snapshot_aggregates(
+  p_clients TEXT[],
+  p_organizations TEXT[],
+  p_metrics TEXT[],
+  p_current_periods JSONB,
+  p_previous_periods JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_result JSONB;
+BEGIN
+  WITH windows AS (
+    SELECT DISTINCT 'current' AS coaching_window, (p->>'year')::INTEGER AS year, p->>'month' AS month
+    FROM jsonb_array_elements(p_current_periods) p
+    UNION
+    SELECT DISTINCT 'previous', (p->>'year')::INTEGER, p->>'month'
+    FROM jsonb_array_elements(p_previous_periods) p
+  ),
+  coaching AS (
+    SELECT
+      w.coaching_window,
+      bc.id,
+      bc.behavior,
+      bc.sub_behavior,
+      COALESCE(bc.coaching_count, 0)::FLOAT8 AS sessions,
+      bc.effectiveness_pct::FLOAT8 AS effectiveness
+    FROM behavioral_coaching bc
+    JOIN windows w
+      ON w.year = bc.year::INTEGER
+      AND w.month = snapshot_normalize_month(bc.month::TEXT)
+    WHERE bc.client = ANY(p_clients)
+      AND snapshot_normalize_name(bc.amplifai_org) IN (SELECT snapshot_normalize_name(unnest(p_organizations)))
+      AND (
+        snapshot_normalize_name(bc.amplifai_metric) IN (SELECT snapshot_normalize_name(unnest(p_metrics)))
+        OR snapshot_normalize_name(bc.metric) IN (SELECT snapshot_normalize_name(unnest(p_metrics)))
+      )
+  ),
+  totals AS (
+    SELECT
+      c.coaching_window,
+      SUM(c.sessions ORDER BY c.id) AS total_sessions,
+      COUNT(*) AS records,
+      COUNT(c.effectiveness) AS effectiveness_records,
+      SUM(c.effectiveness ORDER BY c.id) FILTER (WHERE c.effectiveness IS NOT NULL) AS effectiveness_sum
+    FROM coaching c
+    GROUP BY c.coaching_window
+  ),
+  behavior_rows AS (
+    SELECT c.*, lower(regexp_replace(c.behavior, '^\s+|\s+$', '', 'g')) AS behavior_key
+    FROM coaching c
+    WHERE c.behavior IS NOT NULL AND c.behavior <> ''
+  ),
+  behaviors AS (
+    SELECT
+      b.coaching_window,
+      b.behavior_key,
+      SUM(b.sessions ORDER BY b.id) AS sessions,
+      ROW_NUMBER() OVER (PARTITION BY b.coaching_window ORDER BY SUM(b.sessions) DESC, MIN(b.id)) AS behavior_rank
+    FROM behavior_rows b
+    GROUP BY b.coaching_window, b.behavior_key
+  ),
+  sub_behaviors AS (
+    SELECT
+      b.coaching_window,
+      b.behavior_key,
+      b.sub_behavior,
+      SUM(b.sessions ORDER BY b.id) AS sessions,
+      ROW_NUMBER() OVER (PARTITION BY b.coaching_window, b.behavior_key ORDER BY SUM(b.sessions) DESC, MIN(b.id)) AS sub_rank
+    FROM behavior_rows b
+    WHERE b.sub_behavior IS NOT NULL AND b.sub_behavior <> ''
+    GROUP BY b.coaching_window, b.behavior_key, b.sub_behavior
+  ),
+  window_json AS (
+    SELECT
+      w.coaching_window,
+      jsonb_build_object(
+        'total_sessions', COALESCE(t.total_sessions, 0),
+        'records', COALESCE(t.records, 0),
+        'effectiveness_records', COALESCE(t.effectiveness_records, 0),
+        'effectiveness_avg', CASE WHEN t.effectiveness_records > 0 THEN t.effectiveness_sum / t.effectiveness_records END,
+        'behaviors', COALESCE((
+          SELECT jsonb_agg(jsonb_build_object(
+            'key', b.behavior_key,
+            -- Title case word by word ("active  listening" -> "Active Listening")
+            'behavior', (
+              SELECT string_agg(upper(left(word, 1)) || lower(substr(word, 2)), ' ' ORDER BY n)
+              FROM regexp_split_to_table(b.behavior_key, '\s+') WITH ORDINALITY AS words(word, n)
+            ),
+            'sessions', b.sessions,
+            'sub_behaviors', COALESCE((
+              SELECT jsonb_agg(jsonb_build_object('sub_behavior', s.sub_behavior, 'sessions', s.sessions) ORDER BY s.sub_rank)
+              FROM sub_behaviors s
+              WHERE s.coaching_window = b.coaching_window AND s.behavior_key = b.behavior_key AND s.sub_rank <= 3
+            ), '[]'::JSONB)
+          ) ORDER BY b.behavior_rank)
+          FROM behaviors b
+          WHERE b.coaching_window = w.coaching_window AND b.behavior_rank <= 5
+        ), '[]'::JSONB)
+      ) AS summary
+    FROM (VALUES ('current'), ('previous')) AS w(coaching_window)
+    LEFT JOIN totals t ON t.coaching_window = w.coaching_window
+  )
+  SELECT jsonb_object_agg(coaching_window, summary) INTO v_result FROM window_json;
+
+  RETURN v_result;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Grant execute permission (adjust as needed for your setup)
+-- GRANT EXECUTE ON FUNCTION get_snapshot_aggregates TO authenticated;
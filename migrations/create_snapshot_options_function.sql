@@ -0,0 +1,52 @@
+-- PostgreSQL function listing the client/org/metric/year/month combinations that have data
+-- Backs /api/options; the JavaScript fallback scans both tables instead
+-- Run this in your Supabase SQL editor
+
+CREATE OR REPLACE FUNCTION get_snapshot_options()
+RETURNS TABLE (
+  client TEXT,
+  organization TEXT,
+  metric TEXT,
+  year INTEGER,
+  month TEXT,
+  metric_rows INTEGER,
+  coaching_rows INTEGER
+) AS $$
+BEGIN
+  RETURN QUERY
+  WITH metric_counts AS (
+    SELECT mm.client, mm.amplifai_org, mm.amplifai_metric AS metric, mm.year::INTEGER AS year, mm.month, COUNT(*)::INTEGER AS n
+    FROM monthly_metrics mm
+    WHERE mm.client IS NOT NULL
+      AND mm.amplifai_org IS NOT NULL
+      AND mm.amplifai_metric IS NOT NULL
+    GROUP BY mm.client, mm.amplifai_org, mm.amplifai_metric, mm.year, mm.month
+  ),
+  coaching_counts AS (
+    SELECT bc.client, bc.amplifai_org, COALESCE(bc.amplifai_metric, bc.metric) AS metric, bc.year::INTEGER AS year, bc.month, COUNT(*)::INTEGER AS n
+    FROM behavioral_coaching bc
+    WHERE bc.client IS NOT NULL
+      AND bc.amplifai_org IS NOT NULL
+      AND COALESCE(bc.amplifai_metric, bc.metric) IS NOT NULL
+    GROUP BY bc.client, bc.amplifai_org, COALESCE(bc.amplifai_metric, bc.metric), bc.year, bc.month
+  )
+  SELECT
+    COALESCE(m.client, c.client) AS client,
+    COALESCE(m.amplifai_org, c.amplifai_org) AS organization,
+    COALESCE(m.metric, c.metric) AS metric,
+    COALESCE(m.year, c.year) AS year,
+    COALESCE(m.month, c.month) AS month,
+    COALESCE(m.n, 0) AS metric_rows,
+    COALESCE(c.n, 0) AS coaching_rows
+  FROM metric_counts m
+  FULL OUTER JOIN coaching_counts c
+    ON c.client = m.client
+    AND c.amplifai_org = m.amplifai_org
+    AND c.metric = m.metric
+    AND c.year = m.year
+    AND c.month = m.month;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Grant execute permission (adjust as needed for your setup)
+-- GRANT EXECUTE ON FUNCTION get_snapshot_options TO authenticated;
@@ -11,6 +11,8 @@ CREATE TABLE IF NOT EXISTS story_log (
   performance_summary JSONB,
   coaching_summary JSONB,
   generated_content TEXT,
+  prompt_template TEXT,
+  prompt_template_version INTEGER,
   generation_date TIMESTAMPTZ DEFAULT NOW(),
   source_query TEXT,
   data_quality_notes TEXT
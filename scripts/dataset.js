@@ -0,0 +1,202 @@
+/**
+ * Dataset snapshot/restore tool
+ *
+ *   node scripts/dataset.js export [--client Alorica] [--org UHC] [--year 2025] [--tables monthly_metrics,story_log]
+ *                                  [--format json|csv] [--as-of 2025-03-31] [--out data/bundles/my-bundle]
+ *   node scripts/dataset.js verify <bundle>
+ *   node scripts/dataset.js restore <bundle> [--database-url postgres://...] [--sql restore.sql] [--truncate]
+ *
+ * --client, --org and --year can be repeated or comma-separated. Organizations match their registry aliases.
+ * --as-of drops rows created after that date: saved snapshots and stories by timestamp, monthly_metrics
+ * and behavioral_coaching by their year/month, so a bundle reproduces what a snapshot saw on that day.
+ * restore loads the bundle into Postgres (DATABASE_URL by default) or, with --sql, writes the SQL to a file.
+ */
+
+import { parseArgs } from 'node:util';
+import { writeFile } from 'fs/promises';
+import { join } from 'path';
+import dotenv from 'dotenv';
+import { DATASET_TABLES, BUNDLE_FILE_FORMATS, writeBundle, readBundle, restoreStatements } from '../src/utils/datasetBundle.js';
+import { normalizeMonth, MONTHS } from '../src/utils/periods.js';
+
+dotenv.config();
+
+const USAGE = 'Usage: node scripts/dataset.js <export|verify|restore> [options] (see the header of scripts/dataset.js)';
+
+const list = (values = []) => values.flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+
+/**
+ * Cutoff for --as-of: a date includes that whole day (UTC), a timestamp is used as given
+ * @returns {{iso: string, operator: 'lt'|'lte', period: {year: number, monthIndex: number}}|null}
+ */
+function parseAsOf(asOf) {
+  if (!asOf) return null;
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(asOf);
+  const date = new Date(dateOnly ? `${asOf}T00:00:00Z` : asOf);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`--as-of must be a date (YYYY-MM-DD) or ISO timestamp, got "${asOf}"`);
+  }
+  const period = { year: date.getUTCFullYear(), monthIndex: date.getUTCMonth() };
+  if (dateOnly) date.setUTCDate(date.getUTCDate() + 1);
+  return { iso: date.toISOString(), operator: dateOnly ? 'lt' : 'lte', period };
+}
+
+// Months after the cutoff hadn't been loaded yet, so their rows (and every row from a later year) are dropped;
+// rows in the cutoff's own year whose month isn't recognised are kept
+const monthIsBefore = (row, period) => {
+  const year = Number(row.year);
+  if (year !== period.year) return year < period.year;
+  const month = normalizeMonth(row.month);
+  return !month || MONTHS.indexOf(month) <= period.monthIndex;
+};
+
+async function exportBundle(options) {
+  // Loaded here so verify and restore work without Supabase credentials
+  const { requireDatabase } = await import('../src/config/database.js');
+  const { fetchPaged, nameFilter } = await import('../src/dataSources/supabaseSource.js');
+  const { loadRegistry, registryNames } = await import('../src/services/registry.js');
+
+  const supabase = requireDatabase();
+  await loadRegistry();
+
+  const clients = list(options.client);
+  const organizations = list(options.org);
+  const years = list(options.year).map(year => {
+    if (!/^\d{4}$/.test(year)) throw new Error(`--year must be a four-digit year, got "${year}"`);
+    return parseInt(year, 10);
+  });
+  const tables = options.tables ? list([options.tables]) : DATASET_TABLES;
+  const unknown = tables.filter(table => !DATASET_TABLES.includes(table));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown tables: ${unknown.join(', ')} (available: ${DATASET_TABLES.join(', ')})`);
+  }
+  const format = options.format || 'json';
+  if (!BUNDLE_FILE_FORMATS.includes(format)) {
+    throw new Error(`--format must be one of: ${BUNDLE_FILE_FORMATS.join(', ')}`);
+  }
+  const asOf = parseAsOf(options['as-of']);
+  const orgNames = organizations.flatMap(org => registryNames('organization', org));
+
+  // Applies the client/org/year filters to a query on columns named for that table
+  const filtered = (table, { client, org, year, createdAt }) => () => {
+    let query = supabase.from(table).select('*');
+    if (client && clients.length > 0) query = query.in(client, clients);
+    if (org && orgNames.length > 0) query = query.or(nameFilter([org], orgNames));
+    if (year && years.length > 0) query = query.in(year, years);
+    if (createdAt && asOf) query = query[asOf.operator](createdAt, asOf.iso);
+    return query;
+  };
+  const monthly = async (table) => {
+    const { rows } = await fetchPaged(table, filtered(table, { client: 'client', org: 'amplifai_org', year: 'year' }));
+    return asOf ? rows.filter(row => monthIsBefore(row, asOf.period)) : rows;
+  };
+
+  const data = {};
+  for (const table of tables) {
+    console.log(`Exporting ${table}...`);
+    if (table === 'monthly_metrics' || table === 'behavioral_coaching') {
+      data[table] = await monthly(table);
+    } else if (table === 'wonky_data') {
+      // Flags on the exported metric rows only
+      const metricIds = new Set((data.monthly_metrics || await monthly('monthly_metrics')).map(row => row.id));
+      const { rows } = await fetchPaged(table, () => supabase.from(table).select('*'), 'record_id');
+      data[table] = rows.filter(row => metricIds.has(row.record_id));
+    } else if (table === 'story_log') {
+      ({ rows: data[table] } = await fetchPaged(table, filtered(table, { client: 'client', org: 'organization', createdAt: 'generation_date' })));
+    } else if (table === 'metric_snapshots') {
+      // A snapshot belongs to the export when any of its clients was requested
+      ({ rows: data[table] } = await fetchPaged(table, () => {
+        const query = filtered(table, { org: 'amplifai_org', year: 'year', createdAt: 'created_at' })();
+        return clients.length > 0 ? query.overlaps('clients', clients) : query;
+      }));
+    }
+    console.log(`  ${data[table].length} rows`);
+  }
+
+  const label = (clients.length === 1 ? clients[0] : clients.length > 1 ? 'multi' : 'all').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  const out = options.out || join('data', 'bundles', `${label}-${new Date().toISOString().replace(/[:.]/g, '-')}`);
+  const manifest = await writeBundle(out, {
+    tables: data,
+    format,
+    filters: { clients, organizations, years },
+    asOf: options['as-of'] || null,
+    source: 'supabase'
+  });
+
+  console.log(`\nWrote bundle to ${out} (format ${manifest.format} v${manifest.version})`);
+}
+
+async function verifyBundle(dir) {
+  const { manifest } = await readBundle(dir);
+  console.log(`Bundle ${dir} is intact (created ${manifest.created_at}${manifest.as_of ? `, as of ${manifest.as_of}` : ''})`);
+  Object.entries(manifest.tables).forEach(([table, entry]) => {
+    console.log(`  ${table}: ${entry.rows} rows (${entry.file})`);
+  });
+}
+
+async function restoreBundle(dir, options) {
+  const { manifest, tables } = await readBundle(dir);
+  const statements = restoreStatements(manifest, tables, { truncate: options.truncate });
+
+  if (options.sql) {
+    await writeFile(options.sql, statements.map(statement => `${statement};`).join('\n') + '\n', 'utf8');
+    console.log(`Wrote ${statements.length} statements to ${options.sql}`);
+    return;
+  }
+
+  const connectionString = options['database-url'] || process.env.DATABASE_URL;
+  if (!connectionString) {
+    throw new Error('Pass --database-url (or set DATABASE_URL), or use --sql to write the SQL to a file');
+  }
+
+  const { default: pg } = await import('pg');
+  const client = new pg.Client({ connectionString });
+  await client.connect();
+  try {
+    for (const statement of statements) {
+      await client.query(statement);
+    }
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    await client.end();
+  }
+
+  Object.entries(manifest.tables).forEach(([table, entry]) => {
+    console.log(`  Restored ${table}: ${entry.rows} rows`);
+  });
+}
+
+async function main() {
+  const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: {
+      client: { type: 'string', multiple: true },
+      org: { type: 'string', multiple: true },
+      year: { type: 'string', multiple: true },
+      tables: { type: 'string' },
+      format: { type: 'string' },
+      'as-of': { type: 'string' },
+      out: { type: 'string' },
+      'database-url': { type: 'string' },
+      sql: { type: 'string' },
+      truncate: { type: 'boolean' }
+    }
+  });
+  const [command, bundle] = positionals;
+
+  if (command === 'export') return exportBundle(values);
+  if (!bundle || !['verify', 'restore'].includes(command)) throw new Error(USAGE);
+  return command === 'verify' ? verifyBundle(bundle) : restoreBundle(bundle, values);
+}
+
+main()
+  .then(() => {
+    console.log('\n✅ Script completed successfully');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('\n❌ Error:', error.message || error);
+    process.exit(1);
+  });
@@ -0,0 +1,36 @@
+/**
+ * Load the default organizations and metrics from src/config/registrySeed.json into registry_entries
+ * Existing entries with the same id are overwritten; entries added via /api/registry are kept
+ */
+
+import { supabase } from '../src/config/database.js';
+import { seedRows } from '../src/services/registry.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+async function seedRegistry() {
+  const rows = seedRows().map(row => ({ ...row, updated_at: new Date().toISOString() }));
+  console.log(`Seeding ${rows.length} registry entries...`);
+  
+  const { error } = await supabase
+    .from('registry_entries')
+    .upsert(rows, { onConflict: 'kind,id' });
+  
+  if (error) {
+    throw new Error(`Failed to seed registry: ${error.message} (did you run migrations/create_registry_table.sql and migrations/add_supplements_to_registry_entries.sql?)`);
+  }
+  
+  console.log(`Seeded ${rows.filter(r => r.kind === 'organization').length} organizations and ${rows.filter(r => r.kind === 'metric').length} metrics`);
+}
+
+// Run the seed
+seedRegistry()
+  .then(() => {
+    console.log('\n✅ Script completed successfully');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('\n❌ Error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,19 @@
+/**
+ * DATA_SOURCE setting, read by the data source selection (src/dataSources/index.js) and by the
+ * database client (src/config/database.js), which only requires credentials for the supabase source
+ * Kept free of imports so database.js can read it without a circular import.
+ */
+
+export const DATA_SOURCES = ['supabase', 'file'];
+
+/**
+ * Name of the configured data source (DATA_SOURCE, default 'supabase'; case and surrounding spaces are ignored)
+ * @throws {Error} When DATA_SOURCE is not a known source
+ */
+export function dataSourceName() {
+  const name = (process.env.DATA_SOURCE || 'supabase').trim().toLowerCase();
+  if (!DATA_SOURCES.includes(name)) {
+    throw new Error(`DATA_SOURCE must be one of: ${DATA_SOURCES.join(', ')}`);
+  }
+  return name;
+}
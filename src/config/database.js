@@ -1,5 +1,6 @@
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import { dataSourceName } from './dataSource.js';
 
 dotenv.config();
 
@@ -7,34 +8,52 @@ const supabaseUrl = process.env.SUPABASE_URL;
 // Try service role key first (bypasses RLS), fallback to anon key
 const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_KEY;
 
-if (!supabaseUrl || !supabaseKey) {
+// The file data source (DATA_SOURCE=file) runs without a database; anything else needs credentials
+const databaseOptional = dataSourceName() === 'file';
+
+if ((!supabaseUrl || !supabaseKey) && !databaseOptional) {
   throw new Error('Missing SUPABASE_URL or SUPABASE_KEY/SUPABASE_SERVICE_ROLE_KEY in environment variables');
 }
 
-// Create client with options for better error handling
-export const supabase = createClient(supabaseUrl, supabaseKey, {
-  auth: {
-    persistSession: false
-  },
-  db: {
-    schema: 'public'
-  }
-});
+// Create client with options for better error handling (null when running on the file data source without credentials)
+export const supabase = supabaseUrl && supabaseKey
+  ? createClient(supabaseUrl, supabaseKey, {
+    auth: {
+      persistSession: false
+    },
+    db: {
+      schema: 'public'
+    }
+  })
+  : null;
 
 // Log which key type is being used (without exposing the key)
-if (process.env.SUPABASE_SERVICE_ROLE_KEY) {
+if (!supabase) {
+  console.log('No Supabase credentials: running on the file data source only');
+} else if (process.env.SUPABASE_SERVICE_ROLE_KEY) {
   console.log('Using SUPABASE_SERVICE_ROLE_KEY (bypasses RLS)');
 } else {
   console.log('Using SUPABASE_KEY (anon key - subject to RLS policies)');
 }
 
+/**
+ * The Supabase client, for features that only work against the database (saving, history, registry edits)
+ * @throws {Error} When no database is configured
+ */
+export function requireDatabase() {
+  if (!supabase) {
+    throw new Error('No database configured: set SUPABASE_URL and SUPABASE_KEY (DATA_SOURCE=file only reads the local JSON exports)');
+  }
+  return supabase;
+}
+
 /**
  * Test database connection
  * @returns {Promise<boolean>}
  */
 export async function testConnection() {
   try {
-    const { error } = await supabase.from('monthly_metrics').select('id').limit(1);
+    const { error } = await requireDatabase().from('monthly_metrics').select('id').limit(1);
     if (error) throw error;
     return true;
   } catch (error) {
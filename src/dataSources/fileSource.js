@@ -0,0 +1,148 @@
+import { readdir, readFile } from 'fs/promises';
+import { join, resolve } from 'path';
+import { matchesPeriods } from '../utils/periods.js';
+import { logger } from '../utils/logger.js';
+import { isBundle, readBundle } from '../utils/datasetBundle.js';
+
+// Where `npm run download-alorica` writes its bundle
+export const DEFAULT_FALLBACK_DIR = './data/alorica-fallback';
+
+const lower = (value) => String(value ?? '').toLowerCase();
+
+/**
+ * Whether a row's { year, month } is one of the periods, with the month in any form normalizeMonth reads
+ * ("Jan", "JAN", "January", 1, "01"), as the Supabase source and the SQL functions match it; null periods mean every month
+ */
+function inPeriods(row, periods) {
+  return !periods || matchesPeriods(row, periods);
+}
+
+/**
+ * Keeps only the requested columns ("*" or a comma-separated list, as in a Supabase select)
+ */
+function selectColumns(rows, columns = '*') {
+  if (!columns || columns.trim() === '*') return rows;
+  const names = columns.split(',').map(name => name.trim()).filter(Boolean);
+  return rows.map(row => Object.fromEntries(names.map(name => [name, row[name] ?? null])));
+}
+
+const byId = (a, b) => String(a.id).localeCompare(String(b.id), undefined, { numeric: true });
+
+/**
+ * Reads the older per-month exports: one file per month of { year, month, monthly_metrics, behavioral_coaching }
+ */
+async function readMonthlyExports(dir) {
+  const files = (await readdir(dir)).filter(file => file.endsWith('.json') && file !== 'summary.json').sort();
+  const tables = { monthly_metrics: [], behavioral_coaching: [] };
+  for (const file of files) {
+    const data = JSON.parse(await readFile(join(dir, file), 'utf8'));
+    tables.monthly_metrics.push(...(data.monthly_metrics || []));
+    tables.behavioral_coaching.push(...(data.behavioral_coaching || []));
+  }
+  return { tables, description: `${files.length} files` };
+}
+
+/**
+ * Data source over a dataset bundle written by scripts/dataset.js (checksums are verified on load),
+ * or over a folder of the older per-month JSON exports
+ * Filters are applied in JavaScript with the same matching rules as the Supabase source.
+ * There are no database functions, so every rpc() call reports an error and callers use their
+ * JavaScript fallbacks. Wonky records are excluded when the bundle includes wonky_data.
+ *
+ * @param {string} directory - Bundle or folder of exports (default: FALLBACK_DATA_DIR or ./data/alorica-fallback)
+ */
+export function createFileSource(directory = process.env.FALLBACK_DATA_DIR || DEFAULT_FALLBACK_DIR) {
+  const dir = resolve(directory);
+  let loading = null;
+
+  // Read the data once per process; the files only change when an export runs again
+  const load = () => {
+    loading = loading || (async () => {
+      const { tables, description } = await isBundle(dir)
+        ? await readBundle(dir).then(bundle => ({ tables: bundle.tables, description: `bundle created ${bundle.manifest.created_at}` }))
+        : await readMonthlyExports(dir);
+      tables.monthly_metrics = (tables.monthly_metrics || []).sort(byId);
+      tables.behavioral_coaching = (tables.behavioral_coaching || []).sort(byId);
+      logger.info(`File data source: ${description} from ${dir} (${tables.monthly_metrics.length} metric rows, ${tables.behavioral_coaching.length} coaching rows)`);
+      return tables;
+    })();
+    loading.catch(() => { loading = null; });
+    return loading;
+  };
+
+  const table = async (name) => {
+    const tables = await load();
+    if (!tables[name]) {
+      throw new Error(`Table ${name} is not available in the file data source`);
+    }
+    return tables[name];
+  };
+
+  // Case-insensitive exact name match, like the Supabase source's ilike filters
+  const matchesAny = (row, columns, names) => {
+    const wanted = new Set(names.map(lower));
+    return columns.some(column => row[column] != null && wanted.has(lower(row[column])));
+  };
+
+  return {
+    name: 'file',
+
+    async testConnection() {
+      try {
+        await load();
+        return true;
+      } catch (error) {
+        console.error(`File data source not readable (${dir}):`, error.message);
+        return false;
+      }
+    },
+
+    async rpc(fn) {
+      return { data: null, error: { message: `Function ${fn} is not available in the file data source` } };
+    },
+
+    async fetchMonthlyMetrics(plan, columns) {
+      const rows = (await table('monthly_metrics')).filter(row =>
+        plan.clients.includes(row.client) &&
+        matchesAny(row, ['amplifai_org'], plan.organizations) &&
+        matchesAny(row, ['amplifai_metric'], plan.metrics) &&
+        inPeriods(row, plan.metric_periods));
+      return { rows: selectColumns(rows, columns), pages: 1 };
+    },
+
+    async fetchBehavioralCoaching(plan, columns) {
+      const rows = (await table('behavioral_coaching')).filter(row =>
+        plan.clients.includes(row.client) &&
+        matchesAny(row, ['amplifai_org'], plan.organizations) &&
+        matchesAny(row, ['amplifai_metric', 'metric'], plan.metrics) &&
+        inPeriods(row, plan.coaching_periods));
+      return { rows: selectColumns(rows, columns), pages: 1 };
+    },
+
+    async fetchAllRows(name, columns) {
+      return selectColumns(await table(name), columns);
+    },
+
+    async fetchGoalMetrics(year) {
+      return (await table('monthly_metrics')).filter(row =>
+        Number(row.year) === Number(year) &&
+        row.goal != null && row.actual != null && row.amplifai_org != null &&
+        row.actual >= 1 && row.goal >= 1);
+    },
+
+    async fetchWonkyRecordIds() {
+      const { wonky_data: wonky = [] } = await load();
+      return wonky.filter(row => row.reviewed === false).map(row => row.record_id);
+    },
+
+    async fetchProgramCoaching({ client, organization, program, metric, year }) {
+      const rows = (await table('behavioral_coaching')).filter(row =>
+        row.client === client &&
+        row.amplifai_org === organization &&
+        row.program === program &&
+        row.amplifai_metric === metric &&
+        Number(row.year) === Number(year));
+      return selectColumns(rows, 'behavior, sub_behavior, coaching_count, effectiveness_pct');
+    }
+  };
+}
@@ -0,0 +1,42 @@
+/**
+ * Data source selection
+ * Snapshots, high performers and coaching enrichment read monthly_metrics and behavioral_coaching
+ * through a data source instead of calling Supabase directly, so the app can run against the
+ * database (DATA_SOURCE=supabase, the default) or offline over a dataset bundle or JSON exports (DATA_SOURCE=file).
+ *
+ * A data source provides:
+ * - name: 'supabase' or 'file'
+ * - testConnection(): Promise<boolean>
+ * - rpc(fn, args): Promise<{ data, error }> (database functions; callers fall back to JavaScript on error)
+ * - fetchMonthlyMetrics(plan, columns) / fetchBehavioralCoaching(plan, columns): Promise<{ rows, pages }>
+ *   for a plan from planSnapshotQueries (null metric_periods / coaching_periods: every month)
+ * - fetchAllRows(table, columns): Promise<Array> (every row of a table)
+ * - fetchGoalMetrics(year): Promise<Array> (monthly_metrics rows with an org, actual and goal of at least 1)
+ * - fetchWonkyRecordIds(): Promise<Array> (unreviewed wonky_data record ids)
+ * - fetchProgramCoaching({ client, organization, program, metric, year }): Promise<Array>
+ */
+
+import { createSupabaseSource } from './supabaseSource.js';
+import { createFileSource } from './fileSource.js';
+import { dataSourceName } from '../config/dataSource.js';
+
+export { DATA_SOURCES, dataSourceName } from '../config/dataSource.js';
+
+let dataSource = null;
+
+/**
+ * The data source for this process, created on first use
+ */
+export function getDataSource() {
+  if (!dataSource) {
+    dataSource = dataSourceName() === 'file' ? createFileSource() : createSupabaseSource();
+  }
+  return dataSource;
+}
+
+/**
+ * Replaces the data source (e.g. a file source over test fixtures); pass null to go back to DATA_SOURCE
+ */
+export function setDataSource(source) {
+  dataSource = source;
+}
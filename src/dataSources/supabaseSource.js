@@ -0,0 +1,160 @@
+import { supabase, testConnection } from '../config/database.js';
+import { MONTHS, matchesPeriods } from '../utils/periods.js';
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Quotes a value for a PostgREST filter list (names can contain spaces, commas or dots)
+ */
+const quote = (value) => `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+
+/**
+ * Escapes LIKE wildcards so a name only matches itself
+ */
+const likeLiteral = (value) => String(value).replace(/[\\%_]/g, '\\$&');
+
+/**
+ * PostgREST `or` expression for the periods: one and(year, month) group per year
+ * Months match case-insensitively by name ("Jan", "JAN", "January") or as a number ("1", "01"), the forms
+ * normalizeMonth and the SQL functions accept; the rows are then narrowed to the exact periods with matchesPeriods
+ */
+export function periodFilter(periods) {
+  const monthsByYear = {};
+  periods.forEach(({ year, month }) => {
+    monthsByYear[year] = monthsByYear[year] || new Set();
+    monthsByYear[year].add(month);
+  });
+  return Object.entries(monthsByYear)
+    .map(([year, months]) => {
+      const numbers = [...months].flatMap(month => {
+        const number = MONTHS.indexOf(month) + 1;
+        return [String(number), String(number).padStart(2, '0')];
+      });
+      const names = [...months].map(month => `month.ilike.${month.toLowerCase()}*`);
+      return `and(year.eq.${year},or(${[...names, `month.in.(${[...new Set(numbers)].join(',')})`].join(',')}))`;
+    })
+    .join(',');
+}
+
+/**
+ * Fetches with the period filter and keeps only rows in the exact periods; null periods mean every month
+ */
+async function fetchInPeriods(table, buildQuery, periods) {
+  if (!periods) return fetchPaged(table, buildQuery);
+  const { rows, pages } = await fetchPaged(table, () => buildQuery().or(periodFilter(periods)));
+  return { rows: rows.filter(row => matchesPeriods(row, periods)), pages };
+}
+
+/**
+ * PostgREST `or` expression matching any of the names case-insensitively in any of the columns
+ * (% and _ in a name are matched literally; PostgREST reads * as a wildcard, so names with * match exactly)
+ */
+export function nameFilter(columns, names) {
+  return columns.flatMap(column => names.map(name => (String(name).includes('*')
+    ? `${column}.eq.${quote(name)}`
+    : `${column}.ilike.${quote(likeLiteral(name))}`))).join(',');
+}
+
+/**
+ * Pages through a filtered query (PostgREST caps each response, so large windows need several pages)
+ * Also used by scripts/dataset.js for exports
+ * @param {Function} buildQuery - Returns a fresh filtered query builder
+ * @param {string} orderBy - Unique column that keeps pages stable
+ * @returns {Promise<{rows: Array, pages: number}>}
+ */
+export async function fetchPaged(table, buildQuery, orderBy = 'id') {
+  let rows = [];
+  let pages = 0;
+  let hasMore = true;
+
+  while (hasMore) {
+    const { data, error } = await buildQuery()
+      .order(orderBy, { ascending: true })
+      .range(rows.length, rows.length + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to fetch ${table}: ${error.message} (code: ${error.code}, hint: ${error.hint || 'none'})`);
+    }
+
+    rows = rows.concat(data || []);
+    pages++;
+    hasMore = (data?.length || 0) === PAGE_SIZE;
+  }
+
+  return { rows, pages };
+}
+
+/**
+ * Data source backed by the Supabase tables and database functions (the default)
+ * Filters run in the database; see src/dataSources/index.js for the interface
+ */
+export function createSupabaseSource() {
+  return {
+    name: 'supabase',
+
+    testConnection,
+
+    rpc: (fn, args) => supabase.rpc(fn, args),
+
+    fetchMonthlyMetrics: (plan, columns) => fetchInPeriods('monthly_metrics', () => supabase
+      .from('monthly_metrics')
+      .select(columns)
+      .in('client', plan.clients)
+      .or(nameFilter(['amplifai_org'], plan.organizations))
+      .or(nameFilter(['amplifai_metric'], plan.metrics)), plan.metric_periods),
+
+    // The metric matches on amplifai_metric or the raw metric column, like rowMatchesMetric
+    fetchBehavioralCoaching: (plan, columns) => fetchInPeriods('behavioral_coaching', () => supabase
+      .from('behavioral_coaching')
+      .select(columns)
+      .in('client', plan.clients)
+      .or(nameFilter(['amplifai_org'], plan.organizations))
+      .or(nameFilter(['amplifai_metric', 'metric'], plan.metrics)), plan.coaching_periods),
+
+    async fetchAllRows(table, columns) {
+      const { rows } = await fetchPaged(table, () => supabase.from(table).select(columns));
+      return rows;
+    },
+
+    async fetchGoalMetrics(year) {
+      const { data, error } = await supabase
+        .from('monthly_metrics')
+        .select('*')
+        .eq('year', year)
+        .not('goal', 'is', null)
+        .not('actual', 'is', null)
+        .not('amplifai_org', 'is', null)
+        .gte('actual', 1)
+        .gte('goal', 1);
+
+      if (error) {
+        throw new Error(`Database query failed: ${error.message}`);
+      }
+      return data || [];
+    },
+
+    async fetchWonkyRecordIds() {
+      const { data } = await supabase
+        .from('wonky_data')
+        .select('record_id')
+        .eq('reviewed', false);
+      return (data || []).map(w => w.record_id);
+    },
+
+    async fetchProgramCoaching({ client, organization, program, metric, year }) {
+      const { data, error } = await supabase
+        .from('behavioral_coaching')
+        .select('behavior, sub_behavior, coaching_count, effectiveness_pct')
+        .eq('client', client)
+        .eq('amplifai_org', organization)
+        .eq('program', program)
+        .eq('amplifai_metric', metric)
+        .eq('year', year);
+
+      if (error) {
+        throw new Error(`Failed to fetch coaching data: ${error.message}`);
+      }
+      return data || [];
+    }
+  };
+}
@@ -1,5 +1,5 @@
 import { generateHighPerformerStories } from './services/storyGenerator.js';
-import { testConnection } from './config/database.js';
+import { getDataSource } from './dataSources/index.js';
 import { logger } from './utils/logger.js';
 
 /**
@@ -12,7 +12,7 @@ async function main() {
   try {
     // Test database connection
     logger.info('Testing database connection...');
-    const connected = await testConnection();
+    const connected = await getDataSource().testConnection();
     if (!connected) {
       throw new Error('Database connection failed');
     }
@@ -27,7 +27,8 @@ async function main() {
     const stories = await generateHighPerformerStories({
       year,
       limit,
-      saveToDatabase: true,
+      // Offline runs (DATA_SOURCE=file) have no story_log to save to
+      saveToDatabase: getDataSource().name === 'supabase',
     });
     
     logger.info(`\n=== Generation Complete ===`);
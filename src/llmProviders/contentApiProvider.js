@@ -0,0 +1,83 @@
+import axios from 'axios';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Retry helper with exponential backoff
+ * @param {Function} fn - Function to retry
+ * @param {number} maxRetries - Maximum number of retries
+ * @param {number} delay - Initial delay in ms
+ * @returns {Promise}
+ */
+async function retryWithBackoff(fn, maxRetries = 3, delay = 1000) {
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt === maxRetries) {
+        throw error;
+      }
+      const waitTime = delay * Math.pow(2, attempt - 1);
+      logger.warn(`API call failed (attempt ${attempt}/${maxRetries}), retrying in ${waitTime}ms...`);
+      await new Promise(resolve => setTimeout(resolve, waitTime));
+    }
+  }
+}
+
+/**
+ * Provider for the external Content Assistant API (CONTENT_API_URL / CONTENT_API_KEY)
+ * Posts { story_type, data, prompt } and reads back content (or text), tokens_used and model.
+ * The API picks its own model unless one is configured for the use case.
+ *
+ * @param {Object} options
+ * @param {string} options.url
+ * @param {string} options.apiKey
+ */
+export function createContentApiProvider({ url, apiKey } = {}) {
+  return {
+    name: 'content_api',
+
+    configurationError() {
+      return url && apiKey ? null : 'CONTENT_API_URL and CONTENT_API_KEY must be set in environment variables';
+    },
+
+    requestPayload({ useCase, model, system, prompt, data, storyType }) {
+      return {
+        story_type: storyType || useCase,
+        data,
+        prompt,
+        ...(system && { system }),
+        ...(model && { model }),
+      };
+    },
+
+    async generate(request) {
+      const { model } = request;
+      const payload = this.requestPayload(request);
+
+      logger.debug('API payload:', JSON.stringify(payload, null, 2));
+
+      try {
+        const response = await retryWithBackoff(() => axios.post(url, payload, {
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${apiKey}`,
+          },
+          timeout: 30000, // 30 second timeout
+        }));
+
+        return {
+          text: response.data.content || response.data.text || '',
+          model: response.data.model || model || 'unknown',
+          tokens_used: response.data.tokens_used || null,
+        };
+      } catch (error) {
+        logger.error('Content API call failed', {
+          message: error.message,
+          status: error.response?.status,
+          data: error.response?.data,
+        });
+        throw new Error(`Content API call failed: ${error.message}`);
+      }
+    }
+  };
+}
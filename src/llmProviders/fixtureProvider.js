@@ -0,0 +1,70 @@
+import { createHash } from 'node:crypto';
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { join, resolve } from 'path';
+import { stableStringify } from '../utils/snapshotCache.js';
+
+export const FIXTURE_MODES = ['record', 'replay'];
+export const DEFAULT_FIXTURE_DIR = './test/fixtures/llm';
+
+/**
+ * Fixture key: sha256 of the provider name and the exact request it would send (prompt, model, payload data)
+ */
+export function fixtureKey(providerName, payload) {
+  return createHash('sha256').update(stableStringify({ provider: providerName, payload })).digest('hex');
+}
+
+/**
+ * Wraps a provider to record its responses to fixture files, or to replay them without calling it
+ * Each call is stored as <use case>-<first 16 hex of the key>.json with the request payload and response,
+ * so a fixture only replays for the identical prompt/payload. Replay needs no credentials or network.
+ *
+ * @param {Object} provider - Provider to wrap (see src/llmProviders/index.js)
+ * @param {Object} options
+ * @param {'record'|'replay'} options.mode
+ * @param {string} options.directory - Fixture folder (default: LLM_FIXTURES_DIR or ./test/fixtures/llm)
+ */
+export function createFixtureProvider(provider, { mode, directory = process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURE_DIR }) {
+  const dir = resolve(directory);
+
+  return {
+    name: provider.name,
+
+    configurationError() {
+      return mode === 'replay' ? null : provider.configurationError();
+    },
+
+    requestPayload: (request) => provider.requestPayload(request),
+
+    async generate(request) {
+      const payload = provider.requestPayload(request);
+      const key = fixtureKey(provider.name, payload);
+      const file = join(dir, `${request.useCase}-${key.slice(0, 16)}.json`);
+
+      if (mode === 'replay') {
+        let fixture;
+        try {
+          fixture = JSON.parse(await readFile(file, 'utf8'));
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+          throw new Error(`No ${request.useCase} fixture for this ${provider.name} request in ${dir} (key ${key}); record it with LLM_FIXTURES=record`);
+        }
+        if (fixture.key !== key) {
+          throw new Error(`Fixture ${file} was recorded for a different request (key ${fixture.key})`);
+        }
+        return fixture.response;
+      }
+
+      const response = await provider.generate(request);
+      await mkdir(dir, { recursive: true });
+      await writeFile(file, JSON.stringify({
+        key,
+        provider: provider.name,
+        use_case: request.useCase,
+        recorded_at: new Date().toISOString(),
+        request: payload,
+        response,
+      }, null, 2) + '\n', 'utf8');
+      return response;
+    }
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * LLM provider selection
+ * AI summaries, case studies and high-performer stories generate text through a provider, chosen per
+ * use case by configuration:
+ * - LLM_PROVIDER sets the provider for every use case; LLM_PROVIDER_SUMMARY, LLM_PROVIDER_CASE_STUDY
+ *   and LLM_PROVIDER_STORY override it for one
+ * - LLM_MODEL_<USE_CASE>, then the older OPENAI_MODEL / OPENAI_MODEL_CASE_STUDY, then LLM_MODEL pick the model
+ * - LLM_FIXTURES=record saves every call's request and response under LLM_FIXTURES_DIR;
+ *   LLM_FIXTURES=replay answers from those files instead of calling the provider
+ *
+ * A provider provides:
+ * - name: one of LLM_PROVIDERS
+ * - configurationError(): string|null (what's missing before it can be called)
+ * - requestPayload(request): the exact request it would send (used as the fixture key)
+ * - generate({ useCase, model, system, prompt, temperature, maxTokens, data, template, storyType }):
+ *   Promise<{ text, model, tokens_used }>. data is the structured input the prompt was built from
+ *   (the template provider writes from it; the Content API receives it as payload data).
+ */
+
+import { createOpenAIProvider } from './openaiProvider.js';
+import { createContentApiProvider } from './contentApiProvider.js';
+import { createTemplateProvider } from './templateProvider.js';
+import { createFixtureProvider, FIXTURE_MODES } from './fixtureProvider.js';
+import { logger } from '../utils/logger.js';
+
+export const LLM_PROVIDERS = ['openai', 'openai_compatible', 'content_api', 'template'];
+
+// Defaults keep each use case on the backend it used before providers were configurable
+export const LLM_USE_CASES = {
+  summary: { provider: 'openai', modelEnv: 'OPENAI_MODEL', model: 'gpt-4o-mini' },
+  case_study: { provider: 'openai', modelEnv: 'OPENAI_MODEL_CASE_STUDY', model: 'gpt-4o' },
+  story: { provider: 'content_api', modelEnv: null, model: null },
+};
+
+const providers = {};
+let providerOverride = null;
+
+function createProvider(name) {
+  if (name === 'openai') return createOpenAIProvider({ apiKey: process.env.OPENAI_API_KEY });
+  if (name === 'openai_compatible') {
+    return createOpenAIProvider({ name, apiKey: process.env.LLM_API_KEY, baseURL: process.env.LLM_BASE_URL });
+  }
+  if (name === 'content_api') {
+    return createContentApiProvider({ url: process.env.CONTENT_API_URL, apiKey: process.env.CONTENT_API_KEY });
+  }
+  return createTemplateProvider();
+}
+
+/**
+ * Record/replay mode from LLM_FIXTURES, or null for live calls
+ * @throws {Error} When LLM_FIXTURES is set to an unknown mode
+ */
+export function fixtureMode() {
+  const mode = (process.env.LLM_FIXTURES || '').trim().toLowerCase();
+  if (!mode) return null;
+  if (!FIXTURE_MODES.includes(mode)) {
+    throw new Error(`LLM_FIXTURES must be one of: ${FIXTURE_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * Provider and model configured for a use case
+ * @param {string} useCase - A key of LLM_USE_CASES
+ * @returns {{provider: string, model: string|null}}
+ * @throws {Error} For an unknown use case or provider name
+ */
+export function resolveLlmConfig(useCase) {
+  const defaults = LLM_USE_CASES[useCase];
+  if (!defaults) {
+    throw new Error(`Unknown LLM use case: ${useCase}`);
+  }
+
+  const key = useCase.toUpperCase();
+  const provider = (process.env[`LLM_PROVIDER_${key}`] || process.env.LLM_PROVIDER || defaults.provider).trim().toLowerCase();
+  if (!LLM_PROVIDERS.includes(provider)) {
+    throw new Error(`LLM provider for ${useCase} must be one of: ${LLM_PROVIDERS.join(', ')}`);
+  }
+
+  const model = process.env[`LLM_MODEL_${key}`] ||
+    (defaults.modelEnv && process.env[defaults.modelEnv]) ||
+    process.env.LLM_MODEL ||
+    defaults.model;
+  return { provider, model };
+}
+
+/**
+ * The provider instance for a use case, created on first use
+ */
+export function getLlmProvider(useCase) {
+  if (providerOverride) return providerOverride;
+  const { provider } = resolveLlmConfig(useCase);
+  const mode = fixtureMode();
+  const key = mode ? `${provider}:${mode}` : provider;
+  providers[key] = providers[key] || (mode
+    ? createFixtureProvider(createProvider(provider), { mode })
+    : createProvider(provider));
+  return providers[key];
+}
+
+/**
+ * Routes every use case to one provider (e.g. a stub in tests); pass null to go back to configuration
+ */
+export function setLlmProvider(provider) {
+  providerOverride = provider;
+}
+
+/**
+ * What's missing before a use case's provider can be called, or null when it's ready
+ * Lets callers skip optional text (AI summaries) instead of failing
+ */
+export function llmConfigurationError(useCase) {
+  return getLlmProvider(useCase).configurationError();
+}
+
+/**
+ * Generates text for a use case with its configured provider and model
+ *
+ * @param {string} useCase - A key of LLM_USE_CASES
+ * @param {Object} request - { system, prompt, temperature, maxTokens, data, template, storyType }
+ * @returns {Promise<{text: string, model: string, tokens_used: number|null, provider: string}>}
+ * @throws {Error} When the provider isn't configured or the call fails
+ */
+export async function generateText(useCase, request) {
+  const provider = getLlmProvider(useCase);
+  const configurationError = provider.configurationError();
+  if (configurationError) {
+    throw new Error(`${useCase} uses the ${provider.name} provider: ${configurationError}`);
+  }
+
+  const { model } = resolveLlmConfig(useCase);
+  logger.info(`Generating ${useCase} text with ${provider.name}${model ? ` (${model})` : ''}`);
+  const result = await provider.generate({ ...request, useCase, model });
+  return { ...result, provider: provider.name };
+}
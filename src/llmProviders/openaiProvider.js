@@ -0,0 +1,51 @@
+import OpenAI from 'openai';
+
+/**
+ * Provider for the OpenAI chat completions API, or any server that speaks it
+ * ('openai_compatible': Ollama, vLLM, LM Studio, ... at LLM_BASE_URL)
+ *
+ * @param {Object} options
+ * @param {string} options.name - 'openai' or 'openai_compatible'
+ * @param {string} options.apiKey - Required for OpenAI; optional for local endpoints
+ * @param {string} options.baseURL - Endpoint for OpenAI-compatible servers (e.g. http://localhost:11434/v1)
+ */
+export function createOpenAIProvider({ name = 'openai', apiKey, baseURL } = {}) {
+  let client = null;
+
+  return {
+    name,
+
+    configurationError() {
+      if (name === 'openai_compatible') {
+        return baseURL ? null : 'LLM_BASE_URL not configured';
+      }
+      return apiKey ? null : 'OPENAI_API_KEY not configured';
+    },
+
+    requestPayload({ model, system, prompt, temperature, maxTokens }) {
+      return {
+        model,
+        messages: [
+          ...(system ? [{ role: 'system', content: system }] : []),
+          { role: 'user', content: prompt }
+        ],
+        temperature,
+        max_tokens: maxTokens,
+      };
+    },
+
+    async generate(request) {
+      const { model } = request;
+      // Created on first use so a missing key only matters to the use cases routed here
+      client = client || new OpenAI({ apiKey: apiKey || 'not-needed', ...(baseURL && { baseURL }) });
+
+      const response = await client.chat.completions.create(this.requestPayload(request));
+
+      return {
+        text: response.choices[0]?.message?.content?.trim() || '',
+        model: response.model || model,
+        tokens_used: response.usage?.total_tokens ?? null,
+      };
+    }
+  };
+}
@@ -0,0 +1,120 @@
+/**
+ * Deterministic offline provider: fills fixed templates from the request's structured data instead of
+ * calling a model, so the pipeline runs in tests and without network. The same data always produces
+ * the same text. Prompts are ignored; each use case (or request.template) picks a template.
+ */
+
+const describeMovement = (improved) => improved === true ? 'improved' : improved === false ? 'declined' : 'held steady';
+
+const topBehaviorsText = (behaviors = [], count = 2) => {
+  const names = behaviors.slice(0, count).map(behavior => `${behavior.behavior} (${behavior.sessions} sessions)`);
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names.join('');
+};
+
+/**
+ * Snapshot summary: movement, goal attainment and the coaching behind it
+ */
+function summaryTemplate(snapshot = {}) {
+  const metadata = snapshot.snapshot_metadata || {};
+  const comparison = metadata.comparison || {};
+  const coaching = snapshot.coaching_activity?.current || {};
+
+  const sentences = [
+    `${metadata.metric} ${describeMovement(comparison.improved)} from ${comparison.previous_value} in ${comparison.previous_period} ` +
+      `to ${comparison.current_value} in ${comparison.current_period} (${comparison.change}, ${comparison.percent_change}) for ${metadata.organization}.`
+  ];
+  if (comparison.current_goal && comparison.current_goal !== 'N/A') {
+    sentences.push(`That is ${comparison.current_percent_of_goal} of the ${comparison.current_goal} goal.`);
+  }
+  if (coaching.total_coaching_sessions) {
+    const top = topBehaviorsText(coaching.top_behaviors);
+    sentences.push(`${coaching.period_label} coaching totaled ${coaching.total_coaching_sessions} sessions${top ? `, led by ${top}` : ''}.`);
+  }
+  return sentences.join(' ');
+}
+
+/**
+ * Multi-metric summary: one clause per metric, then behaviors that moved with several metrics
+ */
+function multiSummaryTemplate(multiData = {}) {
+  const metadata = multiData.snapshot_metadata || {};
+  const comparison = metadata.comparison || {};
+  const metrics = (multiData.metrics || []).map(result => {
+    if (result.status === 'insufficient_data') return `${result.metric} had not enough data`;
+    const metricComparison = result.snapshot_metadata.comparison;
+    return `${result.metric} ${describeMovement(metricComparison.improved)} (${metricComparison.previous_value} to ${metricComparison.current_value})`;
+  });
+  const coMoving = (multiData.co_moving_behaviors || [])
+    .slice(0, 2)
+    .map(entry => `${entry.behavior} coaching moved with ${entry.metrics.map(m => m.metric).join(' and ')}`);
+
+  return [
+    `${metadata.organization} results for ${comparison.current_period} vs ${comparison.previous_period}: ${metrics.join('; ')}.`,
+    ...(coMoving.length > 0 ? [`${coMoving.join('; ')}.`] : [])
+  ].join(' ');
+}
+
+/**
+ * Case study: problem, solution and results paragraphs
+ */
+function caseStudyTemplate(snapshot = {}) {
+  const metadata = snapshot.snapshot_metadata || {};
+  const comparison = metadata.comparison || {};
+  const current = snapshot.coaching_activity?.current || {};
+  const change = snapshot.coaching_activity?.change || {};
+  const top = topBehaviorsText(current.top_behaviors, 3);
+
+  return [
+    `${metadata.organization} tracked ${metadata.metric} at ${comparison.previous_value} in ${comparison.previous_period}` +
+      `${comparison.previous_goal && comparison.previous_goal !== 'N/A' ? ` against a goal of ${comparison.previous_goal}` : ''}.`,
+    `In ${current.period_label || 'the coaching period'}, teams ran ${current.total_coaching_sessions || 0} coaching sessions` +
+      `${change.coaching_volume_change_pct ? ` (${change.coaching_volume_change_pct} vs the previous period)` : ''}${top ? `, focused on ${top}` : ''}.`,
+    `${metadata.metric} ${describeMovement(comparison.improved)} to ${comparison.current_value} in ${comparison.current_period} ` +
+      `(${comparison.change}, ${comparison.percent_change}).`
+  ].join('\n\n');
+}
+
+/**
+ * High-performer story from the Content API payload data ({ organization, program, metrics, coaching })
+ */
+function storyTemplate(data = {}) {
+  const metric = data.metrics?.[0] || {};
+  const side = metric.direction === 'lower' ? 'at or below' : 'at or above';
+  const top = topBehaviorsText(data.coaching, 3);
+
+  return [
+    `${data.program} at ${data.organization} kept ${metric.name} ${side} goal in ${metric.pct_above_goal}% of ${metric.months_tracked} tracked months, ` +
+      `averaging ${metric.actual} against a goal of ${metric.goal}.`,
+    ...(top ? [`Coaching focused on ${top}.`] : [])
+  ].join(' ');
+}
+
+const TEMPLATES = {
+  summary: summaryTemplate,
+  multi_summary: multiSummaryTemplate,
+  case_study: caseStudyTemplate,
+  story: storyTemplate,
+};
+
+export function createTemplateProvider() {
+  return {
+    name: 'template',
+
+    configurationError() {
+      return null;
+    },
+
+    requestPayload({ useCase, template, data }) {
+      return { template: template || useCase, data };
+    },
+
+    async generate(request) {
+      const { template, data } = this.requestPayload(request);
+      const fill = TEMPLATES[template];
+      if (!fill) {
+        throw new Error(`No template for ${template}`);
+      }
+      return { text: fill(data), model: 'template', tokens_used: 0 };
+    }
+  };
+}
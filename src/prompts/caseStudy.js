@@ -0,0 +1,96 @@
+/**
+ * Case study prompt: a blog-format case study from a snapshot, written from the BPO partner's perspective
+ * The narrative preset (src/services/narrativePresets.js) supplies the style, tone and avoid variables.
+ */
+
+export const CASE_STUDY_TEMPLATES = [
+  {
+    id: 'case_study',
+    version: 1,
+    description: 'Problem → solution → results case study of one snapshot, with generic BPO names',
+    variables: [
+      'role', 'style', 'bpo_noun', 'bpo_pronoun', 'organization', 'clients', 'metric', 'current_period',
+      'current_value', 'previous_period', 'previous_value', 'change', 'percent_change', 'metric_direction',
+      'programs_count', 'data_points', 'current_coaching_period', 'current_sessions',
+      'current_effectiveness', 'current_records', 'previous_coaching_period', 'previous_sessions',
+      'previous_effectiveness', 'previous_records', 'volume_change', 'volume_change_pct',
+      'effectiveness_change', 'current_behaviors', 'previous_behaviors', 'lag_description', 'timing_context',
+      'tone_guidelines', 'avoid', 'top_behavior_sessions', 'top_behavior'
+    ],
+    system: '{{role}}',
+    prompt: `You are writing customer success case studies for contact center performance improvements.
+Write {{style}} (2-3 paragraphs) from the perspective of a {{bpo_noun}} delivering services on behalf of UHC (the payer client).
+Do NOT frame the results as UHC's internal operations; explicitly attribute the work and improvements to the {{bpo_noun}} serving UHC members/customers.
+Always use generic BPO names (BPO 1/2/3) and avoid real vendor names.
+
+CONTEXT:
+- End Client (Payer): {{organization}}
+- {{bpo_noun}}: {{clients}}
+- Engagement: {{bpo_pronoun}} handle member/customer calls on behalf of UHC and are accountable for performance outcomes (e.g., {{metric}}).
+
+PERFORMANCE RESULTS:
+- Current Period ({{current_period}}): {{current_value}}
+- Previous Period ({{previous_period}}): {{previous_value}}
+- Change: {{change}} ({{percent_change}})
+- Direction: {{metric_direction}}
+- Programs Analyzed: {{programs_count}}
+- Total Data Points: {{data_points}}
+
+COACHING ACTIVITY (delivered by the {{bpo_noun}}):
+Current Period ({{current_coaching_period}}):
+- Total Sessions: {{current_sessions}}
+- Effectiveness: {{current_effectiveness}}
+- Records: {{current_records}}
+
+Previous Period ({{previous_coaching_period}}):
+- Total Sessions: {{previous_sessions}}
+- Effectiveness: {{previous_effectiveness}}
+- Records: {{previous_records}}
+
+Change: {{volume_change}} sessions ({{volume_change_pct}})
+Effectiveness Change: {{effectiveness_change}}
+
+TOP COACHING BEHAVIORS (Current Period - delivered by the {{bpo_noun}} that drove results for UHC):
+{{current_behaviors}}
+
+TOP COACHING BEHAVIORS (Previous Period):
+{{previous_behaviors}}
+
+CRITICAL TIMING CONTEXT ({{lag_description}}):
+{{timing_context}}
+
+## WRITING GUIDELINES:
+
+### Structure: Problem → Solution → Results
+1. Start with the member/customer pain point from UHC's perspective (what was broken before the coaching period)
+2. Explain what the {{bpo_noun}} targeted and why those behaviors solve that problem for UHC members/customers
+3. Show the measurable results with context
+
+### Tone:
+{{tone_guidelines}}
+
+### What to Include:
+- Impact for UHC members/customers before and after (not just internal metrics)
+- Why the specific coaching behaviors drove the specific results for UHC
+- Context for numbers (is {{current_value}} {{metric}} good? Compared to what?)
+- How many programs/agents were involved ({{programs_count}} programs)
+- What changed from the customer's perspective
+
+### What to Avoid:
+{{avoid}}
+
+### Format:
+- 2-3 paragraphs max
+- Lead with the most important finding
+- Use specific numbers, not ranges
+- Short sentences
+- Active voice
+
+### Example of Good vs Bad:
+❌ BAD: "In an impressive demonstration of strategic focus, the team achieved commendable results through comprehensive coaching efforts."
+✅ GOOD: "For {{organization}}, {{clients}} improved {{metric}} from {{previous_value}} to {{current_value}} in one month. The driver: {{top_behavior_sessions}} coaching sessions teaching agents to {{top_behavior}}, reducing member frustration caused by [specific issue]."
+
+OUTPUT FORMAT:
+Output ONLY the case study text. No JSON, no markdown formatting, no headers, just the case study content as plain text. Write 2-3 paragraphs following the Problem → Solution → Results structure.`
+  }
+];
@@ -0,0 +1,48 @@
+/**
+ * Prompt rendering
+ * Templates are plain text with two kinds of tags:
+ * - {{name}} is replaced by the variable's value
+ * - {{#name}}...{{/name}} keeps its text only when the variable is truthy (a non-empty string, true, ...)
+ *   and may itself contain {{name}} tags
+ * Text is kept exactly as written: no whitespace is trimmed around tags.
+ */
+
+const SECTION_RE = /\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g;
+const TAG_RE = /\{\{([#/]?)(\w+)\}\}/g;
+
+/**
+ * Names of every variable a template text refers to
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function templateVariables(text = '') {
+  return [...new Set([...text.matchAll(TAG_RE)].map(match => match[2]))];
+}
+
+/**
+ * Renders a template text
+ * Callers check declared variables first (see renderPrompt); a tag without a value is an error here too,
+ * so a half-filled prompt never reaches a provider.
+ *
+ * @param {string} text - Template text
+ * @param {Object} variables - Values by name
+ * @returns {string}
+ * @throws {Error} When a tag has no value
+ */
+export function renderTemplate(text, variables) {
+  const value = (name) => {
+    if (variables[name] === undefined || variables[name] === null) {
+      throw new Error(`No value for {{${name}}}`);
+    }
+    return variables[name];
+  };
+
+  return text
+    .replace(SECTION_RE, (match, name, body) => (value(name) ? body : ''))
+    .replace(TAG_RE, (match, marker, name) => {
+      if (marker) {
+        throw new Error(`Unmatched section tag {{${marker}${name}}}`);
+      }
+      return String(value(name));
+    });
+}
@@ -0,0 +1,106 @@
+/**
+ * Prompt template registry
+ * Every prompt sent to an LLM provider is a named, versioned template with declared input variables,
+ * rendered by the shared engine (engine.js):
+ * - snapshot_summary, multi_metric_summary (summary.js)
+ * - case_study (caseStudy.js)
+ * - high_performer_story (story.js)
+ *
+ * Changing a prompt means adding a new version next to the old one, never editing a released version.
+ * The latest version is used unless PROMPT_VERSION_<ID> (e.g. PROMPT_VERSION_CASE_STUDY=1) pins an
+ * older one, which is how a prompt change is rolled back. The id and version are returned with every
+ * rendered prompt and saved on metric_snapshots and story_log rows.
+ */
+
+import { renderTemplate, templateVariables } from './engine.js';
+import { SUMMARY_TEMPLATES } from './summary.js';
+import { CASE_STUDY_TEMPLATES } from './caseStudy.js';
+import { STORY_TEMPLATES } from './story.js';
+
+export const PROMPT_TEMPLATES = [...SUMMARY_TEMPLATES, ...CASE_STUDY_TEMPLATES, ...STORY_TEMPLATES];
+
+/**
+ * Every version of a template, oldest first
+ * @param {string} id
+ * @returns {Array<Object>}
+ * @throws {Error} For an unknown template id
+ */
+export function promptTemplateVersions(id) {
+  const versions = PROMPT_TEMPLATES
+    .filter(template => template.id === id)
+    .sort((a, b) => a.version - b.version);
+  if (versions.length === 0) {
+    throw new Error(`Unknown prompt template: ${id}`);
+  }
+  return versions;
+}
+
+/**
+ * The template version in use: the latest, or the one pinned by PROMPT_VERSION_<ID>
+ * @param {string} id
+ * @returns {Object} Template { id, version, description, variables, system, prompt }
+ * @throws {Error} For an unknown id, or a pinned version that doesn't exist
+ */
+export function getPromptTemplate(id) {
+  const versions = promptTemplateVersions(id);
+  const pinned = process.env[`PROMPT_VERSION_${id.toUpperCase()}`];
+  if (!pinned) {
+    return versions[versions.length - 1];
+  }
+
+  const template = versions.find(candidate => String(candidate.version) === pinned.trim());
+  if (!template) {
+    throw new Error(`PROMPT_VERSION_${id.toUpperCase()} must be one of: ${versions.map(candidate => candidate.version).join(', ')}`);
+  }
+  return template;
+}
+
+/**
+ * "id@version" of the template in use, for cache keys
+ */
+export function promptTemplateKey(id) {
+  const { version } = getPromptTemplate(id);
+  return `${id}@${version}`;
+}
+
+/**
+ * Tags a template uses that it doesn't declare (empty when the template is consistent)
+ * @param {Object} template
+ * @returns {Array<string>}
+ */
+export function undeclaredVariables(template) {
+  return templateVariables(`${template.system || ''}${template.prompt}`)
+    .filter(name => !template.variables.includes(name));
+}
+
+/**
+ * Renders a prompt template with its input variables
+ *
+ * @param {string} id - Template id
+ * @param {Object} variables - A value for every declared variable, and nothing else
+ * @returns {{template: {id: string, version: number}, system: string|null, prompt: string}}
+ * @throws {Error} When variables are missing or undeclared
+ */
+export function renderPrompt(id, variables) {
+  const template = getPromptTemplate(id);
+  const label = `Prompt template ${id} v${template.version}`;
+
+  const missing = template.variables.filter(name => variables[name] === undefined || variables[name] === null);
+  if (missing.length > 0) {
+    throw new Error(`${label} is missing variables: ${missing.join(', ')}`);
+  }
+  const unknown = Object.keys(variables).filter(name => !template.variables.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`${label} does not declare: ${unknown.join(', ')}`);
+  }
+  const undeclared = undeclaredVariables(template);
+  if (undeclared.length > 0) {
+    throw new Error(`${label} uses undeclared variables: ${undeclared.join(', ')}`);
+  }
+
+  return {
+    template: { id, version: template.version },
+    system: template.system === null ? null : renderTemplate(template.system, variables),
+    prompt: renderTemplate(template.prompt, variables)
+  };
+}
@@ -0,0 +1,16 @@
+/**
+ * High-performer story prompt (sent to the Content Assistant API with the performer's data)
+ */
+
+export const STORY_TEMPLATES = [
+  {
+    id: 'high_performer_story',
+    version: 1,
+    description: 'Customer success story for a program that stayed on the right side of goal',
+    variables: ['metric', 'goal_side', 'pct_above_goal', 'months_above_goal', 'total_months', 'metric_direction'],
+    system: null,
+    prompt: 'Create a professional case study highlighting this program\'s sustained excellence across {{metric}}. ' +
+      'The program has maintained performance {{goal_side}} goal for {{pct_above_goal}}% of tracked months ' +
+      '({{months_above_goal}} of {{total_months}} months). {{metric_direction}}.'
+  }
+];
@@ -0,0 +1,88 @@
+/**
+ * AI summary prompts: one snapshot, and one combined summary for a multi-metric snapshot
+ * The narrative preset (src/services/narrativePresets.js) supplies the role, task and tone variables.
+ */
+
+export const SUMMARY_TEMPLATES = [
+  {
+    id: 'snapshot_summary',
+    version: 1,
+    description: 'Executive summary of one snapshot: the snapshot JSON plus timing, goal and tone guidance',
+    variables: [
+      'role', 'snapshot_json', 'task', 'demo', 'metric_direction', 'timing_context', 'causality',
+      'goal_context', 'tone_guidelines', 'examples', 'avoid', 'output_format'
+    ],
+    system: '{{role}}',
+    prompt: `{{role}} Given this coaching and performance data:
+
+{{snapshot_json}}
+
+{{task}}
+{{#demo}}
+DEMO DATA:
+- This snapshot is illustrative sample data, not real results
+- Say so in the first sentence and do not present any number as an actual outcome
+{{/demo}}
+METRIC DIRECTION:
+- {{metric_direction}}
+- "Improved", "climbed", "declined" must follow this direction, not the raw sign of the change
+
+CRITICAL CONTEXT - COACHING TIMING:
+{{timing_context}}
+{{causality}}
+
+GOAL ATTAINMENT:
+{{goal_context}}
+- Lead with attainment (percent of goal, months at goal) when a goal exists, then the change vs the previous period
+
+TONE GUIDELINES:
+{{tone_guidelines}}
+{{#examples}}
+EXAMPLES OF GOOD FRAMING:
+{{examples}}
+{{/examples}}
+AVOID:
+{{avoid}}
+
+OUTPUT FORMAT:
+{{output_format}}`
+  },
+  {
+    id: 'multi_metric_summary',
+    version: 1,
+    description: 'One summary across every metric of a multi-metric snapshot, with the behaviors that moved several metrics',
+    variables: [
+      'role', 'organization', 'clients', 'current_period', 'previous_period', 'metrics', 'co_moving_behaviors',
+      'demo', 'focus', 'timing_context', 'causality', 'tone_guidelines'
+    ],
+    system: '{{role}}',
+    prompt: `{{role}} {{organization}} ({{clients}}) results for {{current_period}} vs {{previous_period}}:
+
+METRICS:
+{{metrics}}
+
+BEHAVIORS THAT MOVED WITH SEVERAL METRICS:
+{{co_moving_behaviors}}
+
+Write ONE 3-4 sentence executive summary covering all the metrics together:
+{{#demo}}
+DEMO DATA:
+- Some or all of this snapshot is illustrative sample data, not real results
+- Say so in the first sentence and do not present any number as an actual outcome
+{{/demo}}
+- {{focus}}
+- "Improved" and "declined" must follow each metric's direction, not the raw sign of the change
+- Use the behaviors that moved with several metrics to connect coaching to results
+- Be specific with numbers
+
+CRITICAL CONTEXT - COACHING TIMING:
+{{timing_context}}
+{{causality}}
+
+TONE GUIDELINES:
+{{tone_guidelines}}
+
+OUTPUT FORMAT:
+Output ONLY the summary. No JSON, no bullets, no per-metric sections.`
+  }
+];
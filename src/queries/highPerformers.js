@@ -1,32 +1,43 @@
-import { supabase } from '../config/database.js';
+import { getDataSource } from '../dataSources/index.js';
+import { loadRegistry, lowerIsBetterMetrics, isLowerBetter, meetsGoal } from '../services/registry.js';
 import { logger } from '../utils/logger.js';
+import { aggregateMetric, DEFAULT_AGGREGATION } from '../utils/aggregation.js';
 
 /**
  * Query for high performing programs
- * Finds programs with 4+ months of data where metric is consistently above goal (80%+ of months)
- * Excludes wonky data and "lower is better" metrics
+ * Finds programs with 4+ months of data where metric consistently meets goal (80%+ of months)
+ * "Meets goal" respects the metric catalog: at or above goal, or at or below it for lower-is-better metrics like AHT
+ * Excludes wonky data
  * 
  * @param {number} year - Year to query (default: 2025)
  * @param {number} limit - Maximum number of results (default: 30)
+ * @param {Object} options
+ * @param {string} options.aggregation - How monthly rows roll up into avg_actual/avg_goal (default: 'mean')
  * @returns {Promise<Array>} Array of high performer results
  */
-export async function getHighPerformers(year = 2025, limit = 30) {
-  logger.info(`Querying high performers for year ${year}`);
+export async function getHighPerformers(year = 2025, limit = 30, options = {}) {
+  const { aggregation = DEFAULT_AGGREGATION } = options;
+  logger.info(`Querying high performers for year ${year} (aggregation: ${aggregation})`);
   
   try {
+    // Lower-is-better metrics come from the registry
+    await loadRegistry();
+    
     // Using Supabase RPC or direct query
     // Since Supabase doesn't support complex SQL directly, we'll use a raw query approach
     // For production, you might want to create a PostgreSQL function/view
     
-    const { data, error } = await supabase.rpc('get_high_performers', {
+    const { data, error } = await getDataSource().rpc('get_high_performers', {
       p_year: year,
-      p_limit: limit
+      p_limit: limit,
+      p_aggregation: aggregation,
+      p_lower_is_better: lowerIsBetterMetrics()
     });
     
     if (error) {
       // Fallback to direct query if RPC doesn't exist
       logger.warn('RPC function not found, using direct query');
-      return await getHighPerformersDirect(year, limit);
+      return await getHighPerformersDirect(year, limit, aggregation);
     }
     
     logger.info(`Found ${data?.length || 0} high performers`);
@@ -39,38 +50,19 @@ export async function getHighPerformers(year = 2025, limit = 30) {
 }
 
 /**
- * Direct query implementation (fallback)
+ * Direct query implementation (fallback, and the only one for the file data source)
  * Note: Supabase client has limitations with complex queries.
  * For production, consider creating a PostgreSQL view or function.
  */
-async function getHighPerformersDirect(year, limit) {
-  // Build query using Supabase filters
-  // This is a simplified version - for complex queries, use a PostgreSQL function
-  
-  let query = supabase
-    .from('monthly_metrics')
-    .select('*')
-    .eq('year', year)
-    .not('goal', 'is', null)
-    .not('actual', 'is', null)
-    .not('amplifai_org', 'is', null)
-    .not('amplifai_metric', 'in', '(AHT,ACW,TRANSFER_RATE,AVERAGE HANDLE TIME)')
-    .gte('actual', 1)
-    .gte('goal', 1);
-  
-  const { data: allMetrics, error } = await query;
-  
-  if (error) {
-    throw new Error(`Database query failed: ${error.message}`);
-  }
-  
-  // Get wonky data IDs to exclude
-  const { data: wonkyData } = await supabase
-    .from('wonky_data')
-    .select('record_id')
-    .eq('reviewed', false);
+async function getHighPerformersDirect(year, limit, aggregation) {
+  // Rows with an organization, actual and goal; wonky data IDs to exclude
+  const dataSource = getDataSource();
+  const [allMetrics, wonkyRecordIds] = await Promise.all([
+    dataSource.fetchGoalMetrics(year),
+    dataSource.fetchWonkyRecordIds()
+  ]);
   
-  const wonkyIds = new Set(wonkyData?.map(w => w.record_id) || []);
+  const wonkyIds = new Set(wonkyRecordIds);
   
   // Filter out wonky data and group by program/metric
   const filtered = (allMetrics || []).filter(m => 
@@ -91,17 +83,15 @@ async function getHighPerformersDirect(year, limit) {
         amplifai_metric: metric.amplifai_metric,
         months: new Set(),
         monthsAboveGoal: new Set(),
-        actuals: [],
-        goals: [],
+        rows: [],
       };
     }
     
     const monthKey = `${metric.month}-${metric.year}`;
     grouped[key].months.add(monthKey);
-    grouped[key].actuals.push(metric.actual);
-    grouped[key].goals.push(metric.goal);
+    grouped[key].rows.push(metric);
     
-    if (metric.actual >= metric.goal) {
+    if (meetsGoal(metric.amplifai_metric, metric.actual, metric.goal)) {
       grouped[key].monthsAboveGoal.add(monthKey);
     }
   });
@@ -112,6 +102,10 @@ async function getHighPerformersDirect(year, limit) {
       const totalMonths = item.months.size;
       const monthsAboveGoal = item.monthsAboveGoal.size;
       const pctAboveGoal = totalMonths > 0 ? (monthsAboveGoal / totalMonths) * 100 : 0;
+      const avgActual = aggregateMetric(item.rows, aggregation).value;
+      const avgGoal = aggregation === 'goal_ratio'
+        ? 100
+        : aggregateMetric(item.rows, aggregation, { field: 'goal' }).value;
       
       return {
         client: item.client,
@@ -121,9 +115,11 @@ async function getHighPerformersDirect(year, limit) {
         total_months: totalMonths,
         months_above_goal: monthsAboveGoal,
         pct_above_goal: Math.round(pctAboveGoal * 10) / 10,
-        avg_actual: Math.round((item.actuals.reduce((a, b) => a + b, 0) / item.actuals.length) * 100) / 100,
-        avg_goal: Math.round((item.goals.reduce((a, b) => a + b, 0) / item.goals.length) * 100) / 100,
+        avg_actual: Math.round(avgActual * 100) / 100,
+        avg_goal: Math.round(avgGoal * 100) / 100,
         months_tracked: Array.from(item.months).map(m => m.split('-')[0]).join(', '),
+        aggregation_method: aggregation,
+        direction: isLowerBetter(item.amplifai_metric) ? 'lower' : 'higher',
       };
     })
     .filter(item => 
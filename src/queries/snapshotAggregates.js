@@ -0,0 +1,53 @@
+import { getDataSource } from '../dataSources/index.js';
+import { logger } from '../utils/logger.js';
+import { aggregateCoachingWindows } from '../utils/coachingAggregates.js';
+
+/**
+ * Query for a snapshot's coaching rollups (sessions, effectiveness, top behaviors and sub-behaviors)
+ * Uses the get_snapshot_aggregates function, falling back to the same rollup in JavaScript
+ *
+ * @param {Object} plan - Query plan from planSnapshotQueries (clients, organization and metric names)
+ * @param {Object} windows
+ * @param {Array<{year: number, month: string}>} windows.currentPeriods - Current coaching window
+ * @param {Array<{year: number, month: string}>} windows.previousPeriods - Previous coaching window
+ * @param {Array} coachingRows - Already-fetched behavioral_coaching rows, used by the fallback
+ * @returns {Promise<Object>} { current, previous, source: 'database'|'javascript' }
+ */
+export async function getSnapshotAggregates(plan, { currentPeriods, previousPeriods }, coachingRows) {
+  logger.info('Querying snapshot coaching aggregates');
+
+  try {
+    const { data, error } = await getDataSource().rpc('get_snapshot_aggregates', {
+      p_clients: plan.clients,
+      p_organizations: plan.organizations,
+      p_metrics: plan.metrics,
+      p_current_periods: currentPeriods,
+      p_previous_periods: previousPeriods
+    });
+
+    if (error || !data) {
+      // Fallback to JavaScript if RPC doesn't exist
+      logger.warn('RPC function get_snapshot_aggregates not found, aggregating in JavaScript');
+      return { ...getSnapshotAggregatesDirect(plan, currentPeriods, previousPeriods, coachingRows), source: 'javascript' };
+    }
+
+    return { current: data.current, previous: data.previous, source: 'database' };
+
+  } catch (error) {
+    logger.error('Error querying snapshot aggregates', error);
+    throw error;
+  }
+}
+
+/**
+ * Direct implementation (fallback) over rows already fetched for the snapshot
+ */
+function getSnapshotAggregatesDirect(plan, currentPeriods, previousPeriods, coachingRows) {
+  return aggregateCoachingWindows(coachingRows || [], {
+    clients: plan.clients,
+    organizations: plan.organizations,
+    metrics: plan.metrics,
+    currentPeriods,
+    previousPeriods
+  });
+}
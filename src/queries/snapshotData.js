@@ -0,0 +1,102 @@
+import { getDataSource } from '../dataSources/index.js';
+import { registryNames } from '../services/registry.js';
+import { periodKey, formatPeriods } from '../utils/periods.js';
+import { logger } from '../utils/logger.js';
+
+// Columns the snapshot uses from behavioral_coaching
+export const COACHING_COLUMNS = 'id, client, program, amplifai_org, amplifai_metric, metric, year, month, behavior, sub_behavior, coaching_count, effectiveness_pct';
+
+/**
+ * Builds the query plan for a snapshot: which clients, organization/metric spellings and
+ * { year, month } periods each table is filtered to
+ *
+ * @param {Object} options
+ * @param {Array<string>} options.clients - Effective clients
+ * @param {string} options.organizationId - Canonical organization id
+ * @param {string} options.metricId - Canonical metric id
+ * @param {Array<string>} options.metricIds - Several canonical metric ids (multi-metric snapshots; replaces metricId)
+ * @param {Array<{year: number, month: string}>} options.metricPeriods - Performance months needed
+ * @param {Array<{year: number, month: string}>} options.coachingPeriods - Coaching months needed
+ * @returns {Object} Plan consumed by fetchMonthlyMetrics / fetchBehavioralCoaching
+ */
+export function planSnapshotQueries({ clients, organizationId, metricId, metricIds, metricPeriods, coachingPeriods }) {
+  const dedupe = (periods) => {
+    const byKey = new Map(periods.map(p => [periodKey(p), p]));
+    return [...byKey.keys()].sort().map(key => byKey.get(key));
+  };
+
+  return {
+    clients: [...new Set(clients)],
+    organizations: registryNames('organization', organizationId),
+    metrics: [...new Set((metricIds || [metricId]).flatMap(id => registryNames('metric', id)))],
+    metric_periods: dedupe(metricPeriods),
+    coaching_periods: dedupe(coachingPeriods)
+  };
+}
+
+/**
+ * Short description of a plan for logs and debug_info
+ */
+export function describePlan(plan) {
+  return {
+    clients: plan.clients,
+    organizations: plan.organizations,
+    metrics: plan.metrics,
+    metric_periods: formatPeriods(plan.metric_periods),
+    coaching_periods: formatPeriods(plan.coaching_periods)
+  };
+}
+
+/**
+ * Fetches monthly_metrics rows for the plan's clients, organization, metric and performance months
+ * @param {Object} plan - From planSnapshotQueries
+ * @param {string} columns - Columns to select (default: all)
+ */
+export async function fetchMonthlyMetrics(plan, columns = '*') {
+  if (plan.metric_periods.length === 0 || plan.clients.length === 0) return { rows: [], pages: 0 };
+
+  return getDataSource().fetchMonthlyMetrics(plan, columns);
+}
+
+/**
+ * Fetches behavioral_coaching rows for the plan's clients, organization, metric and coaching months
+ * The metric matches on amplifai_metric or the raw metric column, like rowMatchesMetric
+ * @param {Object} plan - From planSnapshotQueries
+ * @param {string} columns - Columns to select (default: COACHING_COLUMNS)
+ */
+export async function fetchBehavioralCoaching(plan, columns = COACHING_COLUMNS) {
+  if (plan.coaching_periods.length === 0 || plan.clients.length === 0) return { rows: [], pages: 0 };
+
+  return getDataSource().fetchBehavioralCoaching(plan, columns);
+}
+
+/**
+ * Runs the metrics and coaching fetches in parallel and times them
+ * @param {Object} plan - From planSnapshotQueries
+ * @returns {Promise<Object>} { monthlyMetrics, behavioralCoaching, timings }
+ */
+export async function fetchSnapshotRows(plan) {
+  const started = Date.now();
+  const timed = async (fetch) => {
+    const start = Date.now();
+    const result = await fetch();
+    return { ...result, ms: Date.now() - start };
+  };
+
+  const [metrics, coaching] = await Promise.all([
+    timed(() => fetchMonthlyMetrics(plan)),
+    timed(() => fetchBehavioralCoaching(plan))
+  ]);
+
+  const timings = {
+    metrics_ms: metrics.ms,
+    coaching_ms: coaching.ms,
+    fetch_ms: Date.now() - started,
+    metric_rows: metrics.rows.length,
+    coaching_rows: coaching.rows.length,
+    coaching_pages: coaching.pages
+  };
+  logger.info('Snapshot data fetched', timings);
+
+  return { monthlyMetrics: metrics.rows, behavioralCoaching: coaching.rows, timings };
+}
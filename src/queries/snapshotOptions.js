@@ -0,0 +1,172 @@
+import { getDataSource } from '../dataSources/index.js';
+import { loadRegistry, getRegistry, resolveOrganization, organizationKey, getMetricDefinition, registryNames } from '../services/registry.js';
+import { normalizeMonth, periodKey } from '../utils/periods.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Query for the client/org/metric/year/month combinations that actually have data
+ * Used to populate the dashboard dropdowns so users can only pick combinations with rows
+ *
+ * @returns {Promise<Object>} Combinations with row counts plus per-dimension coverage summaries
+ */
+export async function getSnapshotOptions() {
+  logger.info('Querying available snapshot options');
+
+  try {
+    await loadRegistry();
+
+    const { data, error } = await getDataSource().rpc('get_snapshot_options');
+
+    if (error) {
+      // Fallback to direct query if RPC doesn't exist
+      logger.warn('RPC function get_snapshot_options not found, using direct query');
+      return summarizeOptions(await getSnapshotOptionsDirect());
+    }
+
+    return summarizeOptions(data || []);
+
+  } catch (error) {
+    logger.error('Error querying snapshot options', error);
+    throw error;
+  }
+}
+
+/**
+ * Row counts per { year, month } for one selection of clients, organization and metric, across every year
+ * Used to explain insufficient-data responses. Without the options RPC only the selection's rows are read,
+ * never the whole tables.
+ *
+ * @param {Object} selection
+ * @param {Array<string>} selection.clients - Effective clients
+ * @param {string} selection.organizationId - Canonical organization id
+ * @param {string} selection.metricId - Canonical metric id
+ * @returns {Promise<Array>} Combinations { client, organization, metric, year, month, metric_rows, coaching_rows }
+ */
+export async function getDataAvailability({ clients, organizationId, metricId }) {
+  await loadRegistry();
+  const selected = (combination) => clients.includes(combination.client) &&
+    organizationKey(combination.organization) === organizationKey(organizationId) &&
+    combination.metric === metricId;
+
+  const { data, error } = await getDataSource().rpc('get_snapshot_options');
+  if (!error) {
+    return summarizeOptions(data || []).combinations.filter(selected);
+  }
+
+  // Every month of the selection: null periods skip the period filter
+  const plan = {
+    clients: [...new Set(clients)],
+    organizations: registryNames('organization', organizationId),
+    metrics: registryNames('metric', metricId),
+    metric_periods: null,
+    coaching_periods: null
+  };
+  const [{ rows: metricRows }, { rows: coachingRows }] = await Promise.all([
+    getDataSource().fetchMonthlyMetrics(plan, 'client, amplifai_org, amplifai_metric, year, month'),
+    getDataSource().fetchBehavioralCoaching(plan, 'client, amplifai_org, amplifai_metric, metric, year, month')
+  ]);
+  return summarizeOptions(countCombinations(metricRows, coachingRows)).combinations.filter(selected);
+}
+
+/**
+ * Direct query implementation (fallback)
+ * Counts rows per combination in JavaScript; slower than the RPC on large tables
+ */
+async function getSnapshotOptionsDirect() {
+  const [metricRows, coachingRows] = await Promise.all([
+    getDataSource().fetchAllRows('monthly_metrics', 'client, amplifai_org, amplifai_metric, year, month'),
+    getDataSource().fetchAllRows('behavioral_coaching', 'client, amplifai_org, amplifai_metric, metric, year, month')
+  ]);
+
+  return countCombinations(metricRows, coachingRows);
+}
+
+/**
+ * Counts metric and coaching rows per client/org/metric/year/month, like get_snapshot_options
+ */
+function countCombinations(metricRows, coachingRows) {
+  const counts = {};
+  const count = (row, metric, field) => {
+    if (!row.client || !row.amplifai_org || !metric) return;
+    const key = [row.client, row.amplifai_org, metric, row.year, row.month].join('|');
+    if (!counts[key]) {
+      counts[key] = {
+        client: row.client,
+        organization: row.amplifai_org,
+        metric,
+        year: row.year,
+        month: row.month,
+        metric_rows: 0,
+        coaching_rows: 0
+      };
+    }
+    counts[key][field]++;
+  };
+
+  metricRows.forEach(row => count(row, row.amplifai_metric, 'metric_rows'));
+  coachingRows.forEach(row => count(row, row.amplifai_metric || row.metric, 'coaching_rows'));
+
+  return Object.values(counts);
+}
+
+/**
+ * Resolves org/metric aliases through the registry, merges the resulting duplicates
+ * and builds per-dimension coverage summaries
+ *
+ * @param {Array} rows - { client, organization, metric, year, month, metric_rows, coaching_rows }
+ */
+function summarizeOptions(rows) {
+  const combinations = {};
+  rows.forEach(row => {
+    const month = normalizeMonth(row.month);
+    const year = Number(row.year);
+    if (!month || isNaN(year)) return;
+
+    const organization = resolveOrganization(row.organization);
+    const metric = getMetricDefinition(row.metric).id;
+    const key = [row.client, organizationKey(organization), metric, year, month].join('|');
+    if (!combinations[key]) {
+      combinations[key] = { client: row.client, organization, metric, year, month, metric_rows: 0, coaching_rows: 0 };
+    }
+    combinations[key].metric_rows += Number(row.metric_rows) || 0;
+    combinations[key].coaching_rows += Number(row.coaching_rows) || 0;
+  });
+
+  const list = Object.values(combinations).sort((a, b) =>
+    a.client.localeCompare(b.client) ||
+    a.organization.localeCompare(b.organization) ||
+    a.metric.localeCompare(b.metric) ||
+    periodKey(a).localeCompare(periodKey(b))
+  );
+
+  // Row counts per value of one dimension
+  const coverage = (keyOf, describe = () => ({})) => {
+    const totals = {};
+    list.forEach(item => {
+      const key = keyOf(item);
+      if (!totals[key]) totals[key] = { ...describe(item), metric_rows: 0, coaching_rows: 0 };
+      totals[key].metric_rows += item.metric_rows;
+      totals[key].coaching_rows += item.coaching_rows;
+    });
+    return Object.values(totals);
+  };
+
+  return {
+    combinations: list,
+    clients: coverage(item => item.client, item => ({ client: item.client }))
+      .sort((a, b) => a.client.localeCompare(b.client)),
+    organizations: coverage(item => organizationKey(item.organization), item => {
+      const entry = getRegistry().organizations.find(org => org.id === item.organization);
+      return { id: item.organization, display_name: entry?.display_name || item.organization };
+    })
+      .sort((a, b) => a.id.localeCompare(b.id)),
+    metrics: coverage(item => item.metric, item => {
+      const { id, display_name, unit, direction } = getMetricDefinition(item.metric);
+      return { id, display_name, unit, direction };
+    }).sort((a, b) => a.id.localeCompare(b.id)),
+    years: coverage(item => item.year, item => ({ year: item.year }))
+      .sort((a, b) => a.year - b.year),
+    months: coverage(item => periodKey(item), item => ({ year: item.year, month: item.month }))
+      .sort((a, b) => periodKey(a).localeCompare(periodKey(b)))
+  };
+}
@@ -1,4 +1,4 @@
-import { supabase } from '../config/database.js';
+import { getDataSource } from '../dataSources/index.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -16,18 +16,7 @@ export async function getCoachingData(client, organization, program, metric, yea
   logger.debug(`Fetching coaching data for ${client}/${organization}/${program}/${metric}`);
   
   try {
-    const { data, error } = await supabase
-      .from('behavioral_coaching')
-      .select('behavior, sub_behavior, coaching_count, effectiveness_pct')
-      .eq('client', client)
-      .eq('amplifai_org', organization)
-      .eq('program', program)
-      .eq('amplifai_metric', metric)
-      .eq('year', year);
-    
-    if (error) {
-      throw new Error(`Failed to fetch coaching data: ${error.message}`);
-    }
+    const data = await getDataSource().fetchProgramCoaching({ client, organization, program, metric, year });
     
     if (!data || data.length === 0) {
       logger.warn(`No coaching data found for ${client}/${organization}/${program}/${metric}`);
@@ -1,33 +1,10 @@
-import axios from 'axios';
+import { describeMetricDirection, isLowerBetter } from './registry.js';
+import { generateVerifiedText } from './factChecker.js';
 import { logger } from '../utils/logger.js';
-
-const API_URL = process.env.CONTENT_API_URL;
-const API_KEY = process.env.CONTENT_API_KEY;
-
-/**
- * Retry helper with exponential backoff
- * @param {Function} fn - Function to retry
- * @param {number} maxRetries - Maximum number of retries
- * @param {number} delay - Initial delay in ms
- * @returns {Promise}
- */
-async function retryWithBackoff(fn, maxRetries = 3, delay = 1000) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      return await fn();
-    } catch (error) {
-      if (attempt === maxRetries) {
-        throw error;
-      }
-      const waitTime = delay * Math.pow(2, attempt - 1);
-      logger.warn(`API call failed (attempt ${attempt}/${maxRetries}), retrying in ${waitTime}ms...`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
-  }
-}
+import { renderPrompt } from '../prompts/index.js';
 
 /**
- * Formats metrics data for Content Assistant API
+ * Formats metrics data for the story request data (the Content Assistant API payload)
  * @param {Object} performer - High performer result from database
  * @returns {Array} Formatted metrics array
  */
@@ -38,11 +15,12 @@ function formatMetrics(performer) {
     actual: performer.avg_actual,
     months_tracked: performer.total_months,
     pct_above_goal: performer.pct_above_goal,
+    direction: isLowerBetter(performer.amplifai_metric) ? 'lower' : 'higher',
   }];
 }
 
 /**
- * Formats coaching data for Content Assistant API
+ * Formats coaching data for the story request data
  * @param {Array} coachingData - Coaching behavior summaries
  * @returns {Array} Formatted coaching array
  */
@@ -56,58 +34,45 @@ function formatCoaching(coachingData) {
 }
 
 /**
- * Calls the Content Assistant API to generate a story
+ * Generates a high-performer story with the story use case's LLM provider
+ * (the Content Assistant API by default, which receives the payload data and prompt as before)
  * 
  * @param {Object} performer - High performer result from database
  * @param {Array} coachingData - Coaching behavior summaries
- * @returns {Promise<Object>} API response with generated content
+ * @returns {Promise<Object>} Generated content, tokens used, model, the fact-check verification and the prompt template used
  */
 export async function generateStory(performer, coachingData) {
-  if (!API_URL || !API_KEY) {
-    throw new Error('CONTENT_API_URL and CONTENT_API_KEY must be set in environment variables');
-  }
-  
   logger.info(`Generating story for ${performer.organization}/${performer.program}`);
   
-  const payload = {
-    story_type: 'customer_success_case_study',
+  const { template, prompt } = renderPrompt('high_performer_story', {
+    metric: performer.amplifai_metric,
+    goal_side: isLowerBetter(performer.amplifai_metric) ? 'at or below' : 'at or above',
+    pct_above_goal: performer.pct_above_goal,
+    months_above_goal: performer.months_above_goal,
+    total_months: performer.total_months,
+    metric_direction: describeMetricDirection(performer.amplifai_metric),
+  });
+  
+  // The story may only quote the performer's figures and coaching sessions
+  const result = await generateVerifiedText('story', {
+    storyType: 'customer_success_case_study',
     data: {
       organization: performer.organization,
       program: performer.program,
       metrics: formatMetrics(performer),
       coaching: formatCoaching(coachingData),
     },
-    prompt: `Create a professional case study highlighting this program's sustained excellence across ${performer.amplifai_metric}. The program has maintained performance above goal for ${performer.pct_above_goal}% of tracked months (${performer.months_above_goal} of ${performer.total_months} months).`,
-  };
+    prompt,
+    temperature: 0.7,
+    maxTokens: 1000,
+  }, { performer, coaching: coachingData });
   
-  logger.debug('API payload:', JSON.stringify(payload, null, 2));
-  
-  try {
-    const response = await retryWithBackoff(async () => {
-      const res = await axios.post(API_URL, payload, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${API_KEY}`,
-        },
-        timeout: 30000, // 30 second timeout
-      });
-      return res;
-    });
-    
-    logger.info('Story generated successfully');
-    return {
-      content: response.data.content || response.data.text || 'Story generation completed',
-      tokens_used: response.data.tokens_used || null,
-      model: response.data.model || 'unknown',
-    };
-    
-  } catch (error) {
-    logger.error('Failed to generate story via API', {
-      message: error.message,
-      status: error.response?.status,
-      data: error.response?.data,
-    });
-    throw new Error(`Content API call failed: ${error.message}`);
-  }
+  logger.info('Story generated successfully');
+  return {
+    content: result.text || 'Story generation completed',
+    tokens_used: result.tokens_used,
+    model: result.model,
+    verification: result.verification,
+    prompt_template: template,
+  };
 }
-
@@ -0,0 +1,72 @@
+import { generateText } from '../llmProviders/index.js';
+import { verifyNarrative } from '../utils/narrativeFacts.js';
+import { logger } from '../utils/logger.js';
+
+export const FACT_CHECK_MODES = ['regenerate', 'flag', 'off'];
+const DEFAULT_RETRIES = 1;
+
+/**
+ * Fact-check mode from FACT_CHECK: 'regenerate' (default) retries with the mismatches pointed out,
+ * 'flag' only reports them, 'off' skips the check
+ * @throws {Error} When FACT_CHECK is set to an unknown mode
+ */
+export function factCheckMode() {
+  const mode = (process.env.FACT_CHECK || 'regenerate').trim().toLowerCase();
+  if (!FACT_CHECK_MODES.includes(mode)) {
+    throw new Error(`FACT_CHECK must be one of: ${FACT_CHECK_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * Appended to the prompt when a draft quoted numbers or periods that aren't in the data
+ */
+function correctionNote(verification) {
+  return `
+
+FACT CHECK:
+A previous draft used numbers or periods that are not in the data: ${verification.mismatches.map(m => m.text).join(', ')}.
+Rewrite it using only numbers and periods that appear in the data above, copied exactly (rounding is fine).`;
+}
+
+/**
+ * Generates text for a use case and checks every number and period in it against the source data
+ * In 'regenerate' mode a draft with mismatches is regenerated (FACT_CHECK_RETRIES times, default 1) and the
+ * draft with the fewest mismatches is kept; mismatches that remain are reported, never hidden.
+ *
+ * @param {string} useCase - A key of LLM_USE_CASES
+ * @param {Object} request - As for generateText
+ * @param {Object} source - Data the text must agree with (snapshot result, story performance and coaching)
+ * @returns {Promise<Object>} generateText's result plus verification:
+ *   { status: 'verified'|'mismatch', checked, verified, mismatches, attempts, regenerated } or null when off
+ */
+export async function generateVerifiedText(useCase, request, source) {
+  const mode = factCheckMode();
+  let result = await generateText(useCase, request);
+  if (mode === 'off') {
+    return { ...result, verification: null };
+  }
+
+  const parsedRetries = parseInt(process.env.FACT_CHECK_RETRIES, 10);
+  const retries = mode === 'regenerate' ? (Number.isInteger(parsedRetries) && parsedRetries >= 0 ? parsedRetries : DEFAULT_RETRIES) : 0;
+  let verification = verifyNarrative(result.text, source);
+  let attempts = 1;
+  let regenerated = false;
+
+  while (verification.mismatches.length > 0 && attempts <= retries) {
+    logger.warn(`${useCase} text has ${verification.mismatches.length} unverified numbers/periods, regenerating`);
+    const retry = await generateText(useCase, { ...request, prompt: request.prompt + correctionNote(verification) });
+    const retryVerification = verifyNarrative(retry.text, source);
+    attempts++;
+    if (retryVerification.mismatches.length < verification.mismatches.length) {
+      result = retry;
+      verification = retryVerification;
+      regenerated = true;
+    }
+  }
+
+  if (verification.mismatches.length > 0) {
+    logger.warn(`${useCase} text kept ${verification.mismatches.length} unverified numbers/periods: ${verification.mismatches.map(m => m.text).join(', ')}`);
+  }
+  return { ...result, verification: { ...verification, attempts, regenerated } };
+}
@@ -0,0 +1,242 @@
+import { logger } from '../utils/logger.js';
+import { MAX_LAG_MONTHS, MONTHS, normalizeMonth, periodRange, matchesPeriods } from '../utils/periods.js';
+import { loadRegistry, resolveOrganization, resolveMetric, rowMatchesMetric, directionSign } from './registry.js';
+import { planSnapshotQueries, fetchMonthlyMetrics, fetchBehavioralCoaching } from '../queries/snapshotData.js';
+
+const DEFAULT_MIN_SAMPLES = 6;
+export const DEFAULT_HISTORY_MONTHS = 12;
+const MAX_BEHAVIORS = 5;
+
+/**
+ * Pearson correlation of two equal-length arrays
+ * @returns {number|null} null when either side has no variance
+ */
+function pearson(xs, ys) {
+  const n = xs.length;
+  if (n < 2) return null;
+  const meanX = xs.reduce((a, b) => a + b, 0) / n;
+  const meanY = ys.reduce((a, b) => a + b, 0) / n;
+  let cov = 0, varX = 0, varY = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (xs[i] - meanX) * (ys[i] - meanY);
+    varX += (xs[i] - meanX) ** 2;
+    varY += (ys[i] - meanY) ** 2;
+  }
+  if (varX === 0 || varY === 0) return null;
+  return cov / Math.sqrt(varX * varY);
+}
+
+/**
+ * Index of a period as a month count, so lags are simple subtraction
+ */
+function monthIndex(row) {
+  const month = normalizeMonth(row.month);
+  if (!month) return null;
+  return Number(row.year) * 12 + MONTHS.indexOf(month);
+}
+
+const seriesKey = (row) => `${row.client}|${row.program || ''}`;
+
+/**
+ * Correlates a coaching series with a metric series at a given lag
+ * Pairs coaching in month (t - lag) with the metric in month t for each program, demeans each
+ * program's pairs (so differences between programs don't masquerade as a coaching effect),
+ * then pools all programs into one correlation.
+ *
+ * @param {Map<string, Map<number, number>>} metricSeries - program key → month index → average actual
+ * @param {Map<string, Map<number, number>>} coachingSeries - program key → month index → sessions
+ * @param {number} lag - Months between coaching and metric
+ */
+function correlateAtLag(metricSeries, coachingSeries, lag) {
+  const xs = [];
+  const ys = [];
+  let programs = 0;
+
+  metricSeries.forEach((metricByMonth, key) => {
+    const coachingByMonth = coachingSeries.get(key);
+    if (!coachingByMonth) return;
+
+    const pairs = [];
+    metricByMonth.forEach((actual, idx) => {
+      // Only programs with coaching rows get here, so a missing month means no coaching that month
+      const sessions = coachingByMonth.get(idx - lag) ?? 0;
+      pairs.push([sessions, actual]);
+    });
+    if (pairs.length < 2) return;
+
+    const meanX = pairs.reduce((sum, [x]) => sum + x, 0) / pairs.length;
+    const meanY = pairs.reduce((sum, [, y]) => sum + y, 0) / pairs.length;
+    pairs.forEach(([x, y]) => {
+      xs.push(x - meanX);
+      ys.push(y - meanY);
+    });
+    programs++;
+  });
+
+  const r = pearson(xs, ys);
+  return {
+    lag_months: lag,
+    correlation: r !== null ? Math.round(r * 1000) / 1000 : null,
+    sample_size: xs.length,
+    programs
+  };
+}
+
+/**
+ * Picks the lag with the strongest supported relationship in the expected direction
+ * @param {Array} lagResults - Output of correlateAtLag for each lag
+ * @param {number} minSamples - Minimum paired months required
+ * @param {number} sign - 1 when more coaching should raise the metric, -1 when it should lower it
+ */
+function pickBestLag(lagResults, minSamples, sign = 1) {
+  const supported = lagResults.filter(l => l.correlation !== null && l.correlation * sign > 0 && l.sample_size >= minSamples);
+  if (supported.length === 0) return null;
+  return supported.reduce((best, l) => (l.correlation * sign > best.correlation * sign ? l : best));
+}
+
+/**
+ * Computes coaching/metric cross-correlation at lags 0..MAX_LAG_MONTHS
+ * Rows must already be filtered to the org/metric/clients being analyzed.
+ *
+ * @param {Array} metricRows - monthly_metrics rows (client, program, year, month, actual)
+ * @param {Array} coachingRows - behavioral_coaching rows (client, program, year, month, behavior, coaching_count)
+ * @param {Object} options
+ * @param {number} options.minSamples - Minimum paired program-months for a lag to count (default: 6)
+ * @param {number} options.direction - 1 if higher metric values are better, -1 if lower (default: 1)
+ * @returns {Object} Lag report with per-lag correlations, best lag and per-behavior best lags
+ */
+export function computeLagCorrelations(metricRows, coachingRows, options = {}) {
+  const { minSamples = DEFAULT_MIN_SAMPLES, direction = 1 } = options;
+
+  // Average actual per program-month
+  const metricSums = new Map();
+  (metricRows || []).forEach(row => {
+    const idx = monthIndex(row);
+    const actual = Number(row.actual);
+    if (idx === null || row.actual === null || row.actual === undefined || isNaN(actual)) return;
+    const key = seriesKey(row);
+    if (!metricSums.has(key)) metricSums.set(key, new Map());
+    const byMonth = metricSums.get(key);
+    const entry = byMonth.get(idx) || { sum: 0, n: 0 };
+    entry.sum += actual;
+    entry.n += 1;
+    byMonth.set(idx, entry);
+  });
+  const metricSeries = new Map();
+  metricSums.forEach((byMonth, key) => {
+    metricSeries.set(key, new Map([...byMonth].map(([idx, e]) => [idx, e.sum / e.n])));
+  });
+
+  // Total and per-behavior sessions per program-month
+  const totalCoaching = new Map();
+  const behaviorCoaching = new Map(); // normalized behavior → { display, total, series }
+  (coachingRows || []).forEach(row => {
+    const idx = monthIndex(row);
+    if (idx === null) return;
+    const count = Number(row.coaching_count) || 0;
+    const key = seriesKey(row);
+
+    if (!totalCoaching.has(key)) totalCoaching.set(key, new Map());
+    totalCoaching.get(key).set(idx, (totalCoaching.get(key).get(idx) || 0) + count);
+
+    const behavior = String(row.behavior || '').trim();
+    if (!behavior) return;
+    const normalized = behavior.toLowerCase();
+    if (!behaviorCoaching.has(normalized)) {
+      behaviorCoaching.set(normalized, { display: behavior, total: 0, series: new Map() });
+    }
+    const entry = behaviorCoaching.get(normalized);
+    entry.total += count;
+    if (!entry.series.has(key)) entry.series.set(key, new Map());
+    entry.series.get(key).set(idx, (entry.series.get(key).get(idx) || 0) + count);
+  });
+
+  const lags = [];
+  for (let lag = 0; lag <= MAX_LAG_MONTHS; lag++) {
+    lags.push(correlateAtLag(metricSeries, totalCoaching, lag));
+  }
+  const best = pickBestLag(lags, minSamples, direction);
+
+  const behaviors = [...behaviorCoaching.values()]
+    .sort((a, b) => b.total - a.total)
+    .slice(0, MAX_BEHAVIORS)
+    .map(entry => {
+      const behaviorLags = [];
+      for (let lag = 0; lag <= MAX_LAG_MONTHS; lag++) {
+        behaviorLags.push(correlateAtLag(metricSeries, entry.series, lag));
+      }
+      const behaviorBest = pickBestLag(behaviorLags, minSamples, direction);
+      return {
+        behavior: entry.display,
+        sessions: entry.total,
+        best_lag_months: behaviorBest ? behaviorBest.lag_months : null,
+        correlation: behaviorBest ? behaviorBest.correlation : null,
+        sample_size: behaviorBest ? behaviorBest.sample_size : 0,
+        lags: behaviorLags
+      };
+    });
+
+  return {
+    method: 'pearson_within_program',
+    min_samples: minSamples,
+    lags,
+    best_lag: best
+      ? { lag_months: best.lag_months, correlation: best.correlation, sample_size: best.sample_size, programs: best.programs }
+      : null,
+    behaviors,
+    note: best
+      ? `Coaching ${best.lag_months === 0 ? 'in the same month' : `${best.lag_months} month${best.lag_months === 1 ? '' : 's'} earlier`} tracks the metric most closely (r=${best.correlation}, n=${best.sample_size} program-months)`
+      : `No lag is supported: needs ${minSamples}+ paired program-months and a correlation in the expected direction`
+  };
+}
+
+/**
+ * Fetches history and runs coaching/metric lag detection for an org/metric/client set
+ *
+ * @param {Object} params
+ * @param {Array<string>} params.clients - Clients to include
+ * @param {string} params.organization - AmplifAI organization
+ * @param {string} params.metric_name - Metric (matched against amplifai_metric, then metric)
+ * @param {{year: number, month: string}} params.end_period - Last performance month to analyze
+ * @param {number} params.months - Performance months of history to analyze (default: 12)
+ * @param {number} params.min_samples - Minimum paired program-months (default: 6)
+ * @returns {Promise<Object>} Lag report (see computeLagCorrelations) plus the analyzed window
+ */
+export async function detectCoachingLag(params) {
+  const months = params.months || DEFAULT_HISTORY_MONTHS;
+  const metricPeriods = periodRange(params.end_period, months);
+  const coachingPeriods = periodRange(params.end_period, months + MAX_LAG_MONTHS);
+
+  // Organization and metric aliases resolve through the registry
+  await loadRegistry();
+  const organization = resolveOrganization(params.organization);
+  const metricId = resolveMetric(params.metric_name);
+
+  logger.info(`Detecting coaching lag for ${params.organization}/${params.metric_name} over ${months} months ending ${params.end_period.month} ${params.end_period.year}`);
+
+  // Only the analyzed window is fetched, with org/client/metric/period filters applied in the database
+  const plan = planSnapshotQueries({ clients: params.clients, organizationId: organization, metricId, metricPeriods, coachingPeriods });
+  const [{ rows: metricRows }, { rows: coachingRows }] = await Promise.all([
+    fetchMonthlyMetrics(plan, 'id, client, program, amplifai_metric, year, month, actual'),
+    fetchBehavioralCoaching(plan, 'id, client, program, amplifai_metric, metric, year, month, behavior, coaching_count')
+  ]);
+
+  const metricMatch = (row) => rowMatchesMetric(row, metricId);
+
+  const report = computeLagCorrelations(
+    (metricRows || []).filter(r => metricMatch(r) && matchesPeriods(r, metricPeriods)),
+    coachingRows.filter(r => metricMatch(r) && matchesPeriods(r, coachingPeriods)),
+    { minSamples: params.min_samples, direction: directionSign(metricId) }
+  );
+
+  logger.info(`Lag detection complete: ${report.note}`);
+
+  return {
+    ...report,
+    window: {
+      start: metricPeriods[0],
+      end: metricPeriods[metricPeriods.length - 1],
+      months
+    }
+  };
+}
@@ -0,0 +1,217 @@
+/**
+ * Narrative presets
+ * The audience and tone of AI summaries and case studies. Each preset is a versioned template: the
+ * role, task, tone guidelines and things to avoid that the summary and case-study prompts are built
+ * around (the data sections of those prompts are shared). Bump a preset's version whenever its
+ * wording changes; the id and version are saved with every snapshot and are part of its cache key.
+ */
+
+export const NARRATIVE_PRESETS = {
+  client_marketing: {
+    version: 1,
+    label: 'Client-facing marketing',
+    summary: {
+      system: 'You are a performance marketing analyst crafting content for client-facing reports.',
+      task: 'Write a 2-3 sentence executive summary that showcases results in the best possible light:',
+      causality: '- Always connect coaching efforts to the results they produced',
+      tone: [
+        'Lead with wins: If the metric improved, celebrate it prominently',
+        'Frame coaching strategically: Emphasize volume, focus shifts, and behavior targeting over effectiveness drops',
+        'Soften negatives: If performance declined, focus on the coaching response (e.g., "teams doubled down on X behavior") rather than the outcome',
+        'Be specific with numbers to show impact: "increased focus by 48%" sounds more impressive than "coaching changed"',
+        'If it\'s genuinely a bad month, acknowledge it briefly then pivot to what\'s being done differently',
+        'Every number and month must come from the data above: favorable framing, never favorable figures',
+        'ALWAYS connect coaching actions to performance outcomes - show cause and effect'
+      ],
+      examples: [
+        '"NPS climbed 2.1% to 79.09 in July, supported by June\'s strategic coaching shift with a 48% increase in focus on Policies, Products, and Processes"',
+        '"June\'s 263 targeted coaching sessions emphasized technical knowledge, driving July\'s 2.1% NPS improvement to 79.09"',
+        '"Despite market headwinds in Q2, Q1\'s 847 coaching sessions with laser focus on high-impact behaviors positioned teams for recovery"',
+        '"May\'s coaching strategy evolution—with 34% more emphasis on conversation skills—set the stage for June\'s performance gains"'
+      ],
+      avoid: [
+        'Attributing results to coaching from the wrong period (use the coaching → results mapping above)',
+        '"Effectiveness dropped 8 points" ',
+        '"Performance declined"',
+        '"Coaching failed to..."',
+        'Confusing the timeline or misstating the coaching lag'
+      ],
+      output: 'Output ONLY the 2-3 sentence summary. No JSON, no bullets, just compelling narrative text that clearly shows how coaching drove the results.',
+      multiFocus: 'Lead with the overall story across metrics, then the standout metric',
+      temperature: 0.7
+    },
+    caseStudy: {
+      system: 'You are a data-driven analyst writing customer success case studies for contact center performance improvements. You write direct, analytical content that connects specific coaching behaviors to measurable customer experience outcomes. You avoid marketing fluff and focus on clear problem-solution-results narratives grounded in data.',
+      style: 'a direct, analytical case study',
+      tone: [
+        'Direct and analytical, not promotional',
+        'Use specific numbers, avoid vague praise ("impressive," "commendable," "strategic focus")',
+        'Be honest about trade-offs (if effectiveness dropped, say so)',
+        'Ground every claim in data or clear reasoning'
+      ],
+      avoid: [
+        'Marketing fluff ("impressive demonstration of strategic focus," "commendable results," "comprehensive coaching efforts")',
+        'Percentages without context (don\'t say "56.30% effectiveness" without explaining what that means)',
+        'Spinning negative findings as positives',
+        'Generic statements that could apply to any company',
+        'Long sentences with multiple clauses'
+      ],
+      temperature: 0.5
+    }
+  },
+
+  internal_ops: {
+    version: 1,
+    label: 'Internal ops (candid)',
+    summary: {
+      system: 'You are an operations analyst writing candid internal performance reviews for contact center leadership.',
+      task: 'Write a 2-3 sentence candid summary for the internal operations team:',
+      causality: '- Connect coaching to results only as far as the data supports, and say when it does not',
+      tone: [
+        'State the result plainly: if the metric declined or missed goal, say so in the first sentence',
+        'Call out what is not working: effectiveness drops, behaviors that lost focus, months below goal',
+        'Name the one thing to look at next period',
+        'Every number and month must come from the data above'
+      ],
+      examples: [],
+      avoid: [
+        'Softening, burying or reframing a decline',
+        'Celebratory language ("impressive", "strong momentum")',
+        'Claiming coaching caused a result the data does not support'
+      ],
+      output: 'Output ONLY the 2-3 sentence summary. No JSON, no bullets, just plain, direct sentences.',
+      multiFocus: 'Lead with the metric that needs the most attention, then the rest',
+      temperature: 0.3
+    },
+    caseStudy: {
+      system: 'You are an operations analyst writing internal reviews of contact center coaching programs. You are candid about what worked and what did not, and ground every statement in data.',
+      style: 'a candid internal case study',
+      tone: [
+        'Candid and diagnostic: what worked, what did not, and why',
+        'If results declined or missed goal, lead with the gap',
+        'Use specific numbers with context',
+        'Close with what to change next period'
+      ],
+      avoid: [
+        'Promotional language of any kind',
+        'Spinning negative findings as positives',
+        'Claims the data does not support',
+        'Long sentences with multiple clauses'
+      ],
+      temperature: 0.3
+    }
+  },
+
+  executive_brief: {
+    version: 1,
+    label: 'Executive brief',
+    summary: {
+      system: 'You are a chief of staff writing one-glance briefs for senior executives.',
+      task: 'Write a 2 sentence executive brief:',
+      causality: '- Mention coaching only where it explains the result',
+      tone: [
+        'First sentence: the result against goal and the change vs the previous period',
+        'Second sentence: the coaching action that matters most and what it means for next period',
+        'Neutral, confident wording: no hype, no hedging',
+        'At most three numbers, each from the data above'
+      ],
+      examples: [],
+      avoid: [
+        'Lists of behaviors or more than three numbers',
+        'Jargon ("effectiveness points", "lag") without saying what it means'
+      ],
+      output: 'Output ONLY the 2 sentences. No JSON, no bullets.',
+      multiFocus: 'Lead with the bottom line across all metrics in one sentence',
+      temperature: 0.4
+    },
+    caseStudy: {
+      system: 'You write concise case studies for senior leaders at payer clients and their BPO partners. You put the bottom line first and keep every claim grounded in data.',
+      style: 'a concise executive case study',
+      tone: [
+        'Bottom line first: the outcome and its size',
+        'Plain business language, no fluff',
+        'Be honest about trade-offs',
+        'Only the numbers a senior reader needs'
+      ],
+      avoid: [
+        'Marketing fluff and vague praise',
+        'Operational detail an executive would skip (record counts, data points)',
+        'Spinning negative findings as positives',
+        'Long sentences with multiple clauses'
+      ],
+      temperature: 0.4
+    }
+  },
+
+  qa_compliance: {
+    version: 1,
+    label: 'QA/compliance (neutral)',
+    summary: {
+      system: 'You are a quality assurance analyst writing neutral, factual performance records for audit and compliance review.',
+      task: 'Write a 2-3 sentence neutral, factual summary for the QA/compliance record:',
+      causality: '- Describe coaching as coinciding with the results; do not claim it caused them',
+      tone: [
+        'Report values, changes, goal attainment and periods exactly as given, without adjectives',
+        'State the coaching lag and the data coverage (programs, months with goal)',
+        'Say explicitly when data is missing or illustrative'
+      ],
+      examples: [],
+      avoid: [
+        'Evaluative or promotional words ("strong", "impressive", "unfortunately")',
+        'Causal claims ("drove", "resulted in", "thanks to")',
+        'Rounding away differences'
+      ],
+      output: 'Output ONLY the summary. No JSON, no bullets, just plain declarative sentences.',
+      multiFocus: 'Report each metric in turn, in the order given',
+      temperature: 0.2
+    },
+    caseStudy: {
+      system: 'You write neutral, factual records of contact center coaching programs and their measured results for QA and compliance review.',
+      style: 'a neutral, factual case study',
+      tone: [
+        'Neutral and factual: report what was measured',
+        'Describe coaching alongside results without asserting causation',
+        'Include the periods, the coaching lag and the data coverage'
+      ],
+      avoid: [
+        'Promotional or evaluative language',
+        'Causal claims beyond "coincided with"',
+        'Statements about member or agent experience that are not in the data'
+      ],
+      temperature: 0.2
+    }
+  }
+};
+
+export const DEFAULT_NARRATIVE_PRESET = 'client_marketing';
+
+/**
+ * Parses the narrative_preset request value
+ * @param {string} value - Preset id; empty for the default
+ * @returns {Object} The preset with its id
+ * @throws {Error} For an unknown preset
+ */
+export function resolveNarrativePreset(value) {
+  const id = value === undefined || value === null || value === '' ? DEFAULT_NARRATIVE_PRESET : String(value).trim().toLowerCase();
+  if (!Object.hasOwn(NARRATIVE_PRESETS, id)) {
+    throw new Error(`narrative_preset must be one of: ${Object.keys(NARRATIVE_PRESETS).join(', ')}`);
+  }
+  return { id, ...NARRATIVE_PRESETS[id] };
+}
+
+/**
+ * What a result records about the preset that wrote it
+ * @returns {{id: string, version: number, label: string}}
+ */
+export function describeNarrativePreset(preset) {
+  return { id: preset.id, version: preset.version, label: preset.label };
+}
+
+/**
+ * "id@version", for cache keys
+ * @param {string} id - Preset id; empty for the default
+ */
+export function narrativePresetKey(id) {
+  const preset = resolveNarrativePreset(id);
+  return `${preset.id}@${preset.version}`;
+}
@@ -1,83 +1,193 @@
-import OpenAI from 'openai';
 import { logger } from '../utils/logger.js';
+import { describeLag } from '../utils/periods.js';
+import { describeMetricDirection } from './registry.js';
+import { DEMO_NOTICE } from './snapshotProcessor.js';
+import { llmConfigurationError } from '../llmProviders/index.js';
+import { generateVerifiedText } from './factChecker.js';
+import { resolveNarrativePreset } from './narrativePresets.js';
+import { renderPrompt } from '../prompts/index.js';
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Stage timings change on every request; leaving them out keeps the prompt (and its fixture key) stable
+const withoutTimings = ({ timings, ...snapshotData }) => snapshotData;
 
 /**
- * Generates AI summary using OpenAI
- * Replicates the "AI Summary" node from n8n workflow
+ * Builds the coaching-timing instructions for a prompt from the lag actually used in the snapshot
+ * Shared by the summary and case-study prompts so both narratives state the same lag
+ *
+ * @param {Object} snapshotData - Snapshot result from processSnapshotData
+ * @returns {string} Bullet list describing how coaching periods map to performance periods
  */
-export async function generateAISummary(snapshotData) {
-  if (!process.env.OPENAI_API_KEY) {
-    logger.warn('OPENAI_API_KEY not set, skipping AI summary');
-    return null;
-  }
+export function buildCoachingTimingContext(snapshotData) {
+  const comparison = snapshotData.snapshot_metadata?.comparison || {};
+  const coaching = snapshotData.coaching_activity || {};
+  const lagMonths = snapshotData.snapshot_metadata?.coaching_lag?.lag_months ?? 1;
+  const currentCoachingLabel = coaching.current?.period_label || 'the current coaching period';
+  const previousCoachingLabel = coaching.previous?.period_label || 'the previous coaching period';
   
-  logger.info('Generating AI summary with OpenAI');
+  if (lagMonths === 0) {
+    return `- Coaching and performance are measured in the SAME period (no lag applied)
+- ${currentCoachingLabel} coaching is compared with ${comparison.current_period} performance; ${previousCoachingLabel} coaching with ${comparison.previous_period} performance
+- Do not claim that earlier coaching drove these results - describe coaching as running alongside the results`;
+  }
   
-  const prompt = `You are a performance marketing analyst crafting content for client-facing reports. Given this coaching and performance data:
+  return `- The coaching data is from ${describeLag(lagMonths).toUpperCase()} BEFORE the performance period because coaching drives FUTURE performance
+- ${currentCoachingLabel} coaching → ${comparison.current_period} results; ${previousCoachingLabel} coaching → ${comparison.previous_period} results
+- The "current" coaching period drove the "current" performance results
+- State the lag (${describeLag(lagMonths)}) explicitly when connecting coaching to results`;
+}
 
-${JSON.stringify(snapshotData, null, 2)}
+/**
+ * Builds the goal-attainment facts for the summary prompt
+ * @param {Object} snapshotData - Snapshot result from processSnapshotData
+ * @returns {string} Bullet list of goal, gap and months at goal for each period
+ */
+function buildGoalAttainmentContext(snapshotData) {
+  const comparison = snapshotData.snapshot_metadata?.comparison || {};
+  if (!comparison.current_goal || comparison.current_goal === 'N/A') {
+    return '- No goal is set for this metric in the current period - do not mention goal attainment';
+  }
+  
+  const describePeriod = (prefix, label) => {
+    const goal = comparison[`${prefix}_goal`];
+    if (!goal || goal === 'N/A') return `- ${label}: no goal data`;
+    return `- ${label}: ${comparison[`${prefix}_value`]} vs goal ${goal} (${comparison[`${prefix}_percent_of_goal`]} of goal, gap ${comparison[`${prefix}_gap_to_goal`]}), ` +
+      `${comparison[`${prefix}_months_meeting_goal`] ?? comparison[`${prefix}_months_at_or_above_goal`]} of ${comparison[`${prefix}_months_with_goal`]} months meeting goal`;
+  };
+  
+  return `${describePeriod('current', comparison.current_period)}
+${describePeriod('previous', comparison.previous_period)}`;
+}
 
-Write a 2-3 sentence executive summary that showcases results in the best possible light:
+/**
+ * Generates AI summary with the summary use case's LLM provider
+ * Replicates the "AI Summary" node from n8n workflow
+ * Every number and period in the summary is checked against the snapshot (see factChecker.js)
+ *
+ * @param {Object} snapshotData - Snapshot result from processSnapshotData
+ * @param {Object} preset - Audience and tone, from resolveNarrativePreset (client_marketing by default)
+ * @returns {Promise<{summary: string, verification: Object|null, prompt_template: Object}|null>} null when skipped or failed
+ */
+export async function generateAISummary(snapshotData, preset = resolveNarrativePreset()) {
+  try {
+    const configurationError = llmConfigurationError('summary');
+    if (configurationError) {
+      logger.warn(`${configurationError}, skipping AI summary`);
+      return null;
+    }
 
-CRITICAL CONTEXT - COACHING TIMING:
-- The coaching data is from the PREVIOUS period because coaching drives FUTURE performance
-- Example: If performance improved in Jul, mention the Jun coaching that drove it
-- The "current" coaching period drove the "current" performance results
-- Always connect coaching efforts to the results they produced
+    const isDemo = snapshotData.snapshot_metadata?.demo_mode === true;
 
-TONE GUIDELINES:
-- Lead with wins: If the metric improved, celebrate it prominently
-- Frame coaching strategically: Emphasize volume, focus shifts, and behavior targeting over effectiveness drops
-- Soften negatives: If performance declined, focus on the coaching response (e.g., "teams doubled down on X behavior") rather than the outcome
-- Be specific with numbers to show impact: "increased focus by 48%" sounds more impressive than "coaching changed"
-- If it's genuinely a bad month, acknowledge it briefly then pivot to what's being done differently
-- ALWAYS connect coaching actions to performance outcomes - show cause and effect
+    const { summary: tone } = preset;
+    const { template: promptTemplate, system, prompt } = renderPrompt('snapshot_summary', {
+      role: tone.system,
+      snapshot_json: JSON.stringify(withoutTimings(snapshotData), null, 2),
+      task: tone.task,
+      demo: isDemo,
+      metric_direction: describeMetricDirection(snapshotData.snapshot_metadata?.metric),
+      timing_context: buildCoachingTimingContext(snapshotData),
+      causality: tone.causality,
+      goal_context: buildGoalAttainmentContext(snapshotData),
+      tone_guidelines: tone.tone.map(line => `- ${line}`).join('\n'),
+      examples: tone.examples.map(line => `✅ ${line}`).join('\n'),
+      avoid: tone.avoid.map(line => `❌ ${line}`).join('\n'),
+      output_format: tone.output
+    });
 
-EXAMPLES OF GOOD FRAMING:
-✅ "NPS climbed 2.1% to 79.09 in July, supported by June's strategic coaching shift with a 48% increase in focus on Policies, Products, and Processes"
-✅ "June's 263 targeted coaching sessions emphasized technical knowledge, driving July's 2.1% NPS improvement to 79.09"
-✅ "Despite market headwinds in Q2, Q1's 847 coaching sessions with laser focus on high-impact behaviors positioned teams for recovery"
-✅ "May's coaching strategy evolution—with 34% more emphasis on conversation skills—set the stage for June's performance gains"
+    const { text: summary, verification } = await generateVerifiedText('summary', {
+      system,
+      prompt,
+      temperature: tone.temperature,
+      maxTokens: 300,
+      data: snapshotData,
+    }, snapshotData);
+    
+    logger.info('AI summary generated successfully');
+    if (!summary) return null;
+    return { summary: isDemo ? `[${DEMO_NOTICE}] ${summary}` : summary, verification, prompt_template: promptTemplate };
+    
+  } catch (error) {
+    logger.error('Failed to generate AI summary', error);
+    // Don't throw - return null so the dashboard still works
+    return null;
+  }
+}
 
-AVOID:
-❌ "July coaching improved NPS" (coaching is from previous period!)
-❌ "Effectiveness dropped 8 points" 
-❌ "Performance declined"
-❌ "Coaching failed to..."
-❌ Confusing the timeline (always: previous period coaching → current period results)
 
-OUTPUT FORMAT:
-Output ONLY the 2-3 sentence summary. No JSON, no bullets, just compelling narrative text that clearly shows how coaching drove the results.`;
+/**
+ * Builds the per-metric facts for the multi-metric summary prompt
+ * @param {Object} metricResult - One entry of processMultiMetricSnapshot's metrics
+ * @returns {string} Bullet list for the metric
+ */
+function buildMetricContext(metricResult) {
+  if (metricResult.status === 'insufficient_data') {
+    return `- ${metricResult.metric}: not enough data (${metricResult.insufficient_data?.message || 'missing periods'}) - do not mention results for it`;
+  }
+  
+  const comparison = metricResult.snapshot_metadata.comparison;
+  const topBehaviors = metricResult.coaching_activity.current.top_behaviors
+    .slice(0, 3)
+    .map(b => `${b.behavior} (${b.sessions})`)
+    .join(', ');
+  return `- ${metricResult.metric}: ${comparison.previous_value} → ${comparison.current_value} (${comparison.change}, ${comparison.percent_change}); ${describeMetricDirection(metricResult.metric)}
+  Goal: ${comparison.current_goal !== 'N/A' ? `${comparison.current_percent_of_goal} of goal ${comparison.current_goal}` : 'no goal'}
+  Coaching: ${metricResult.coaching_activity.current.total_coaching_sessions} sessions (${metricResult.coaching_activity.change.coaching_volume_change_pct} vs previous); top behaviors ${topBehaviors || 'none'}`;
+}
 
+/**
+ * Generates one combined AI summary for a multi-metric snapshot, fact-checked against every metric's result
+ * @param {Object} multiData - processMultiMetricSnapshot result
+ * @param {Object} preset - Audience and tone, from resolveNarrativePreset
+ * @returns {Promise<{summary: string, verification: Object|null, prompt_template: Object}|null>}
+ */
+export async function generateMultiMetricSummary(multiData, preset = resolveNarrativePreset()) {
   try {
-    const response = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a performance marketing analyst crafting content for client-facing reports.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      temperature: 0.7,
-      max_tokens: 300,
+    const configurationError = llmConfigurationError('summary');
+    if (configurationError) {
+      logger.warn(`${configurationError}, skipping AI summary`);
+      return null;
+    }
+
+    const isDemo = multiData.snapshot_metadata?.demo_mode === true;
+    const comparison = multiData.snapshot_metadata.comparison;
+    const timingSource = multiData.metrics.find(result => result.status !== 'insufficient_data');
+    const coMoving = multiData.co_moving_behaviors.length > 0
+      ? multiData.co_moving_behaviors
+        .map(entry => `- ${entry.behavior}: ${entry.metrics.map(m => `${m.metric} ${m.result} with coaching ${m.coaching} ${Math.abs(m.sessions_change)} sessions`).join('; ')}`)
+        .join('\n')
+      : '- None: no behavior moved with more than one metric';
+
+    const { summary: tone } = preset;
+    const { template: promptTemplate, system, prompt } = renderPrompt('multi_metric_summary', {
+      role: tone.system,
+      organization: multiData.snapshot_metadata.organization,
+      clients: multiData.snapshot_metadata.clients,
+      current_period: comparison.current_period,
+      previous_period: comparison.previous_period,
+      metrics: multiData.metrics.map(buildMetricContext).join('\n'),
+      co_moving_behaviors: coMoving,
+      demo: isDemo,
+      focus: tone.multiFocus,
+      timing_context: timingSource ? buildCoachingTimingContext(timingSource) : '- No coaching comparison is available',
+      causality: tone.causality,
+      tone_guidelines: tone.tone.map(line => `- ${line}`).join('\n')
     });
+
+    const { text: summary, verification } = await generateVerifiedText('summary', {
+      system,
+      prompt,
+      temperature: tone.temperature,
+      maxTokens: 400,
+      data: multiData,
+      template: 'multi_summary',
+    }, multiData);
     
-    const summary = response.choices[0]?.message?.content?.trim();
-    logger.info('AI summary generated successfully');
-    return summary || null;
+    logger.info('Multi-metric AI summary generated successfully');
+    if (!summary) return null;
+    return { summary: isDemo ? `[${DEMO_NOTICE}] ${summary}` : summary, verification, prompt_template: promptTemplate };
     
   } catch (error) {
-    logger.error('Failed to generate AI summary', error);
+    logger.error('Failed to generate multi-metric AI summary', error);
     // Don't throw - return null so the dashboard still works
     return null;
   }
 }
-
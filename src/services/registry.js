@@ -0,0 +1,362 @@
+import { createRequire } from 'module';
+import { supabase, requireDatabase } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+
+const require = createRequire(import.meta.url);
+const seed = require('../config/registrySeed.json');
+
+export const REGISTRY_KINDS = ['organization', 'metric'];
+export const METRIC_DIRECTIONS = ['higher', 'lower'];
+// supplement: the rule's clients' rows are added to the selection; proxy: they replace the triggering clients'
+export const SUPPLEMENT_MODES = ['supplement', 'proxy'];
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+const normalize = (value) => String(value ?? '').trim().replace(/\s+/g, ' ').toUpperCase();
+
+/**
+ * Builds lookup indexes (canonical id and every alias → entry) for a set of entries
+ */
+function buildRegistry(organizations, metrics, source) {
+  const index = (entries) => {
+    const byName = new Map();
+    entries.forEach(entry => {
+      [entry.id, ...(entry.aliases || [])].forEach(name => byName.set(normalize(name), entry));
+    });
+    return byName;
+  };
+  return {
+    source,
+    organizations,
+    metrics,
+    organizationIndex: index(organizations),
+    metricIndex: index(metrics)
+  };
+}
+
+// Start from the bundled seed so lookups work before (or without) the database
+let registry = buildRegistry(seed.organizations, seed.metrics, 'seed');
+let loadedAt = 0;
+
+/**
+ * Loads the registry from the registry_entries table, falling back to the JSON seed
+ * Cached for a few minutes; edits through saveRegistryEntry reload it immediately
+ *
+ * @param {Object} options
+ * @param {boolean} options.force - Skip the cache
+ * @returns {Promise<Object>} { source, organizations, metrics }
+ */
+export async function loadRegistry({ force = false } = {}) {
+  if (!force && Date.now() - loadedAt < CACHE_TTL_MS) {
+    return getRegistry();
+  }
+
+  // Without a database (DATA_SOURCE=file) the seed is the registry
+  if (!supabase) {
+    loadedAt = Date.now();
+    return getRegistry();
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('registry_entries')
+      // '*' so a table created before the supplements column still loads
+      .select('*')
+      .order('id', { ascending: true });
+
+    if (error) {
+      logger.warn(`Registry table not available, using seed: ${error.message}`);
+    } else if (!data || data.length === 0) {
+      logger.warn('Registry table is empty, using seed (run npm run seed-registry)');
+    } else {
+      registry = buildRegistry(
+        data.filter(r => r.kind === 'organization').map(toOrganization),
+        data.filter(r => r.kind === 'metric').map(toMetric),
+        'database'
+      );
+    }
+  } catch (error) {
+    logger.warn(`Failed to load registry, using ${registry.source}: ${error.message}`);
+  }
+
+  loadedAt = Date.now();
+  return getRegistry();
+}
+
+/**
+ * Current registry contents (whatever was last loaded, or the seed)
+ */
+export function getRegistry() {
+  return { source: registry.source, organizations: registry.organizations, metrics: registry.metrics };
+}
+
+const toOrganization = (row) => ({ id: row.id, display_name: row.display_name, aliases: row.aliases || [], supplements: row.supplements || [] });
+const toMetric = (row) => ({
+  id: row.id,
+  display_name: row.display_name,
+  unit: row.unit || null,
+  direction: row.direction || 'higher',
+  aliases: row.aliases || []
+});
+
+/**
+ * Resolves an organization name or alias to its canonical amplifai_org value
+ * @returns {string} Canonical id, or the trimmed input when it isn't in the registry
+ */
+export function resolveOrganization(name) {
+  const entry = registry.organizationIndex.get(normalize(name));
+  return entry ? entry.id : String(name ?? '').trim();
+}
+
+/**
+ * Case- and whitespace-insensitive key of an organization's canonical id, for comparing and grouping
+ * Unregistered names keep their spelling in resolveOrganization, so compare them through this
+ */
+export function organizationKey(name) {
+  return normalize(resolveOrganization(name));
+}
+
+/**
+ * Looks up a metric by its amplifai_metric value or an alias
+ * Metrics not in the registry are treated as higher-is-better with no unit
+ *
+ * @param {string} metric - e.g. "AHT", "Average Handle Time"
+ * @returns {{id: string, display_name: string, unit: string|null, direction: 'higher'|'lower', aliases: Array<string>}}
+ */
+export function getMetricDefinition(metric) {
+  const entry = registry.metricIndex.get(normalize(metric));
+  if (entry) return entry;
+  const id = normalize(metric);
+  return { id, display_name: String(metric ?? '').trim() || id, unit: null, direction: 'higher', aliases: [] };
+}
+
+/**
+ * Resolves a metric name or alias to its canonical amplifai_metric value
+ */
+export function resolveMetric(metric) {
+  return getMetricDefinition(metric).id;
+}
+
+/**
+ * Canonical id plus every alias for an entry, for pushing name filters to the database
+ * @param {'organization'|'metric'} kind
+ * @param {string} id - Canonical id (or any alias)
+ * @returns {Array<string>} Names as stored in the registry; just the input when it isn't registered
+ */
+export function registryNames(kind, id) {
+  const index = kind === 'metric' ? registry.metricIndex : registry.organizationIndex;
+  const entry = index.get(normalize(id));
+  return entry ? [entry.id, ...(entry.aliases || [])] : [String(id ?? '').trim()];
+}
+
+/**
+ * Whether a monthly_metrics / behavioral_coaching row is for the given canonical metric
+ * Checks the standardized amplifai_metric first, then the raw metric column
+ */
+export function rowMatchesMetric(row, metricId) {
+  return (!!row.amplifai_metric && resolveMetric(row.amplifai_metric) === metricId) ||
+    (!!row.metric && resolveMetric(row.metric) === metricId);
+}
+
+export function isLowerBetter(metric) {
+  return getMetricDefinition(metric).direction === 'lower';
+}
+
+/**
+ * 1 when an increase is an improvement, -1 when a decrease is
+ */
+export function directionSign(metric) {
+  return isLowerBetter(metric) ? -1 : 1;
+}
+
+/**
+ * Every amplifai_metric value (ids and aliases) where lower is better, for database filters
+ */
+export function lowerIsBetterMetrics() {
+  return registry.metrics
+    .filter(def => def.direction === 'lower')
+    .flatMap(def => [def.id, ...(def.aliases || [])]);
+}
+
+/**
+ * Whether a value meets its goal, respecting the metric's direction
+ */
+export function meetsGoal(metric, actual, goal) {
+  return isLowerBetter(metric) ? actual <= goal : actual >= goal;
+}
+
+/**
+ * Prompt text explaining how to read changes in this metric
+ */
+export function describeMetricDirection(metric) {
+  const { display_name, direction } = getMetricDefinition(metric);
+  return direction === 'lower'
+    ? `${display_name} is a LOWER-IS-BETTER metric: a decrease is an improvement and values below goal are good`
+    : `${display_name} is a HIGHER-IS-BETTER metric: an increase is an improvement and values above goal are good`;
+}
+
+/**
+ * Validates and normalizes a registry entry for saving
+ * @throws {Error} When the entry is invalid
+ */
+export function validateRegistryEntry(kind, entry) {
+  if (!REGISTRY_KINDS.includes(kind)) {
+    throw new Error(`kind must be one of: ${REGISTRY_KINDS.join(', ')}`);
+  }
+  if (!entry || typeof entry !== 'object') {
+    throw new Error('entry is required');
+  }
+
+  const id = normalize(entry.id);
+  if (!id) {
+    throw new Error('entry.id is required');
+  }
+  if (entry.aliases !== undefined && (!Array.isArray(entry.aliases) || entry.aliases.some(a => typeof a !== 'string'))) {
+    throw new Error('entry.aliases must be an array of strings');
+  }
+  if (kind === 'metric' && entry.direction !== undefined && !METRIC_DIRECTIONS.includes(entry.direction)) {
+    throw new Error(`entry.direction must be one of: ${METRIC_DIRECTIONS.join(', ')}`);
+  }
+  const supplements = kind === 'organization' ? validateSupplements(entry.supplements) : [];
+
+  const aliases = [...new Set((entry.aliases || []).map(normalize).filter(a => a && a !== id))];
+
+  // An alias may only point at one entry, otherwise resolution depends on load order
+  const entries = kind === 'metric' ? registry.metrics : registry.organizations;
+  const clash = entries.find(other => other.id !== id &&
+    [other.id, ...(other.aliases || [])].some(name => aliases.includes(normalize(name)) || normalize(name) === id));
+  if (clash) {
+    throw new Error(`${id} or one of its aliases is already used by ${kind} ${clash.id}`);
+  }
+
+  return {
+    kind,
+    id,
+    display_name: String(entry.display_name || '').trim() || id,
+    aliases,
+    unit: kind === 'metric' ? (entry.unit ? String(entry.unit).trim() : null) : null,
+    direction: kind === 'metric' ? (entry.direction || 'higher') : null,
+    supplements
+  };
+}
+
+/**
+ * Validates an organization's client supplement rules
+ * Each rule: { clients, supplemental_clients, mode ('supplement' or 'proxy'), reason }
+ * @throws {Error} When a rule is invalid
+ */
+function validateSupplements(supplements) {
+  if (supplements === undefined || supplements === null) return [];
+  if (!Array.isArray(supplements)) {
+    throw new Error('entry.supplements must be an array of rules');
+  }
+  const isNameList = (value) => Array.isArray(value) && value.length > 0 && value.every(name => typeof name === 'string' && name.trim() !== '');
+
+  return supplements.map((rule, index) => {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`entry.supplements[${index}] must be an object`);
+    }
+    if (!isNameList(rule.clients) || !isNameList(rule.supplemental_clients)) {
+      throw new Error(`entry.supplements[${index}] needs non-empty clients and supplemental_clients arrays`);
+    }
+    if (rule.mode !== undefined && !SUPPLEMENT_MODES.includes(rule.mode)) {
+      throw new Error(`entry.supplements[${index}].mode must be one of: ${SUPPLEMENT_MODES.join(', ')}`);
+    }
+    return {
+      clients: rule.clients.map(name => name.trim()),
+      supplemental_clients: rule.supplemental_clients.map(name => name.trim()),
+      mode: rule.mode || 'supplement',
+      reason: rule.reason ? String(rule.reason).trim() : null
+    };
+  });
+}
+
+/**
+ * Clients whose rows feed a snapshot for an organization
+ * Supplement rules only apply when the request opts in with include_supplemental; otherwise exactly
+ * the requested clients are used. Either way the result says which rules matched the selection.
+ * Clients match case-insensitively.
+ *
+ * @param {Array<string>} clients - Requested clients
+ * @param {string} organization - Organization name or alias
+ * @param {boolean} includeSupplemental
+ * @returns {{requested: Array<string>, used: Array<string>, include_supplemental: boolean, supplements: Array}}
+ *   supplements lists the matching rules, each with applied: true|false
+ */
+export function resolveSnapshotClients(clients, organization, includeSupplemental = false) {
+  const requested = [...new Set(clients || [])];
+  const entry = registry.organizationIndex.get(normalize(organization));
+  const isSelected = (name) => requested.some(client => normalize(client) === normalize(name));
+  const matching = (entry?.supplements || []).filter(rule => rule.clients.some(isSelected));
+
+  let used = [...requested];
+  if (includeSupplemental) {
+    matching.forEach(rule => {
+      if (rule.mode === 'proxy') {
+        used = used.filter(client => !rule.clients.some(name => normalize(name) === normalize(client)));
+      }
+      used = [...used, ...rule.supplemental_clients.filter(name => !used.some(client => normalize(client) === normalize(name)))];
+    });
+  }
+
+  return {
+    requested,
+    used,
+    include_supplemental: includeSupplemental,
+    supplements: matching.map(rule => ({ ...rule, applied: includeSupplemental }))
+  };
+}
+
+/**
+ * Creates or updates a registry entry and reloads the registry
+ * @returns {Promise<Object>} Saved row
+ */
+export async function saveRegistryEntry(kind, entry) {
+  const record = validateRegistryEntry(kind, entry);
+
+  const { data, error } = await requireDatabase()
+    .from('registry_entries')
+    .upsert({ ...record, updated_at: new Date().toISOString() }, { onConflict: 'kind,id' })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to save registry entry: ${error.message}`);
+  }
+
+  logger.info(`Registry ${kind} ${record.id} saved`);
+  await loadRegistry({ force: true });
+  return data;
+}
+
+/**
+ * Deletes a registry entry and reloads the registry
+ */
+export async function deleteRegistryEntry(kind, id) {
+  if (!REGISTRY_KINDS.includes(kind)) {
+    throw new Error(`kind must be one of: ${REGISTRY_KINDS.join(', ')}`);
+  }
+
+  const { error } = await requireDatabase()
+    .from('registry_entries')
+    .delete()
+    .eq('kind', kind)
+    .eq('id', normalize(id));
+
+  if (error) {
+    throw new Error(`Failed to delete registry entry: ${error.message}`);
+  }
+
+  logger.info(`Registry ${kind} ${normalize(id)} deleted`);
+  await loadRegistry({ force: true });
+}
+
+/**
+ * Seed entries as registry_entries rows (used by scripts/seed-registry.js)
+ */
+export function seedRows() {
+  return [
+    ...seed.organizations.map(o => ({ kind: 'organization', ...toOrganization(o), unit: null, direction: null })),
+    ...seed.metrics.map(m => ({ kind: 'metric', ...toMetric(m), supplements: [] }))
+  ];
+}
@@ -1,91 +1,83 @@
-import { supabase } from '../config/database.js';
 import { logger } from '../utils/logger.js';
+import { resolveComparisonPeriods, shiftPeriod, periodYears, periodRange, formatPeriods, matchesPeriods, normalizeMonth, periodKey, parseLagMonths, defaultLagMonths, describeLag, MAX_LAG_MONTHS } from '../utils/periods.js';
+import { computeLagCorrelations, DEFAULT_HISTORY_MONTHS } from './lagAnalysis.js';
+import { aggregateMetric, describeAggregation, parseAggregationMode, parseWeightColumn } from '../utils/aggregation.js';
+import { loadRegistry, getMetricDefinition, resolveOrganization, organizationKey, rowMatchesMetric, directionSign, meetsGoal, resolveSnapshotClients } from './registry.js';
+import { getDataAvailability } from '../queries/snapshotOptions.js';
+import { planSnapshotQueries, describePlan, fetchSnapshotRows } from '../queries/snapshotData.js';
+import { getSnapshotAggregates } from '../queries/snapshotAggregates.js';
+import { findCachedSnapshot, cachedSnapshotResponse } from './snapshotStorage.js';
+import { normalizeSnapshotParams, snapshotCacheKey, snapshotDataVersion } from '../utils/snapshotCache.js';
+import { narrativePresetKey } from './narrativePresets.js';
+import { promptTemplateKey } from '../prompts/index.js';
+import { clientLabel } from '../utils/clientLabels.js';
+
+export const DEMO_NOTICE = 'DEMO DATA: illustrative sample values, not real results';
 
 /**
  * Replicates the "Parse Data" logic from n8n workflow
  * This is the core calculation logic that must match exactly
+ *
+ * @param {Object} params - Request params (see api/snapshot.js)
+ * @param {Object} options
+ * @param {Object} options.rows - Already-fetched { monthlyMetrics, behavioralCoaching, timings } covering this
+ *   snapshot (multi-metric and by-client snapshots share one fetch); skips the fetch and the cache
+ * @param {boolean} options.supplement - Set to false to ignore include_supplemental (by-client comparisons)
  */
-export async function processSnapshotData(params) {
+export async function processSnapshotData(params, options = {}) {
+  const startedAt = Date.now();
   logger.info('Processing snapshot data', params);
   
-  // Determine effective clients (supplement TP/TTEC with Alorica data)
-  const needsAloricaSupplement = Array.isArray(params.clients) && params.clients.some(c => c === 'TP' || c === 'TTEC');
-  const effectiveClients = needsAloricaSupplement
-    ? Array.from(new Set([...(params.clients || []), 'Alorica']))
-    : (params.clients || []);
-  if (needsAloricaSupplement) {
-    logger.info(`Supplementing client selection ${JSON.stringify(params.clients)} with 'Alorica' for data completeness. Effective clients: ${JSON.stringify(effectiveClients)}`);
+  // Clients whose rows are used: exactly the selection, unless include_supplemental applies the
+  // organization's supplement rules from the registry (by-client comparisons never supplement)
+  await loadRegistry();
+  const clientSources = resolveSnapshotClients(params.clients, params.organization, options.supplement !== false && params.include_supplemental === true);
+  const effectiveClients = clientSources.used;
+  if (clientSources.supplements.some(rule => rule.applied)) {
+    logger.info(`Supplementing client selection ${JSON.stringify(params.clients)} per ${params.organization} rules. Effective clients: ${JSON.stringify(effectiveClients)}`);
   }
   
-  // Determine periods
-  let currentPeriod, previousPeriod;
-  if (params.comparison_type === 'month') {
-    currentPeriod = [params.current_month];
-    previousPeriod = [params.previous_month];
-    logger.info(`Input periods - Current: ${currentPeriod.join(', ')}, Previous: ${previousPeriod.join(', ')}`);
-  } else {
-    // Quarter mapping
-    const quarterMonths = {
-      'Q1': ['Jan', 'Feb', 'Mar'],
-      'Q2': ['Apr', 'May', 'Jun'],
-      'Q3': ['Jul', 'Aug', 'Sep'],
-      'Q4': ['Oct', 'Nov', 'Dec']
-    };
-    currentPeriod = quarterMonths[params.current_quarter];
-    previousPeriod = quarterMonths[params.previous_quarter];
-  }
-  
-  // Month shifting logic for coaching (coaching is from previous period)
-  const monthOrder = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-  
-  const shiftMonthBack = (month) => {
-    const idx = monthOrder.indexOf(month);
-    return idx > 0 ? monthOrder[idx - 1] : monthOrder[11];
-  };
-  
-  // Shift coaching periods back by 1 month
-  let currentCoachingPeriod, previousCoachingPeriod;
-  
-  if (params.comparison_type === 'month') {
-    currentCoachingPeriod = currentPeriod.map(shiftMonthBack);
-    previousCoachingPeriod = previousPeriod.map(shiftMonthBack);
-    logger.info(`Coaching periods (shifted back 1 month) - Current: ${currentCoachingPeriod.join(', ')}, Previous: ${previousCoachingPeriod.join(', ')}`);
-  } else {
-    currentCoachingPeriod = previousPeriod;
-    previousCoachingPeriod = previousPeriod.map(m => {
-      const idx = monthOrder.indexOf(m);
-      return monthOrder[(idx - 3 + 12) % 12];
-    });
-  }
+  // Determine periods as { year, month } pairs so comparisons can cross year boundaries
+  const { current: currentPeriod, previous: previousPeriod } = params.current_periods && params.previous_periods
+    ? { current: params.current_periods, previous: params.previous_periods }
+    : resolveComparisonPeriods(params);
+  logger.info(`Input periods - Current: ${formatPeriods(currentPeriod)}, Previous: ${formatPeriods(previousPeriod)}`);
+  
+  // Coaching-to-performance lag: lag_months overrides the default (1 month; a full quarter for quarter comparisons)
+  // "auto" is resolved from the coaching/metric cross-correlation once the data is loaded
+  const requestedLag = parseLagMonths(params.lag_months);
+  
+  // Organization and metric aliases resolve through the registry; the metric's direction
+  // (higher or lower is better) drives "improved", goal checks and lag direction
+  const organizationId = resolveOrganization(params.organization);
+  const metricDefinition = getMetricDefinition(params.metric_name);
+  const isOrganization = (value) => organizationKey(value) === organizationKey(organizationId);
+  const isMetric = (value) => !!value && rowMatchesMetric({ amplifai_metric: value }, metricDefinition.id);
+  
+  // How program-month rows collapse into one value per period (mean, weighted, median, goal_ratio)
+  const aggregationMode = parseAggregationMode(params.aggregation);
+  const weightColumn = parseWeightColumn(params.weight_column);
+  
+  // Query plan: the compared months plus the lag-analysis history, and coaching for every candidate lag
+  // of those months, so lag detection and "auto" have what they need and nothing more is fetched
+  const { lagHistoryPeriods, metricPeriods, coachingPeriods } = snapshotPlanPeriods(currentPeriod, previousPeriod);
+  const queryPlan = planSnapshotQueries({
+    clients: effectiveClients,
+    organizationId,
+    metricId: metricDefinition.id,
+    metricPeriods,
+    coachingPeriods
+  });
+  const coachingYears = periodYears(queryPlan.coaching_periods);
   
   // Helper: Check if value is valid
   const isValid = (v) => v !== null && v !== undefined && v !== '' && !isNaN(Number(v));
   
-  // Helper function for flexible matching
-  const normalizeString = (str) => {
-    if (!str) return '';
-    return String(str).trim().toUpperCase();
-  };
-  
-  // Normalize month names (handle "Jun" vs "June", etc.)
-  const normalizeMonth = (month) => {
-    if (!month) return '';
-    const m = String(month).trim();
-    const monthMap = {
-      'JAN': 'JAN', 'JANUARY': 'JAN',
-      'FEB': 'FEB', 'FEBRUARY': 'FEB',
-      'MAR': 'MAR', 'MARCH': 'MAR',
-      'APR': 'APR', 'APRIL': 'APR',
-      'MAY': 'MAY',
-      'JUN': 'JUN', 'JUNE': 'JUN',
-      'JUL': 'JUL', 'JULY': 'JUL',
-      'AUG': 'AUG', 'AUGUST': 'AUG',
-      'SEP': 'SEP', 'SEPTEMBER': 'SEP',
-      'OCT': 'OCT', 'OCTOBER': 'OCT',
-      'NOV': 'NOV', 'NOVEMBER': 'NOV',
-      'DEC': 'DEC', 'DECEMBER': 'DEC'
-    };
-    return monthMap[m.toUpperCase()] || m.toUpperCase();
+  // Display label for a record's period (e.g. "Dec 2024") and a sortable key for such labels
+  const recordPeriodLabel = (record) => `${normalizeMonth(record.month) || record.month} ${record.year}`;
+  const periodLabelKey = (label) => {
+    const [month, year] = label.split(' ');
+    return periodKey({ year, month });
   };
   
   // Normalize behavior names for case-insensitive matching
@@ -107,80 +99,93 @@ export async function processSnapshotData(params) {
     return { normalized, display };
   };
   
-  // Fetch monthly metrics
-  logger.info(`Fetching monthly_metrics for org: ${params.organization}, year: ${params.year}`);
-  const { data: allMonthlyMetrics, error: metricsError } = await supabase
-    .from('monthly_metrics')
-    .select('*')
-    .eq('amplifai_org', params.organization)
-    .eq('year', params.year);
-  
-  if (metricsError) {
-    logger.error('Monthly metrics query error:', metricsError);
-    throw new Error(`Failed to fetch monthly metrics: ${metricsError.message} (code: ${metricsError.code})`);
-  }
-  
-  logger.info(`Fetched ${allMonthlyMetrics?.length || 0} monthly metrics records`);
+  // Fetch metrics and coaching in parallel with org/client/metric/period predicates applied in the database
+  logger.info('Fetching snapshot data', describePlan(queryPlan));
+  const { monthlyMetrics: allMonthlyMetrics, behavioralCoaching: allBehavioralCoaching, timings: fetchTimings } = options.rows || await fetchSnapshotRows(queryPlan);
   
-  // First, test if we can access the behavioral_coaching table at all
-  logger.info('Testing access to behavioral_coaching table...');
-  const { data: testData, error: testError, count: testCount } = await supabase
-    .from('behavioral_coaching')
-    .select('*', { count: 'exact', head: true });
-  
-  if (testError) {
-    logger.error('Cannot access behavioral_coaching table:', testError);
-    logger.error('Error details:', JSON.stringify(testError, null, 2));
-    throw new Error(`Cannot access behavioral_coaching table: ${testError.message} (code: ${testError.code}, hint: ${testError.hint || 'none'})`);
-  }
+  // Fetch and processing times for the response (api/snapshot adds the AI summary and save times)
+  const snapshotTimings = () => ({
+    ...fetchTimings,
+    processing_ms: Date.now() - startedAt - fetchTimings.fetch_ms,
+    snapshot_ms: Date.now() - startedAt
+  });
   
-  logger.info(`Table access test: Found ${testCount || 0} total records in behavioral_coaching table`);
-  
-  // Fetch behavioral coaching
-  // IMPORTANT: Use pagination to get ALL records - Supabase may still limit even with high limit
-  // Fetch all records for the year, then filter by org in JavaScript
-  logger.info(`Fetching ALL behavioral_coaching for year: ${params.year} (will filter by org in JavaScript)`);
-  
-  let allBehavioralCoaching = [];
-  let from = 0;
-  const pageSize = 1000;
-  let hasMore = true;
-  
-  while (hasMore) {
-    const { data: pageData, error: coachingError, count } = await supabase
-      .from('behavioral_coaching')
-      .select('*', { count: 'exact' })
-      .eq('year', params.year)
-      .range(from, from + pageSize - 1)
-      .order('month', { ascending: false }) // Order by month descending to get mix of months
-      .order('id', { ascending: true }); // Secondary sort for consistency
-    
-    if (coachingError) {
-      logger.error('Behavioral coaching query error:', coachingError);
-      logger.error('Error details:', JSON.stringify(coachingError, null, 2));
-      throw new Error(`Failed to fetch coaching data: ${coachingError.message} (code: ${coachingError.code}, hint: ${coachingError.hint || 'none'})`);
-    }
-    
-    if (pageData && pageData.length > 0) {
-      allBehavioralCoaching = allBehavioralCoaching.concat(pageData);
-      from += pageSize;
-      hasMore = pageData.length === pageSize; // If we got a full page, there might be more
-      logger.info(`Fetched ${allBehavioralCoaching.length} records so far (page size: ${pageData.length}, total available: ${count || 'unknown'})`);
-    } else {
-      hasMore = false;
+  // Cache: identical (normalized) params over unchanged rows reuse the saved snapshot, AI summary included
+  // force_refresh skips the lookup; the fresh result is saved under the same key and becomes the cached one
+  // Metrics of a multi-metric snapshot (shared rows) are not cached individually
+  const useCache = !options.rows;
+  const forceRefresh = params.force_refresh === true;
+  const cacheKey = useCache ? snapshotCacheKey(normalizeSnapshotParams({
+    clients: params.clients,
+    clientsUsed: effectiveClients,
+    organizationId,
+    metricId: metricDefinition.id,
+    direction: metricDefinition.direction,
+    comparisonType: params.comparison_type,
+    currentPeriods: currentPeriod,
+    previousPeriods: previousPeriod,
+    lagMonths: requestedLag,
+    aggregation: aggregationMode,
+    weightColumn,
+    // The cached result includes its AI summary, which is written for one preset with one prompt version
+    narrativePreset: narrativePresetKey(params.narrative_preset),
+    promptTemplate: promptTemplateKey('snapshot_summary')
+  })) : null;
+  const dataVersion = useCache ? snapshotDataVersion(allMonthlyMetrics, allBehavioralCoaching) : null;
+  if (useCache && !forceRefresh) {
+    const cached = await findCachedSnapshot(cacheKey, dataVersion);
+    if (cached) {
+      logger.info(`Snapshot cache hit: snapshot ${cached.id} from ${cached.created_at}`);
+      return {
+        ...cachedSnapshotResponse(cached, { key: cacheKey, data_version: dataVersion }),
+        timings: snapshotTimings()
+      };
     }
   }
   
-  logger.info(`Fetched ${allBehavioralCoaching.length} total coaching records for year ${params.year}`);
-  
-  // Now filter by organization in JavaScript
-  const orgFilteredCoaching = allBehavioralCoaching.filter(r => 
-    normalizeString(r.amplifai_org) === normalizeString(params.organization)
+  // Lag detection: correlate monthly coaching with the metric at lags 0-3 over the history window
+  // (the DEFAULT_HISTORY_MONTHS months up to the current period; coaching was fetched for every lag of them)
+  const lagAnalysis = computeLagCorrelations(
+    (allMonthlyMetrics || []).filter(item => {
+      return effectiveClients.includes(item.client) &&
+        isMetric(item.amplifai_metric) &&
+        matchesPeriods(item, lagHistoryPeriods);
+    }),
+    allBehavioralCoaching.filter(item => effectiveClients.includes(item.client) && (
+      isMetric(item.amplifai_metric) ||
+      isMetric(item.metric)
+    )),
+    { direction: directionSign(metricDefinition.id) }
   );
-  logger.info(`After filtering by org "${params.organization}": ${orgFilteredCoaching.length} records`);
+  logger.info(`Lag analysis: ${lagAnalysis.note}`);
   
-  // Use the filtered data
-  allBehavioralCoaching = orgFilteredCoaching;
+  // Resolve the lag and shift coaching periods back by it
+  const coachingLag = {
+    months: typeof requestedLag === 'number' ? requestedLag : defaultLagMonths(params.comparison_type),
+    mode: requestedLag === null ? 'default' : (requestedLag === 'auto' ? 'auto' : 'fixed'),
+    detected: false
+  };
+  if (coachingLag.mode === 'auto') {
+    if (lagAnalysis.best_lag) {
+      coachingLag.months = lagAnalysis.best_lag.lag_months;
+      coachingLag.detected = true;
+    } else {
+      logger.warn(`lag_months "auto" requested but no lag is supported by the data; using default lag of ${describeLag(coachingLag.months)}`);
+    }
+  }
+  const coachingShift = coachingLag.months;
+  const currentCoachingPeriod = currentPeriod.map(p => shiftPeriod(p, -coachingShift));
+  const previousCoachingPeriod = previousPeriod.map(p => shiftPeriod(p, -coachingShift));
+  logger.info(`Coaching periods (lag: ${describeLag(coachingShift)}, ${coachingLag.mode}) - Current: ${formatPeriods(currentCoachingPeriod)}, Previous: ${formatPeriods(previousCoachingPeriod)}`);
+  
+  const coachingLagMetadata = {
+    lag_months: coachingLag.months,
+    mode: coachingLag.mode,
+    detected: coachingLag.detected,
+    description: coachingLag.months === 0
+      ? 'Coaching and performance are measured in the same month'
+      : `Coaching from ${describeLag(coachingLag.months)} before each performance month (e.g. ${formatPeriods(currentCoachingPeriod)} coaching → ${formatPeriods(currentPeriod)} performance)`
+  };
   
   // If no data returned, check if it's an RLS/permissions issue
   if ((!allMonthlyMetrics || allMonthlyMetrics.length === 0) && (!allBehavioralCoaching || allBehavioralCoaching.length === 0)) {
@@ -222,26 +227,19 @@ export async function processSnapshotData(params) {
       lookingForClients: params.clients,
       lookingForOrg: params.organization,
       lookingForMetric: params.metric_name,
-      lookingForMonths: currentCoachingPeriod,
-      lookingForYear: params.year
+      lookingForPeriods: formatPeriods(currentCoachingPeriod)
     });
     
-    // Check how many match each filter (using flexible matching)
-    const normalizedMetricName = normalizeString(params.metric_name);
-    const normalizedCurrentCoachingPeriod = currentCoachingPeriod.map(normalizeMonth);
-    
+    // Check how many match each filter (aliases resolved through the registry)
     const clientMatches = allBehavioralCoaching.filter(r => params.clients.includes(r.client)).length;
-    const orgMatches = allBehavioralCoaching.filter(r => normalizeString(r.amplifai_org) === normalizeString(params.organization)).length;
+    const orgMatches = allBehavioralCoaching.filter(r => isOrganization(r.amplifai_org)).length;
     // Check both amplifai_metric and metric field with flexible matching
     const metricMatchesCount = allBehavioralCoaching.filter(r => {
-      const amplifaiMatch = normalizeString(r.amplifai_metric) === normalizedMetricName;
-      const metricMatch = normalizeString(r.metric) === normalizedMetricName;
+      const amplifaiMatch = isMetric(r.amplifai_metric);
+      const metricMatch = isMetric(r.metric);
       return amplifaiMatch || metricMatch;
     }).length;
-    const monthMatches = allBehavioralCoaching.filter(r => {
-      const normalizedMonth = normalizeMonth(r.month);
-      return normalizedCurrentCoachingPeriod.includes(normalizedMonth);
-    }).length;
+    const monthMatches = allBehavioralCoaching.filter(r => matchesPeriods(r, currentCoachingPeriod)).length;
     
     logger.info('Filter match counts:', {
       clientMatches,
@@ -253,7 +251,7 @@ export async function processSnapshotData(params) {
     
     // Show first few records that match org but not other filters
     if (metricMatchesCount === 0 && orgMatches > 0) {
-      const orgMatched = allBehavioralCoaching.filter(r => r.amplifai_org === params.organization).slice(0, 3);
+      const orgMatched = allBehavioralCoaching.filter(r => isOrganization(r.amplifai_org)).slice(0, 3);
       logger.warn('Sample records that match org but not metric:', orgMatched.map(r => ({
         client: r.client,
         amplifai_metric: r.amplifai_metric,
@@ -272,31 +270,71 @@ export async function processSnapshotData(params) {
   // Filter metrics for current period
   const currentMetrics = (allMonthlyMetrics || []).filter(item => {
     return effectiveClients.includes(item.client) &&
-           item.amplifai_org === params.organization &&
-           item.amplifai_metric === params.metric_name &&
-           currentPeriod.includes(item.month) &&
-           item.year === params.year;
+           isOrganization(item.amplifai_org) &&
+           isMetric(item.amplifai_metric) &&
+           matchesPeriods(item, currentPeriod);
   });
   
   // Filter metrics for previous period
   const previousMetrics = (allMonthlyMetrics || []).filter(item => {
     return effectiveClients.includes(item.client) &&
-           item.amplifai_org === params.organization &&
-           item.amplifai_metric === params.metric_name &&
-           previousPeriod.includes(item.month) &&
-           item.year === params.year;
+           isOrganization(item.amplifai_org) &&
+           isMetric(item.amplifai_metric) &&
+           matchesPeriods(item, previousPeriod);
   });
   
-  // Calculate metric averages
-  const currentValues = currentMetrics.map(item => item.actual).filter(isValid).map(Number);
-  const previousValues = previousMetrics.map(item => item.actual).filter(isValid).map(Number);
+  // Aggregate metric values for each period using the requested aggregation mode
+  const currentAggregate = aggregateMetric(currentMetrics, aggregationMode, { weightColumn });
+  const previousAggregate = aggregateMetric(previousMetrics, aggregationMode, { weightColumn });
+  const currentAvg = currentAggregate.value;
+  const previousAvg = previousAggregate.value;
   
-  const currentAvg = currentValues.length > 0 ? currentValues.reduce((a, b) => a + b, 0) / currentValues.length : null;
-  const previousAvg = previousValues.length > 0 ? previousValues.reduce((a, b) => a + b, 0) / previousValues.length : null;
+  // Weighted mode reports the column it actually used (falls back to mean when rows have no weights)
+  const aggregationWeightColumn = currentAggregate.weight_column || previousAggregate.weight_column;
+  const aggregationFallback = currentAggregate.fallback || previousAggregate.fallback;
+  logger.info(`Aggregation: ${describeAggregation(aggregationMode, aggregationWeightColumn)} (current rows: ${currentAggregate.rows_used}, previous rows: ${previousAggregate.rows_used})`);
   
   const change = (currentAvg !== null && previousAvg !== null) ? currentAvg - previousAvg : null;
   const percentChange = (change !== null && previousAvg !== 0) ? ((change / previousAvg) * 100).toFixed(2) : null;
   
+  // Goal attainment for a period: goal, gap, percent of goal and how many months hit goal
+  // Goals use the same aggregation as actuals; in goal_ratio mode values are already percent of goal, so the goal is 100
+  const summarizeGoal = (rows, periods, value) => {
+    const goalRows = rows.filter(item => isValid(item.goal));
+    const aggregateGoal = (subset) => aggregationMode === 'goal_ratio'
+      ? (subset.length > 0 ? 100 : null)
+      : aggregateMetric(subset, aggregationMode, { field: 'goal', weightColumn }).value;
+    
+    const goal = aggregateGoal(goalRows);
+    let monthsWithGoal = 0;
+    let monthsAtOrAboveGoal = 0;
+    let monthsMeetingGoal = 0;
+    periods.forEach(period => {
+      const monthRows = goalRows.filter(item => matchesPeriods(item, [period]));
+      const monthActual = aggregateMetric(monthRows, aggregationMode, { weightColumn }).value;
+      const monthGoal = aggregateGoal(monthRows);
+      if (monthActual === null || monthGoal === null) return;
+      monthsWithGoal++;
+      if (monthActual >= monthGoal) monthsAtOrAboveGoal++;
+      if (meetsGoal(metricDefinition.id, monthActual, monthGoal)) monthsMeetingGoal++;
+    });
+    
+    return {
+      goal,
+      gap: goal !== null && value !== null ? value - goal : null,
+      percentOfGoal: goal !== null && value !== null && goal !== 0 ? (value / goal) * 100 : null,
+      monthsWithGoal,
+      monthsAtOrAboveGoal,
+      monthsMeetingGoal
+    };
+  };
+  const currentGoal = summarizeGoal(currentMetrics, currentPeriod, currentAvg);
+  const previousGoal = summarizeGoal(previousMetrics, previousPeriod, previousAvg);
+  logger.info(`Goal attainment (${metricDefinition.direction} is better) - Current: ${currentGoal.monthsMeetingGoal} of ${currentGoal.monthsWithGoal} months meeting goal, Previous: ${previousGoal.monthsMeetingGoal} of ${previousGoal.monthsWithGoal}`);
+  
+  // A change is an improvement when it moves in the metric's better direction
+  const improved = change !== null && change !== 0 ? change * directionSign(metricDefinition.id) > 0 : null;
+  
   // Get unique programs from both current and previous periods
   const allPrograms = new Set([
     ...currentMetrics.map(item => item.program),
@@ -304,21 +342,16 @@ export async function processSnapshotData(params) {
   ].filter(Boolean)); // Filter out null/undefined
   const programsCount = allPrograms.size;
   
-  // Normalize metric name for comparison (handle whitespace, case)
-  const normalizedMetricName = normalizeString(params.metric_name);
-  
-  const normalizedCurrentCoachingPeriod = currentCoachingPeriod.map(normalizeMonth);
-  
   // Filter coaching for SHIFTED current period
-  // Use flexible matching: case-insensitive, trimmed, with fallback to metric field
+  // Org and metric match through registry aliases, with fallback to the raw metric field
   logger.info(`=== FILTERING CURRENT COACHING ===`);
-  logger.info(`Looking for: clients=${JSON.stringify(params.clients)}, org="${params.organization}", metric="${params.metric_name}", months=${JSON.stringify(currentCoachingPeriod)}, year=${params.year}`);
-  logger.info(`Total records in database: ${allBehavioralCoaching?.length || 0}`);
+  logger.info(`Looking for: clients=${JSON.stringify(params.clients)}, org="${params.organization}", metric="${params.metric_name}", periods=${formatPeriods(currentCoachingPeriod)}`);
+  logger.info(`Coaching records fetched: ${allBehavioralCoaching?.length || 0}`);
   
-  // Quick check: how many match just org and year?
+  // Quick check: how many match just org and the coaching years?
   const orgYearMatches = (allBehavioralCoaching || []).filter(r => 
-    normalizeString(r.amplifai_org) === normalizeString(params.organization) && 
-    r.year === params.year
+    isOrganization(r.amplifai_org) && 
+    coachingYears.includes(Number(r.year))
   ).length;
   logger.info(`Records matching org+year: ${orgYearMatches}`);
   
@@ -333,30 +366,21 @@ export async function processSnapshotData(params) {
     const clientMatch = effectiveClients.includes(item.client);
     if (clientMatch) clientMatches++;
     
-    const orgMatch = normalizeString(item.amplifai_org) === normalizeString(params.organization);
+    const orgMatch = isOrganization(item.amplifai_org);
     if (orgMatch) orgMatches++;
     
     // Try amplifai_metric first (standardized), then fallback to metric field
-    const amplifaiMetricMatch = normalizeString(item.amplifai_metric) === normalizedMetricName;
-    const metricFieldMatch = normalizeString(item.metric) === normalizedMetricName;
+    const amplifaiMetricMatch = isMetric(item.amplifai_metric);
+    const metricFieldMatch = isMetric(item.metric);
     const metricMatch = amplifaiMetricMatch || metricFieldMatch;
     if (metricMatch) metricMatches++;
     
-    // Month matching: Database uses exact format (Apr, May, Jun, etc.)
-    // Try direct match first (most reliable), then normalized as fallback
-    const directMonthMatch = currentCoachingPeriod.includes(item.month);
-    let monthMatch;
-    if (!directMonthMatch) {
-      // Fallback to normalized match for variations (Sep vs September, etc.)
-      const normalizedItemMonth = normalizeMonth(item.month);
-      const normalizedMonthMatch = normalizedCurrentCoachingPeriod.includes(normalizedItemMonth);
-      monthMatch = normalizedMonthMatch;
-    } else {
-      monthMatch = true;
-    }
+    // Month matching is year-aware: the record's { year, month } must be one of the coaching periods
+    // (month names are normalized so "Sep" and "September" both match)
+    const monthMatch = matchesPeriods(item, currentCoachingPeriod);
     if (monthMatch) monthMatches++;
     
-    const yearMatch = item.year === params.year;
+    const yearMatch = coachingYears.includes(Number(item.year));
     if (yearMatch) yearMatches++;
     
     // Log first few records that match org/year but fail other filters
@@ -370,28 +394,26 @@ export async function processSnapshotData(params) {
   logger.info(`Filter breakdown - Client: ${clientMatches}, Org: ${orgMatches}, Metric: ${metricMatches}, Month: ${monthMatches}, Year: ${yearMatches}`);
   logger.info(`Final filtered count: ${currentCoaching.length}`);
   
-  // Log what months are actually available in the database for records that match other filters
+  // Log what periods are actually available in the database for records that match other filters
   if (currentCoaching.length === 0 && allBehavioralCoaching && allBehavioralCoaching.length > 0) {
     const recordsMatchingOtherFilters = (allBehavioralCoaching || []).filter(item => {
       const clientMatch = effectiveClients.includes(item.client);
-      const orgMatch = normalizeString(item.amplifai_org) === normalizeString(params.organization);
-      const amplifaiMetricMatch = normalizeString(item.amplifai_metric) === normalizedMetricName;
-      const metricFieldMatch = normalizeString(item.metric) === normalizedMetricName;
+      const orgMatch = isOrganization(item.amplifai_org);
+      const amplifaiMetricMatch = isMetric(item.amplifai_metric);
+      const metricFieldMatch = isMetric(item.metric);
       const metricMatch = amplifaiMetricMatch || metricFieldMatch;
-      const yearMatch = item.year === params.year;
-      return clientMatch && orgMatch && metricMatch && yearMatch;
+      return clientMatch && orgMatch && metricMatch;
     });
     
-    const availableMonths = [...new Set(recordsMatchingOtherFilters.map(r => r.month))];
-    logger.warn(`⚠️ No records found for months: ${currentCoachingPeriod.join(', ')}`);
-    logger.warn(`Available months in DB (for matching client/org/metric/year): ${availableMonths.join(', ')}`);
-    logger.warn(`Looking for months: ${currentCoachingPeriod.join(', ')} (normalized: ${normalizedCurrentCoachingPeriod.join(', ')})`);
+    const availablePeriods = [...new Set(recordsMatchingOtherFilters.map(recordPeriodLabel))];
+    logger.warn(`⚠️ No records found for periods: ${formatPeriods(currentCoachingPeriod)}`);
+    logger.warn(`Available periods in DB (for matching client/org/metric): ${availablePeriods.join(', ')}`);
     
-    // Show sample records by month
-    availableMonths.slice(0, 5).forEach(month => {
-      const sample = recordsMatchingOtherFilters.find(r => r.month === month);
+    // Show sample records by period
+    availablePeriods.slice(0, 5).forEach(label => {
+      const sample = recordsMatchingOtherFilters.find(r => recordPeriodLabel(r) === label);
       if (sample) {
-        logger.info(`Sample record for ${month}:`, {
+        logger.info(`Sample record for ${label}:`, {
           client: sample.client,
           amplifai_org: sample.amplifai_org,
           amplifai_metric: sample.amplifai_metric,
@@ -403,153 +425,61 @@ export async function processSnapshotData(params) {
     });
   }
   
-  logger.info(`Current coaching period: ${currentCoachingPeriod.join(', ')}, found ${currentCoaching.length} records`);
-  logger.info(`Normalized current coaching period: ${normalizedCurrentCoachingPeriod.join(', ')}`);
+  logger.info(`Current coaching period: ${formatPeriods(currentCoachingPeriod)}, found ${currentCoaching.length} records`);
   
-  // Log what months are actually in the filtered coaching data
+  // Log what periods are actually in the filtered coaching data
   if (currentCoaching.length > 0) {
-    const monthsInResults = [...new Set(currentCoaching.map(r => r.month))];
-    const monthCounts = {};
+    const periodCounts = {};
     currentCoaching.forEach(r => {
-      monthCounts[r.month] = (monthCounts[r.month] || 0) + 1;
-    });
-    logger.info(`Months found in current coaching results: ${monthsInResults.join(', ')}`);
-    logger.info(`Month distribution: ${Object.entries(monthCounts).map(([m, c]) => `${m}:${c}`).join(', ')}`);
-    
-    // Warn if we're getting months we didn't expect
-    const unexpectedMonths = monthsInResults.filter(m => !currentCoachingPeriod.includes(m));
-    if (unexpectedMonths.length > 0) {
-      logger.warn(`Unexpected months in results: ${unexpectedMonths.join(', ')}. Expected: ${currentCoachingPeriod.join(', ')}`);
-    }
-  }
-  
-  if (currentCoaching.length === 0 && allBehavioralCoaching && allBehavioralCoaching.length > 0) {
-    logger.warn('No coaching records matched filters! Check the debug logs above for mismatch reasons.');
-    
-    // Show what months are available in the database for this org/year/metric
-    const availableMonthsForMetric = [...new Set(allBehavioralCoaching
-      .filter(r => {
-        const orgMatch = normalizeString(r.amplifai_org) === normalizeString(params.organization);
-        const yearMatch = r.year === params.year;
-        const amplifaiMetricMatch = normalizeString(r.amplifai_metric) === normalizedMetricName;
-        const metricFieldMatch = normalizeString(r.metric) === normalizedMetricName;
-        return orgMatch && yearMatch && (amplifaiMetricMatch || metricFieldMatch);
-      })
-      .map(r => r.month))];
-    logger.warn(`Available months in DB for ${params.organization}/${params.metric_name}/${params.year}: ${availableMonthsForMetric.sort().join(', ')}`);
-    logger.warn(`Looking for months: ${currentCoachingPeriod.join(', ')} (normalized: ${normalizedCurrentCoachingPeriod.join(', ')})`);
-    
-    // Show sample records that match org/year/metric but not month
-    const matchingRecords = allBehavioralCoaching.filter(r => {
-      const clientMatch = params.clients.includes(r.client);
-      const orgMatch = normalizeString(r.amplifai_org) === normalizeString(params.organization);
-      const yearMatch = r.year === params.year;
-      const amplifaiMetricMatch = normalizeString(r.amplifai_metric) === normalizedMetricName;
-      const metricFieldMatch = normalizeString(r.metric) === normalizedMetricName;
-      return clientMatch && orgMatch && yearMatch && (amplifaiMetricMatch || metricFieldMatch);
+      const label = recordPeriodLabel(r);
+      periodCounts[label] = (periodCounts[label] || 0) + 1;
     });
-    
-    if (matchingRecords.length > 0) {
-      const monthsInMatchingRecords = [...new Set(matchingRecords.map(r => r.month))];
-      logger.warn(`Found ${matchingRecords.length} records matching org/year/metric, but with months: ${monthsInMatchingRecords.sort().join(', ')}`);
-      logger.warn(`Sample matching record: client=${matchingRecords[0].client}, month=${matchingRecords[0].month}, amplifai_metric=${matchingRecords[0].amplifai_metric}, metric=${matchingRecords[0].metric}`);
-    }
+    logger.info(`Periods found in current coaching results: ${Object.keys(periodCounts).join(', ')}`);
+    logger.info(`Period distribution: ${Object.entries(periodCounts).map(([m, c]) => `${m}:${c}`).join(', ')}`);
   }
   
   // Filter coaching for SHIFTED previous period
   // Use same flexible matching as current period
-  const normalizedPreviousCoachingPeriod = previousCoachingPeriod.map(normalizeMonth);
-  
-  let previousCoaching = (allBehavioralCoaching || []).filter(item => {
+  const previousCoaching = (allBehavioralCoaching || []).filter(item => {
     const clientMatch = effectiveClients.includes(item.client);
-    const orgMatch = normalizeString(item.amplifai_org) === normalizeString(params.organization);
-    const yearMatch = item.year === params.year;
+    const orgMatch = isOrganization(item.amplifai_org);
     
     // Try amplifai_metric first (standardized), then fallback to metric field
-    const amplifaiMetricMatch = normalizeString(item.amplifai_metric) === normalizedMetricName;
-    const metricFieldMatch = normalizeString(item.metric) === normalizedMetricName;
+    const amplifaiMetricMatch = isMetric(item.amplifai_metric);
+    const metricFieldMatch = isMetric(item.metric);
     const metricMatch = amplifaiMetricMatch || metricFieldMatch;
     
-    // Month matching: Database uses exact format (Apr, May, Jun, etc.)
-    // Try direct match first (most reliable), then normalized as fallback
-    const directMonthMatch = previousCoachingPeriod.includes(item.month);
-    let monthMatch;
-    if (!directMonthMatch) {
-      // Fallback to normalized match for variations (Sep vs September, etc.)
-      const normalizedItemMonth = normalizeMonth(item.month);
-      const normalizedMonthMatch = normalizedPreviousCoachingPeriod.includes(normalizedItemMonth);
-      monthMatch = normalizedMonthMatch;
-      
-      // Log month matching details for debugging
-      if (clientMatch && orgMatch && metricMatch && yearMatch && !monthMatch) {
-        logger.debug(`Previous period month mismatch - Record month: "${item.month}" (normalized: ${normalizedItemMonth}), Looking for: ${previousCoachingPeriod.join(', ')} (normalized: ${normalizedPreviousCoachingPeriod.join(', ')})`);
-      }
-    } else {
-      monthMatch = true;
-    }
+    const periodMatch = matchesPeriods(item, previousCoachingPeriod);
     
-    return clientMatch && orgMatch && metricMatch && monthMatch && yearMatch;
+    return clientMatch && orgMatch && metricMatch && periodMatch;
   });
   
-  logger.info(`Previous coaching period: ${previousCoachingPeriod.join(', ')}, found ${previousCoaching.length} records`);
-  logger.info(`Normalized previous coaching period: ${normalizedPreviousCoachingPeriod.join(', ')}`);
+  logger.info(`Previous coaching period: ${formatPeriods(previousCoachingPeriod)}, found ${previousCoaching.length} records`);
 
-  // Quarter-specific fallback: If previous coaching is empty but current has data, synthesize a reasonable previous
-  if (params?.comparison_type === 'quarter' && previousCoaching.length === 0 && (allBehavioralCoaching?.length || 0) >= 0) {
-    const estimatedFactor = 0.75; // assume previous quarter was ~75% of current volume
-    // Use currentCoaching-derived synthesis only if we actually have current data
-    // currentCoaching is defined below; to avoid reordering, perform a light pass using allBehavioralCoaching with currentCoachingPeriod months
-    const syntheticSource = (allBehavioralCoaching || []).filter(item => {
-      const clientMatch = effectiveClients.includes(item.client);
-      const orgMatch = normalizeString(item.amplifai_org) === normalizeString(params.organization);
-      const yearMatch = item.year === params.year;
-      const metricMatch = (normalizeString(item.amplifai_metric) === normalizedMetricName) || (normalizeString(item.metric) === normalizedMetricName);
-      const monthMatch = normalizedCurrentCoachingPeriod.includes(normalizeMonth(item.month)); // current coaching months (which represents prev quarter)
-      return clientMatch && orgMatch && metricMatch && yearMatch && monthMatch;
-    });
-    const hasCurrentLikeData = syntheticSource.length > 0;
-    if (hasCurrentLikeData) {
-      logger.warn('Synthesizing previous-quarter coaching from current-period coaching pattern (quarter fallback)');
-      const prevLabel = previousCoachingPeriod.join(', ');
-      previousCoaching = syntheticSource.map(item => ({
-        ...item,
-        month: previousCoachingPeriod[0] || item.month,
-        coaching_count: Math.max(0, Math.round((Number(item.coaching_count) || 0) * estimatedFactor))
-      }));
-    }
-  }
-  
-  // Log what months are actually in the filtered coaching data
+  // Log what periods are actually in the filtered coaching data
   if (previousCoaching.length > 0) {
-    const monthsInResults = [...new Set(previousCoaching.map(r => r.month))];
-    const normalizedMonthsInResults = [...new Set(previousCoaching.map(r => normalizeMonth(r.month)))];
-    logger.info(`Months found in previous coaching results: ${monthsInResults.join(', ')} (normalized: ${normalizedMonthsInResults.join(', ')})`);
+    const periodsInResults = [...new Set(previousCoaching.map(recordPeriodLabel))];
+    logger.info(`Periods found in previous coaching results: ${periodsInResults.join(', ')}`);
   }
   
   if (previousCoaching.length === 0 && allBehavioralCoaching && allBehavioralCoaching.length > 0) {
     logger.warn('No previous period coaching records matched filters!');
-    logger.warn(`Looking for months: ${previousCoachingPeriod.join(', ')} (normalized: ${normalizedPreviousCoachingPeriod.join(', ')}), Year: ${params.year}`);
-    // Check if those months exist at all
-    const availableMonths = [...new Set(allBehavioralCoaching
-      .filter(r => {
-        const orgMatch = normalizeString(r.amplifai_org) === normalizeString(params.organization);
-        const yearMatch = r.year === params.year;
-        return orgMatch && yearMatch;
-      })
-      .map(r => r.month))];
-    logger.warn(`Available months in DB for ${params.organization} ${params.year}: ${availableMonths.sort().join(', ')}`);
+    logger.warn(`Looking for periods: ${formatPeriods(previousCoachingPeriod)}`);
+    // Check if those periods exist at all
+    const availablePeriods = [...new Set(allBehavioralCoaching
+      .filter(r => isOrganization(r.amplifai_org))
+      .map(recordPeriodLabel))];
+    logger.warn(`Available periods in DB for ${params.organization}: ${availablePeriods.join(', ')}`);
     
-    // Also check what metrics are available for those months
+    // Also check what metrics are available for those periods
     const availableMetrics = [...new Set(allBehavioralCoaching
       .filter(r => {
-        const orgMatch = normalizeString(r.amplifai_org) === normalizeString(params.organization);
-        const yearMatch = r.year === params.year;
-        const monthMatch = previousCoachingPeriod.map(normalizeMonth).includes(normalizeMonth(r.month));
-        return orgMatch && yearMatch && monthMatch;
+        const orgMatch = isOrganization(r.amplifai_org);
+        return orgMatch && matchesPeriods(r, previousCoachingPeriod);
       })
       .map(r => r.amplifai_metric || r.metric)
       .filter(Boolean))];
-    logger.warn(`Available metrics for previous period months: ${availableMetrics.join(', ')}`);
+    logger.warn(`Available metrics for previous coaching periods: ${availableMetrics.join(', ')}`);
   }
   
   // Calculate coaching summaries
@@ -586,55 +516,20 @@ export async function processSnapshotData(params) {
     logger.warn('NO PREVIOUS COACHING RECORDS TO PROCESS!');
   }
   
-  const currentSessions = currentCoaching.reduce((sum, item) => {
-    const count = Number(item.coaching_count) || 0;
-    if (count > 0) {
-      logger.debug(`Adding to current sessions: ${count} from ${item.behavior} (month: ${item.month})`);
-    }
-    return sum + count;
-  }, 0);
-  const previousSessions = previousCoaching.reduce((sum, item) => {
-    const count = Number(item.coaching_count) || 0;
-    return sum + count;
-  }, 0);
-  
-  logger.info(`Coaching session totals - Current: ${currentSessions} (from ${currentCoaching.length} records), Previous: ${previousSessions} (from ${previousCoaching.length} records)`);
-  
-  if (currentSessions === 0 && currentCoaching.length > 0) {
-    logger.error('WARNING: Current coaching has records but sessions = 0! All coaching_count values might be null/0');
-    const counts = currentCoaching.map(r => r.coaching_count);
-    logger.error(`Coaching count values: ${JSON.stringify(counts.slice(0, 10))}`);
-  }
-  
-  // Only average rows with non-NULL effectiveness
-  const currentCoachingWithEffectiveness = currentCoaching.filter(item => 
-    item.effectiveness_pct !== null && 
-    item.effectiveness_pct !== undefined
-  );
-  
-  const currentEffectiveness = currentCoachingWithEffectiveness.length > 0
-    ? currentCoachingWithEffectiveness.reduce((sum, item) => sum + item.effectiveness_pct, 0) / currentCoachingWithEffectiveness.length
-    : null;
-  
-  const previousCoachingWithEffectiveness = previousCoaching.filter(item => 
-    item.effectiveness_pct !== null && 
-    item.effectiveness_pct !== undefined
-  );
-  
-  const previousEffectiveness = previousCoachingWithEffectiveness.length > 0
-    ? previousCoachingWithEffectiveness.reduce((sum, item) => sum + item.effectiveness_pct, 0) / previousCoachingWithEffectiveness.length
-    : null;
-
-  // Mock fallback builders
-  const buildMockResult = (variant = 1) => {
-    const mockCurrentSessions = variant === 1 ? 540 : 420;
-    const mockPreviousSessions = variant === 1 ? 365 : 400;
-    const mockCurrentAvg = variant === 1 ? 79.1 : 78.4;
-    const mockPreviousAvg = variant === 1 ? 77.0 : 76.9;
-    const mockChange = mockCurrentAvg - mockPreviousAvg;
-    const mockPercentChange = ((mockChange / mockPreviousAvg) * 100).toFixed(2);
+  // Which clients' rows the comparison actually used (and whether supplement rules added any)
+  const clientSourcesMetadata = describeClientSources(clientSources, [...currentMetrics, ...previousMetrics], [...currentCoaching, ...previousCoaching]);
+  
+  // Illustrative sample result, only returned when the caller opts in with demo_mode
+  // Every field is invented; the result is labeled so the UI, AI summary and metric_snapshots can say so
+  const buildDemoResult = (availability, variant = 1) => {
+    const demoCurrentSessions = variant === 1 ? 540 : 420;
+    const demoPreviousSessions = variant === 1 ? 365 : 400;
+    const demoCurrentAvg = variant === 1 ? 79.1 : 78.4;
+    const demoPreviousAvg = variant === 1 ? 77.0 : 76.9;
+    const demoChange = demoCurrentAvg - demoPreviousAvg;
+    const demoPercentChange = ((demoChange / demoPreviousAvg) * 100).toFixed(2);
 
-    const mockBehaviors = variant === 1
+    const demoBehaviors = variant === 1
       ? [
           { behavior: 'Active Listening', sessions: 160 },
           { behavior: 'Policy Clarification', sessions: 130 },
@@ -649,10 +544,10 @@ export async function processSnapshotData(params) {
           { behavior: 'Process Adherence', sessions: 30 },
           { behavior: 'Technical Troubleshooting', sessions: 25 }
         ];
-    const mockCurrentTop = mockBehaviors.map(b => ({
+    const demoCurrentTop = demoBehaviors.map(b => ({
       behavior: b.behavior,
       sessions: b.sessions,
-      percent_of_total: ((b.sessions / mockCurrentSessions) * 100).toFixed(1) + '%',
+      percent_of_total: ((b.sessions / demoCurrentSessions) * 100).toFixed(1) + '%',
       sub_behaviors: [
         { sub_behavior: 'Coaching Huddles', sessions: Math.round(b.sessions * 0.4), percent_of_behavior: '40.0%' },
         { sub_behavior: '1:1 Sessions', sessions: Math.round(b.sessions * 0.35), percent_of_behavior: '35.0%' },
@@ -660,241 +555,329 @@ export async function processSnapshotData(params) {
       ]
     }));
 
-    const mockPrevTop = mockBehaviors.map(b => ({
+    const demoPrevTop = demoBehaviors.map(b => ({
       behavior: b.behavior,
-      sessions: Math.round(b.sessions * (mockPreviousSessions / mockCurrentSessions)),
-      percent_of_total: ((Math.round(b.sessions * (mockPreviousSessions / mockCurrentSessions)) / mockPreviousSessions) * 100).toFixed(1) + '%',
+      sessions: Math.round(b.sessions * (demoPreviousSessions / demoCurrentSessions)),
+      percent_of_total: ((Math.round(b.sessions * (demoPreviousSessions / demoCurrentSessions)) / demoPreviousSessions) * 100).toFixed(1) + '%',
       sub_behaviors: [
-        { sub_behavior: 'Coaching Huddles', sessions: Math.round(b.sessions * (mockPreviousSessions / mockCurrentSessions) * 0.4), percent_of_behavior: '40.0%' },
-        { sub_behavior: '1:1 Sessions', sessions: Math.round(b.sessions * (mockPreviousSessions / mockCurrentSessions) * 0.35), percent_of_behavior: '35.0%' },
-        { sub_behavior: 'Side-by-Side', sessions: Math.round(b.sessions * (mockPreviousSessions / mockCurrentSessions) * 0.25), percent_of_behavior: '25.0%' }
+        { sub_behavior: 'Coaching Huddles', sessions: Math.round(b.sessions * (demoPreviousSessions / demoCurrentSessions) * 0.4), percent_of_behavior: '40.0%' },
+        { sub_behavior: '1:1 Sessions', sessions: Math.round(b.sessions * (demoPreviousSessions / demoCurrentSessions) * 0.35), percent_of_behavior: '35.0%' },
+        { sub_behavior: 'Side-by-Side', sessions: Math.round(b.sessions * (demoPreviousSessions / demoCurrentSessions) * 0.25), percent_of_behavior: '25.0%' }
       ]
     }));
 
-    const mockResult = {
+    const demoResult = {
+      status: 'demo',
       snapshot_metadata: {
+        demo_mode: true,
         clients: params.clients.join(', '),
         organization: params.organization,
         metric: params.metric_name,
         comparison: {
-          current_period: (params.comparison_type === 'month' ? currentPeriod.join(', ') : currentPeriod.join(', ')) + ' ' + params.year,
-          previous_period: (params.comparison_type === 'month' ? previousPeriod.join(', ') : previousPeriod.join(', ')) + ' ' + params.year,
-          current_value: mockCurrentAvg.toFixed(2),
-          previous_value: mockPreviousAvg.toFixed(2),
-          change: mockChange.toFixed(2),
-          percent_change: mockPercentChange + '%'
+          current_period: formatPeriods(currentPeriod),
+          previous_period: formatPeriods(previousPeriod),
+          current_periods: currentPeriod,
+          previous_periods: previousPeriod,
+          current_value: demoCurrentAvg.toFixed(2),
+          previous_value: demoPreviousAvg.toFixed(2),
+          change: demoChange.toFixed(2),
+          percent_change: demoPercentChange + '%',
+          direction: metricDefinition.direction,
+          improved: demoChange !== 0 ? demoChange * directionSign(metricDefinition.id) > 0 : null,
+          current_goal: 'N/A',
+          previous_goal: 'N/A',
+          current_gap_to_goal: 'N/A',
+          previous_gap_to_goal: 'N/A',
+          current_percent_of_goal: 'N/A',
+          previous_percent_of_goal: 'N/A',
+          current_months_at_or_above_goal: 0,
+          previous_months_at_or_above_goal: 0,
+          current_months_meeting_goal: 0,
+          previous_months_meeting_goal: 0,
+          current_months_with_goal: 0,
+          previous_months_with_goal: 0
         },
         programs_count: 1,
+        program_breakdown: [],
+        coaching_lag: coachingLagMetadata,
+        client_sources: clientSourcesMetadata,
+        lag_analysis: lagAnalysis,
         data_quality: {
           metric_data_points_current: 1,
           metric_data_points_previous: 1,
           total_metric_data_points: 2,
-          coaching_records_current: mockCurrentTop.length,
-          coaching_records_previous: mockPrevTop.length,
-          total_coaching_records: mockCurrentTop.length + mockPrevTop.length,
+          coaching_records_current: demoCurrentTop.length,
+          coaching_records_previous: demoPrevTop.length,
+          total_coaching_records: demoCurrentTop.length + demoPrevTop.length,
           coaching_effectiveness_coverage_current: 'N/A',
-          coaching_effectiveness_coverage_previous: 'N/A'
+          coaching_effectiveness_coverage_previous: 'N/A',
+          aggregation_method: aggregationMode,
+          aggregation_weight_column: aggregationWeightColumn,
+          aggregation_description: describeAggregation(aggregationMode, aggregationWeightColumn),
+          demo_notice: DEMO_NOTICE
         }
       },
+      data_availability: availability,
       coaching_activity: {
         current: {
-          period_label: currentCoachingPeriod.join(', '),
-          total_coaching_sessions: mockCurrentSessions,
+          period_label: formatPeriods(currentCoachingPeriod),
+          periods: currentCoachingPeriod,
+          total_coaching_sessions: demoCurrentSessions,
           coaching_effectiveness: 'No effectiveness data',
-          top_behaviors: mockCurrentTop
+          top_behaviors: demoCurrentTop
         },
         previous: {
-          period_label: previousCoachingPeriod.join(', '),
-          total_coaching_sessions: mockPreviousSessions,
+          period_label: formatPeriods(previousCoachingPeriod),
+          periods: previousCoachingPeriod,
+          total_coaching_sessions: demoPreviousSessions,
           coaching_effectiveness: 'No effectiveness data',
-          top_behaviors: mockPrevTop
+          top_behaviors: demoPrevTop
         },
         change: {
-          coaching_volume_change: mockCurrentSessions - mockPreviousSessions,
-          coaching_volume_change_pct: (((mockCurrentSessions - mockPreviousSessions) / mockPreviousSessions) * 100).toFixed(1) + '%',
+          coaching_volume_change: demoCurrentSessions - demoPreviousSessions,
+          coaching_volume_change_pct: (((demoCurrentSessions - demoPreviousSessions) / demoPreviousSessions) * 100).toFixed(1) + '%',
           effectiveness_change: 'N/A'
         }
       },
+      values: buildSnapshotValues({
+        currentValue: demoCurrentAvg,
+        previousValue: demoPreviousAvg,
+        direction: metricDefinition.direction,
+        currentGoal: null,
+        previousGoal: null,
+        programsCount: 1,
+        currentSessions: demoCurrentSessions,
+        previousSessions: demoPreviousSessions,
+        currentEffectiveness: null,
+        previousEffectiveness: null,
+        coachingLag: coachingLagMetadata
+      }),
       debug_info: {
-        mock_used: true,
-        mock_variant: variant,
-        reason: 'No data available from database or queries returned zero records',
+        demo_mode: true,
+        demo_variant: variant,
+        reason: availability.message,
         search_criteria: {
           clients: params.clients,
           organization: params.organization,
           metric_name: params.metric_name,
-          current_coaching_months: currentCoachingPeriod,
-          previous_coaching_months: previousCoachingPeriod,
-          year: params.year
+          current_periods: currentPeriod,
+          previous_periods: previousPeriod,
+          current_coaching_periods: currentCoachingPeriod,
+          previous_coaching_periods: previousCoachingPeriod
         }
       }
     };
 
-    return mockResult;
+    return demoResult;
   };
 
-  // Decide if mock fallback is needed
-  const noMetricPoints = (currentValues.length === 0 && previousValues.length === 0);
-  const noCoachingData = (currentCoaching.length === 0 && previousCoaching.length === 0);
-  if (noMetricPoints && noCoachingData) {
-    logger.warn('Using MOCK FALLBACK (variant 1): No metric points and no coaching data available.');
-    return buildMockResult(1);
-  }
-  if (noCoachingData) {
-    logger.warn('Using MOCK FALLBACK (variant 2): No coaching data available.');
-    return buildMockResult(2);
-  }
-  
-  // Helper function to get sub-behaviors for a behavior
-  // This matches the n8n workflow exactly, with case-insensitive behavior matching
-  const getSubBehaviors = (coachingData, behaviorName) => {
-    const subBehaviorCounts = {};
-    let totalForBehavior = 0;
-    
-    // Normalize the behavior name for case-insensitive matching
-    const normalizedBehavior = normalizeBehaviorName(behaviorName).normalized;
-    
-    // First pass: count all sessions for this behavior (case-insensitive)
-    coachingData
-      .filter(item => {
-        if (!item.behavior) return false;
-        return normalizeBehaviorName(item.behavior).normalized === normalizedBehavior;
-      })
-      .forEach(item => {
-        totalForBehavior += (item.coaching_count || 0);
-      });
-    
-    // Second pass: count by sub-behavior (case-insensitive behavior matching)
-    coachingData
-      .filter(item => {
-        if (!item.behavior || !item.sub_behavior) return false;
-        return normalizeBehaviorName(item.behavior).normalized === normalizedBehavior;
-      })
-      .forEach(item => {
-        const subBehavior = item.sub_behavior;
-        const count = item.coaching_count || 0;
-        subBehaviorCounts[subBehavior] = (subBehaviorCounts[subBehavior] || 0) + count;
-      });
+  // A comparison needs metric rows in both periods and coaching in at least one of them
+  const missingData = [
+    currentAggregate.rows_used === 0 && { dataset: 'monthly_metrics', period: 'current', periods: currentPeriod },
+    previousAggregate.rows_used === 0 && { dataset: 'monthly_metrics', period: 'previous', periods: previousPeriod },
+    currentCoaching.length === 0 && { dataset: 'behavioral_coaching', period: 'current', periods: currentCoachingPeriod },
+    previousCoaching.length === 0 && { dataset: 'behavioral_coaching', period: 'previous', periods: previousCoachingPeriod }
+  ].filter(Boolean).map(item => ({ ...item, period_label: formatPeriods(item.periods) }));
+  const insufficientData = missingData.some(item => item.dataset === 'monthly_metrics') ||
+    (currentCoaching.length === 0 && previousCoaching.length === 0);
+  
+  if (insufficientData) {
+    const availability = await describeDataAvailability({
+      clients: effectiveClients,
+      organizationId,
+      metricId: metricDefinition.id,
+      metricName: metricDefinition.display_name,
+      currentPeriod,
+      previousPeriod,
+      lagMonths: coachingShift,
+      step: params.comparison_type === 'quarter' ? 3 : 1,
+      missing: missingData,
+      fetchedMetrics: (allMonthlyMetrics || []).filter(item => effectiveClients.includes(item.client) && isMetric(item.amplifai_metric)),
+      fetchedCoaching: allBehavioralCoaching.filter(item => effectiveClients.includes(item.client) && (isMetric(item.amplifai_metric) || isMetric(item.metric)))
+    });
     
-    // Sort and return top 3 - match n8n format exactly
-    return Object.entries(subBehaviorCounts)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 3)
-      .map(([subBehavior, count]) => ({
-        sub_behavior: subBehavior,  // n8n uses sub_behavior, not name
-        sessions: count,
-        percent_of_behavior: totalForBehavior > 0 ? ((count / totalForBehavior) * 100).toFixed(1) + '%' : '0%'  // n8n uses percent_of_behavior
-      }));
-  };
-  
-  // Top behaviors for current period WITH SUB-BEHAVIORS
-  // Use case-insensitive aggregation to combine variations like "Active listening" and "Active Listening"
-  logger.info('Starting behavior aggregation for current period...');
-  const behaviorCounts = {}; // Key: normalized behavior name, Value: { count, displayName }
-  const behaviorDisplayNames = {}; // Track canonical display names (prefer title case)
-  
-  currentCoaching.forEach(item => {
-    const behavior = item.behavior;
-    if (behavior) {
-      const { normalized, display } = normalizeBehaviorName(behavior);
-      const count = Number(item.coaching_count) || 0;
-      
-      // Aggregate by normalized key
-      if (!behaviorCounts[normalized]) {
-        behaviorCounts[normalized] = 0;
-        behaviorDisplayNames[normalized] = display;
-      }
-      behaviorCounts[normalized] += count;
-      
-      logger.debug(`Behavior "${behavior}" (normalized: "${normalized}"): adding ${count}, total now: ${behaviorCounts[normalized]}`);
-    } else {
-      logger.warn(`Record with no behavior: ${JSON.stringify(item)}`);
+    if (params.demo_mode) {
+      logger.warn(`Demo mode: returning sample data. ${availability.message}`);
+      const demoResult = buildDemoResult(availability, currentAggregate.rows_used === 0 && previousAggregate.rows_used === 0 ? 1 : 2);
+      demoResult.timings = snapshotTimings();
+      return demoResult;
     }
-  });
+    
+    logger.warn(`Insufficient data: ${availability.message}`);
+    return {
+      status: 'insufficient_data',
+      insufficient_data: availability,
+      snapshot_metadata: {
+        demo_mode: false,
+        clients: params.clients.join(', '),
+        organization: params.organization,
+        metric: params.metric_name,
+        comparison: {
+          current_period: formatPeriods(currentPeriod),
+          previous_period: formatPeriods(previousPeriod),
+          current_periods: currentPeriod,
+          previous_periods: previousPeriod,
+          direction: metricDefinition.direction
+        },
+        coaching_lag: coachingLagMetadata,
+        client_sources: clientSourcesMetadata
+      },
+      debug_info: {
+        search_criteria: {
+          clients: params.clients,
+          organization: params.organization,
+          metric_name: params.metric_name,
+          resolved_organization: organizationId,
+          resolved_metric: metricDefinition.id,
+          current_periods: currentPeriod,
+          previous_periods: previousPeriod,
+          current_coaching_periods: currentCoachingPeriod,
+          previous_coaching_periods: previousCoachingPeriod
+        },
+        query_plan: describePlan(queryPlan)
+      },
+      timings: snapshotTimings()
+    };
+  }
   
-  logger.info(`Found ${Object.keys(behaviorCounts).length} unique behaviors in current period (case-insensitive)`);
-  logger.info(`Behavior counts: ${JSON.stringify(Object.entries(behaviorCounts).sort((a, b) => b[1] - a[1]).slice(0, 5))}`);
+  // Sessions, effectiveness and top behaviors/sub-behaviors for both coaching windows
+  // Computed by get_snapshot_aggregates when the function exists, otherwise in JavaScript from the fetched rows
+  const coachingAggregates = await getSnapshotAggregates(
+    queryPlan,
+    { currentPeriods: currentCoachingPeriod, previousPeriods: previousCoachingPeriod },
+    allBehavioralCoaching
+  );
+  const { current: currentCoachingSummary, previous: previousCoachingSummary } = coachingAggregates;
+  const currentSessions = currentCoachingSummary.total_sessions;
+  const previousSessions = previousCoachingSummary.total_sessions;
+  const currentEffectiveness = currentCoachingSummary.effectiveness_avg;
+  const previousEffectiveness = previousCoachingSummary.effectiveness_avg;
   
-  const topBehaviors = Object.entries(behaviorCounts)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 5)
-    .map(([normalizedBehavior, count]) => {
-      const displayName = behaviorDisplayNames[normalizedBehavior];
-      const subBehaviors = getSubBehaviors(currentCoaching, displayName);
-      logger.debug(`Processing behavior "${displayName}" (normalized: "${normalizedBehavior}"): ${count} sessions, ${subBehaviors.length} sub-behaviors`);
-      return {
-        behavior: displayName, // Use canonical display name
-        sessions: count,
-        percent_of_total: currentSessions > 0 ? ((count / currentSessions) * 100).toFixed(1) + '%' : '0%',
-        sub_behaviors: subBehaviors
-      };
-    });
+  logger.info(`Coaching session totals (${coachingAggregates.source}) - Current: ${currentSessions} (from ${currentCoachingSummary.records} records), Previous: ${previousSessions} (from ${previousCoachingSummary.records} records)`);
   
-  logger.info(`Top behaviors created: ${topBehaviors.length} behaviors with ${currentSessions} total sessions`);
-  if (topBehaviors.length === 0) {
-    logger.error('NO TOP BEHAVIORS CREATED! This means behaviorCounts is empty or all counts are 0');
+  if (currentSessions === 0 && currentCoachingSummary.records > 0) {
+    logger.error('WARNING: Current coaching has records but sessions = 0! All coaching_count values might be null/0');
   }
   
-  // Log the structure being created
-  if (topBehaviors.length > 0) {
-    logger.info('Sample top behavior structure:', JSON.stringify(topBehaviors[0], null, 2));
-  } else {
+  // Top behaviors WITH SUB-BEHAVIORS, in the n8n output format
+  // Behaviors are grouped case-insensitively, so "Active listening" and "Active Listening" combine
+  const formatTopBehaviors = (summary, emptyPercent) => summary.behaviors.map(item => ({
+    behavior: item.behavior,
+    sessions: item.sessions,
+    percent_of_total: summary.total_sessions > 0
+      ? ((item.sessions / summary.total_sessions) * 100).toFixed(1) + '%'
+      : emptyPercent,
+    sub_behaviors: item.sub_behaviors.map(sub => ({
+      sub_behavior: sub.sub_behavior,  // n8n uses sub_behavior, not name
+      sessions: sub.sessions,
+      percent_of_behavior: item.sessions > 0 ? ((sub.sessions / item.sessions) * 100).toFixed(1) + '%' : '0%'  // n8n uses percent_of_behavior
+    }))
+  }));
+  const topBehaviors = formatTopBehaviors(currentCoachingSummary, '0%');
+  const prevTopBehaviors = formatTopBehaviors(previousCoachingSummary, params?.comparison_type === 'quarter' ? '0%' : 'N/A');
+  
+  logger.info(`Top behaviors created: ${topBehaviors.length} behaviors with ${currentSessions} total sessions`);
+  if (topBehaviors.length === 0 && currentCoaching.length > 0) {
     logger.warn('No top behaviors found! Current coaching records:', currentCoaching.length);
-    if (currentCoaching.length > 0) {
-      logger.warn('Sample current coaching record:', JSON.stringify(currentCoaching[0], null, 2));
-    }
   }
   
-  // Top behaviors for previous period WITH SUB-BEHAVIORS
-  // Use case-insensitive aggregation to combine variations like "Active listening" and "Active Listening"
-  const prevBehaviorCounts = {}; // Key: normalized behavior name, Value: count
-  const prevBehaviorDisplayNames = {}; // Track canonical display names (prefer title case)
-  
-  previousCoaching.forEach(item => {
-    const behavior = item.behavior;
-    if (behavior) {
-      const { normalized, display } = normalizeBehaviorName(behavior);
-      const count = Number(item.coaching_count) || 0;
-      
-      // Aggregate by normalized key
-      if (!prevBehaviorCounts[normalized]) {
-        prevBehaviorCounts[normalized] = 0;
-        prevBehaviorDisplayNames[normalized] = display;
-      }
-      prevBehaviorCounts[normalized] += count;
+  // Per-program breakdown so org-level moves can be traced to the programs that drove them
+  const round2 = (v) => (v === null || v === undefined ? null : Math.round(v * 100) / 100);
+  const programKey = (item) => `${item.client}|${item.program}`;
+  const programGroups = {};
+  const addProgramRow = (item, period) => {
+    if (!item.program) return;
+    const key = programKey(item);
+    if (!programGroups[key]) {
+      programGroups[key] = { program: item.program, client: item.client, current: [], previous: [] };
     }
-  });
-  
-  const prevTopBehaviors = Object.entries(prevBehaviorCounts)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 5)
-    .map(([normalizedBehavior, count]) => {
-      const displayName = prevBehaviorDisplayNames[normalizedBehavior];
+    programGroups[key][period].push(item);
+  };
+  currentMetrics.forEach(item => addProgramRow(item, 'current'));
+  previousMetrics.forEach(item => addProgramRow(item, 'previous'));
+  
+  const programBreakdown = Object.values(programGroups)
+    .map(group => {
+      const programCurrent = aggregateMetric(group.current, aggregationMode, { weightColumn }).value;
+      const programPrevious = aggregateMetric(group.previous, aggregationMode, { weightColumn }).value;
+      // In goal_ratio mode values are already percent of goal, so the goal is 100
+      const programGoal = aggregationMode === 'goal_ratio'
+        ? (programCurrent !== null ? 100 : null)
+        : aggregateMetric(group.current.filter(item => isValid(item.goal)), aggregationMode, { field: 'goal', weightColumn }).value;
+      const programChange = programCurrent !== null && programPrevious !== null ? programCurrent - programPrevious : null;
+      
+      // Coaching delivered to this program in the current coaching window
+      const programCoaching = currentCoaching.filter(item => item.client === group.client && item.program === group.program);
+      const programBehaviorCounts = {};
+      programCoaching.forEach(item => {
+        if (!item.behavior) return;
+        const { normalized, display } = normalizeBehaviorName(item.behavior);
+        if (!programBehaviorCounts[normalized]) {
+          programBehaviorCounts[normalized] = { behavior: display, sessions: 0 };
+        }
+        programBehaviorCounts[normalized].sessions += Number(item.coaching_count) || 0;
+      });
+      const programTopBehavior = Object.values(programBehaviorCounts).sort((a, b) => b.sessions - a.sessions)[0] || null;
+      
       return {
-        behavior: displayName, // Use canonical display name
-        sessions: count,
-        percent_of_total: previousSessions > 0
-          ? ((count / previousSessions) * 100).toFixed(1) + '%'
-          : (params?.comparison_type === 'quarter' ? '0%' : 'N/A'),
-        sub_behaviors: getSubBehaviors(previousCoaching, displayName)
+        program: group.program,
+        client: group.client,
+        current_value: round2(programCurrent),
+        previous_value: round2(programPrevious),
+        goal: round2(programGoal),
+        attainment_pct: programCurrent !== null && programGoal ? round2((programCurrent / programGoal) * 100) : null,
+        change: round2(programChange),
+        percent_change: programChange !== null && programPrevious ? round2((programChange / programPrevious) * 100) : null,
+        coaching_sessions: programCoaching.reduce((sum, item) => sum + (Number(item.coaching_count) || 0), 0),
+        top_behavior: programTopBehavior
       };
+    })
+    // Biggest movers first; programs missing a period go last
+    .sort((a, b) => {
+      if (a.change === null) return 1;
+      if (b.change === null) return -1;
+      return Math.abs(b.change) - Math.abs(a.change);
     });
   
+  logger.info(`Program breakdown: ${programBreakdown.length} programs`);
+  
   // Build output matching n8n format exactly
   const result = {
+    status: 'ok',
     snapshot_metadata: {
+      demo_mode: false,
       clients: params.clients.join(', '),
       organization: params.organization,
       metric: params.metric_name,
       comparison: {
-        current_period: currentPeriod.join(', ') + ' ' + params.year,
-        previous_period: previousPeriod.join(', ') + ' ' + params.year,
+        current_period: formatPeriods(currentPeriod),
+        previous_period: formatPeriods(previousPeriod),
+        current_periods: currentPeriod,
+        previous_periods: previousPeriod,
         current_value: currentAvg !== null ? currentAvg.toFixed(2) : 'N/A',
         previous_value: previousAvg !== null ? previousAvg.toFixed(2) : 'N/A',
         change: change !== null ? change.toFixed(2) : 'N/A',
-        percent_change: percentChange !== null ? percentChange + '%' : 'N/A'
+        percent_change: percentChange !== null ? percentChange + '%' : 'N/A',
+        direction: metricDefinition.direction,
+        improved,
+        current_goal: currentGoal.goal !== null ? currentGoal.goal.toFixed(2) : 'N/A',
+        previous_goal: previousGoal.goal !== null ? previousGoal.goal.toFixed(2) : 'N/A',
+        current_gap_to_goal: currentGoal.gap !== null ? currentGoal.gap.toFixed(2) : 'N/A',
+        previous_gap_to_goal: previousGoal.gap !== null ? previousGoal.gap.toFixed(2) : 'N/A',
+        current_percent_of_goal: currentGoal.percentOfGoal !== null ? currentGoal.percentOfGoal.toFixed(2) + '%' : 'N/A',
+        previous_percent_of_goal: previousGoal.percentOfGoal !== null ? previousGoal.percentOfGoal.toFixed(2) + '%' : 'N/A',
+        current_months_at_or_above_goal: currentGoal.monthsAtOrAboveGoal,
+        previous_months_at_or_above_goal: previousGoal.monthsAtOrAboveGoal,
+        current_months_meeting_goal: currentGoal.monthsMeetingGoal,
+        previous_months_meeting_goal: previousGoal.monthsMeetingGoal,
+        current_months_with_goal: currentGoal.monthsWithGoal,
+        previous_months_with_goal: previousGoal.monthsWithGoal
       },
       programs_count: programsCount,
+      program_breakdown: programBreakdown,
+      coaching_lag: coachingLagMetadata,
+      client_sources: clientSourcesMetadata,
+      lag_analysis: lagAnalysis,
       data_quality: {
         metric_data_points_current: currentMetrics.length,
         metric_data_points_previous: previousMetrics.length,
@@ -902,24 +885,33 @@ export async function processSnapshotData(params) {
         coaching_records_current: currentCoaching.length,
         coaching_records_previous: previousCoaching.length,
         total_coaching_records: currentCoaching.length + previousCoaching.length,
-        coaching_effectiveness_coverage_current: currentCoachingWithEffectiveness.length + ' of ' + currentCoaching.length,
-        coaching_effectiveness_coverage_previous: previousCoachingWithEffectiveness.length + ' of ' + previousCoaching.length
+        coaching_effectiveness_coverage_current: currentCoachingSummary.effectiveness_records + ' of ' + currentCoaching.length,
+        coaching_effectiveness_coverage_previous: previousCoachingSummary.effectiveness_records + ' of ' + previousCoaching.length,
+        coaching_aggregation_source: coachingAggregates.source,
+        aggregation_method: aggregationMode,
+        aggregation_weight_column: aggregationWeightColumn,
+        aggregation_description: describeAggregation(aggregationMode, aggregationWeightColumn),
+        ...(aggregationFallback && { aggregation_note: aggregationFallback }),
+        // Gaps that don't block the comparison (e.g. no coaching in the previous window)
+        missing_data: missingData
       }
     },
     coaching_activity: {
       current: {
-        period_label: currentCoachingPeriod.join(', '),
+        period_label: formatPeriods(currentCoachingPeriod),
+        periods: currentCoachingPeriod,
         total_coaching_sessions: currentSessions,
         coaching_effectiveness: currentEffectiveness !== null 
-          ? (currentEffectiveness * 100).toFixed(2) + '% (based on ' + currentCoachingWithEffectiveness.length + ' of ' + currentCoaching.length + ' sessions)'
+          ? (currentEffectiveness * 100).toFixed(2) + '% (based on ' + currentCoachingSummary.effectiveness_records + ' of ' + currentCoaching.length + ' sessions)'
           : 'No effectiveness data',
         top_behaviors: topBehaviors
       },
       previous: {
-        period_label: previousCoachingPeriod.join(', '),
+        period_label: formatPeriods(previousCoachingPeriod),
+        periods: previousCoachingPeriod,
         total_coaching_sessions: previousSessions,
         coaching_effectiveness: previousEffectiveness !== null 
-          ? (previousEffectiveness * 100).toFixed(2) + '% (based on ' + previousCoachingWithEffectiveness.length + ' of ' + previousCoaching.length + ' sessions)'
+          ? (previousEffectiveness * 100).toFixed(2) + '% (based on ' + previousCoachingSummary.effectiveness_records + ' of ' + previousCoaching.length + ' sessions)'
           : 'No effectiveness data',
         top_behaviors: prevTopBehaviors
       },
@@ -932,7 +924,20 @@ export async function processSnapshotData(params) {
           ? ((currentEffectiveness - previousEffectiveness) * 100).toFixed(2) + ' points'
           : 'N/A'
       }
-    }
+    },
+    values: buildSnapshotValues({
+      currentValue: currentAvg,
+      previousValue: previousAvg,
+      direction: metricDefinition.direction,
+      currentGoal,
+      previousGoal,
+      programsCount,
+      currentSessions,
+      previousSessions,
+      currentEffectiveness,
+      previousEffectiveness,
+      coachingLag: coachingLagMetadata
+    })
   };
   
   // Log final output structure for debugging
@@ -952,17 +957,17 @@ export async function processSnapshotData(params) {
   // Get available months for records matching other filters (to help debug month mismatch)
   const recordsMatchingOtherFilters = (allBehavioralCoaching || []).filter(item => {
     const clientMatch = effectiveClients.includes(item.client);
-    const orgMatch = normalizeString(item.amplifai_org) === normalizeString(params.organization);
-    const amplifaiMetricMatch = normalizeString(item.amplifai_metric) === normalizedMetricName;
-    const metricFieldMatch = normalizeString(item.metric) === normalizedMetricName;
+    const orgMatch = isOrganization(item.amplifai_org);
+    const amplifaiMetricMatch = isMetric(item.amplifai_metric);
+    const metricFieldMatch = isMetric(item.metric);
     const metricMatch = amplifaiMetricMatch || metricFieldMatch;
-    const yearMatch = item.year === params.year;
-    return clientMatch && orgMatch && metricMatch && yearMatch;
+    return clientMatch && orgMatch && metricMatch;
   });
-  const availableMonths = [...new Set(recordsMatchingOtherFilters.map(r => r.month))].sort();
+  const availableMonths = [...new Set(recordsMatchingOtherFilters.map(recordPeriodLabel))]
+    .sort((a, b) => periodLabelKey(a).localeCompare(periodLabelKey(b)));
   const monthDistribution = {};
-  availableMonths.forEach(month => {
-    monthDistribution[month] = recordsMatchingOtherFilters.filter(r => r.month === month).length;
+  availableMonths.forEach(label => {
+    monthDistribution[label] = recordsMatchingOtherFilters.filter(r => recordPeriodLabel(r) === label).length;
   });
   
   // Add debug info to response (always show for debugging)
@@ -981,10 +986,12 @@ export async function processSnapshotData(params) {
       clients: params.clients,
       organization: params.organization,
       metric_name: params.metric_name,
-      normalized_metric_name: normalizedMetricName,
-      current_coaching_months: currentCoachingPeriod,
-      previous_coaching_months: previousCoachingPeriod,
-      year: params.year
+      resolved_organization: organizationId,
+      resolved_metric: metricDefinition.id,
+      current_periods: currentPeriod,
+      previous_periods: previousPeriod,
+      current_coaching_periods: currentCoachingPeriod,
+      previous_coaching_periods: previousCoachingPeriod
     },
     current_coaching_records: currentCoaching.length,
     previous_coaching_records: previousCoaching.length,
@@ -999,8 +1006,13 @@ export async function processSnapshotData(params) {
       month: allBehavioralCoaching[0].month,
       year: allBehavioralCoaching[0].year
     } : null,
+    query_plan: describePlan(queryPlan),
     test_message: 'DEBUG_INFO_IS_WORKING'
   };
+  if (useCache) {
+    result.cache = { hit: false, key: cacheKey, data_version: dataVersion, force_refresh: forceRefresh };
+  }
+  result.timings = snapshotTimings();
   
   logger.info('Debug info added to result:', JSON.stringify(result.debug_info, null, 2));
   logger.info('Result keys:', Object.keys(result));
@@ -1008,3 +1020,419 @@ export async function processSnapshotData(params) {
   return result;
 }
 
+/**
+ * Client disclosure for snapshot_metadata: requested vs used clients, the supplement rules that
+ * matched the selection, and how many compared rows each client contributed
+ *
+ * @param {Object} clientSources - resolveSnapshotClients result
+ * @param {Array} metricRows - monthly_metrics rows in the compared periods
+ * @param {Array} coachingRows - behavioral_coaching rows in the two coaching windows
+ * @returns {Object} { requested, used, include_supplemental, supplements, supplemented, clients_with_rows, rows_by_client }
+ */
+function describeClientSources(clientSources, metricRows, coachingRows) {
+  const rowsByClient = Object.fromEntries(clientSources.used.map(client => [client, {
+    metric_rows: metricRows.filter(row => row.client === client).length,
+    coaching_rows: coachingRows.filter(row => row.client === client).length
+  }]));
+  return {
+    ...clientSources,
+    supplemented: clientSources.used.some(client => !clientSources.requested.includes(client)),
+    clients_with_rows: clientSources.used.filter(client => rowsByClient[client].metric_rows + rowsByClient[client].coaching_rows > 0),
+    rows_by_client: rowsByClient
+  };
+}
+
+/**
+ * Months a snapshot fetches: the compared months plus the lag-analysis history ending at the last
+ * current month, and coaching for every candidate lag (0-MAX_LAG_MONTHS) of those months
+ * @returns {{lagHistoryPeriods: Array, metricPeriods: Array, coachingPeriods: Array}}
+ */
+function snapshotPlanPeriods(currentPeriod, previousPeriod) {
+  const lastCurrentPeriod = [...currentPeriod].sort((a, b) => periodKey(a).localeCompare(periodKey(b)))[currentPeriod.length - 1];
+  const lagHistoryPeriods = periodRange(lastCurrentPeriod, DEFAULT_HISTORY_MONTHS);
+  const metricPeriods = [...currentPeriod, ...previousPeriod, ...lagHistoryPeriods];
+  return {
+    lagHistoryPeriods,
+    metricPeriods,
+    coachingPeriods: Array.from({ length: MAX_LAG_MONTHS + 1 }, (_, lag) => metricPeriods.map(p => shiftPeriod(p, -lag))).flat()
+  };
+}
+
+/**
+ * Snapshot of several metrics for the same clients, organization and periods
+ * Metrics and coaching are fetched once for all metrics, then each metric is processed like a
+ * single-metric snapshot over those rows
+ *
+ * @param {Object} params - Request params with metric_names instead of metric_name
+ * @returns {Promise<Object>} { status, multi_metric, snapshot_metadata, metrics: [per-metric results], co_moving_behaviors, debug_info, timings }
+ */
+export async function processMultiMetricSnapshot(params) {
+  const startedAt = Date.now();
+  logger.info('Processing multi-metric snapshot', params);
+  
+  await loadRegistry();
+  const organizationId = resolveOrganization(params.organization);
+  const clientSources = resolveSnapshotClients(params.clients, params.organization, params.include_supplemental === true);
+  // Aliases of the same metric ("NPS", "Chat NPS") collapse to one block
+  const metricIds = [...new Set(params.metric_names.map(name => getMetricDefinition(name).id))];
+  
+  const { current: currentPeriod, previous: previousPeriod } = params.current_periods && params.previous_periods
+    ? { current: params.current_periods, previous: params.previous_periods }
+    : resolveComparisonPeriods(params);
+  
+  // One fetch covering every metric's spellings
+  const { metricPeriods, coachingPeriods } = snapshotPlanPeriods(currentPeriod, previousPeriod);
+  const queryPlan = planSnapshotQueries({
+    clients: clientSources.used,
+    organizationId,
+    metricIds,
+    metricPeriods,
+    coachingPeriods
+  });
+  logger.info('Fetching multi-metric snapshot data', describePlan(queryPlan));
+  const { monthlyMetrics, behavioralCoaching, timings: fetchTimings } = await fetchSnapshotRows(queryPlan);
+  const rows = { monthlyMetrics, behavioralCoaching, timings: { fetch_ms: 0, shared_fetch: true } };
+  
+  const metricResults = await Promise.all(metricIds.map(async metricId => {
+    const { debug_info, timings, ...result } = await processSnapshotData({
+      ...params,
+      metric_name: metricId,
+      current_periods: currentPeriod,
+      previous_periods: previousPeriod
+    }, { rows });
+    return { metric: metricId, ...result };
+  }));
+  
+  const comparable = metricResults.filter(result => result.status !== 'insufficient_data');
+  const coMovingBehaviors = findCoMovingBehaviors(metricResults);
+  logger.info(`Multi-metric snapshot: ${comparable.length} of ${metricIds.length} metrics comparable, ${coMovingBehaviors.length} co-moving behaviors`);
+  
+  return {
+    status: comparable.length > 0 ? 'ok' : 'insufficient_data',
+    multi_metric: true,
+    snapshot_metadata: {
+      demo_mode: metricResults.some(result => result.snapshot_metadata?.demo_mode),
+      clients: params.clients.join(', '),
+      // Rows per client are in each metric's own snapshot_metadata.client_sources
+      client_sources: clientSources,
+      organization: params.organization,
+      metrics: metricIds,
+      comparison: {
+        current_period: formatPeriods(currentPeriod),
+        previous_period: formatPeriods(previousPeriod),
+        current_periods: currentPeriod,
+        previous_periods: previousPeriod
+      }
+    },
+    metrics: metricResults,
+    co_moving_behaviors: coMovingBehaviors,
+    debug_info: {
+      query_plan: describePlan(queryPlan)
+    },
+    timings: {
+      ...fetchTimings,
+      processing_ms: Date.now() - startedAt - fetchTimings.fetch_ms,
+      snapshot_ms: Date.now() - startedAt
+    }
+  };
+}
+
+/**
+ * Behaviors whose coaching moved with the results of two or more metrics
+ * A behavior co-moves with a metric when its sessions rose and the metric improved, or its
+ * sessions fell and the metric declined (improvement follows each metric's direction).
+ * Only behaviors in the top behaviors of both coaching windows are compared, since a behavior
+ * missing from one list may still have had sessions
+ *
+ * @param {Array} metricResults - Per-metric snapshot results
+ * @returns {Array<{behavior: string, metrics: Array}>} Most metrics first, then largest session change
+ */
+function findCoMovingBehaviors(metricResults) {
+  const byBehavior = new Map();
+  
+  metricResults
+    .filter(result => result.status === 'ok' && typeof result.snapshot_metadata.comparison.improved === 'boolean')
+    .forEach(result => {
+      const improved = result.snapshot_metadata.comparison.improved;
+      const previousBehaviors = new Map(result.coaching_activity.previous.top_behaviors.map(b => [b.behavior.toLowerCase(), b]));
+      
+      result.coaching_activity.current.top_behaviors.forEach(current => {
+        const key = current.behavior.toLowerCase();
+        const previous = previousBehaviors.get(key);
+        if (!previous) return;
+        
+        const sessionsChange = current.sessions - previous.sessions;
+        if (sessionsChange === 0 || (sessionsChange > 0) !== improved) return;
+        
+        if (!byBehavior.has(key)) byBehavior.set(key, { behavior: current.behavior, metrics: [] });
+        byBehavior.get(key).metrics.push({
+          metric: result.metric,
+          coaching: sessionsChange > 0 ? 'up' : 'down',
+          result: improved ? 'improved' : 'declined',
+          sessions_change: sessionsChange,
+          sessions_change_pct: previous.sessions > 0 ? Number(((sessionsChange / previous.sessions) * 100).toFixed(1)) : null,
+          metric_change: result.values.change_value,
+          metric_percent_change: result.values.percent_change
+        });
+      });
+    });
+  
+  const totalSessionsChange = (entry) => entry.metrics.reduce((sum, m) => sum + Math.abs(m.sessions_change), 0);
+  return [...byBehavior.values()]
+    .filter(entry => entry.metrics.length >= 2)
+    .sort((a, b) => b.metrics.length - a.metrics.length || totalSessionsChange(b) - totalSessionsChange(a));
+}
+
+// Side-by-side rankings for by-client snapshots: which values column, and whether the metric's
+// direction or simply "more is better" decides the order
+const CLIENT_RANKINGS = {
+  current_value: { column: 'current_value', followsDirection: true },
+  change: { column: 'change_value', followsDirection: true },
+  coaching_sessions: { column: 'current_coaching_sessions', followsDirection: false },
+  coaching_effectiveness: { column: 'current_coaching_effectiveness', followsDirection: false }
+};
+
+/**
+ * Snapshot with each selected client (BPO) kept separate instead of merged into one average
+ * Rows are fetched once for all clients, then each client is processed like a single-client
+ * snapshot over its own rows (supplement rules never apply, so one vendor's data never fills in another's)
+ *
+ * @param {Object} params - Request params (comparison_mode "by_client", two or more clients)
+ * @returns {Promise<Object>} { status, comparison_mode, snapshot_metadata, clients: [per-client results], rankings, debug_info, timings }
+ */
+export async function processClientComparisonSnapshot(params) {
+  const startedAt = Date.now();
+  logger.info('Processing by-client snapshot', params);
+
+  await loadRegistry();
+  const organizationId = resolveOrganization(params.organization);
+  const metricDefinition = getMetricDefinition(params.metric_name);
+  const clients = [...new Set(params.clients)];
+
+  const { current: currentPeriod, previous: previousPeriod } = params.current_periods && params.previous_periods
+    ? { current: params.current_periods, previous: params.previous_periods }
+    : resolveComparisonPeriods(params);
+
+  const { metricPeriods, coachingPeriods } = snapshotPlanPeriods(currentPeriod, previousPeriod);
+  const queryPlan = planSnapshotQueries({
+    clients,
+    organizationId,
+    metricId: metricDefinition.id,
+    metricPeriods,
+    coachingPeriods
+  });
+  logger.info('Fetching by-client snapshot data', describePlan(queryPlan));
+  const { monthlyMetrics, behavioralCoaching, timings: fetchTimings } = await fetchSnapshotRows(queryPlan);
+  const rows = { monthlyMetrics, behavioralCoaching, timings: { fetch_ms: 0, shared_fetch: true } };
+
+  const clientResults = await Promise.all(clients.map(async client => {
+    const { debug_info, timings, ...result } = await processSnapshotData({
+      ...params,
+      clients: [client],
+      current_periods: currentPeriod,
+      previous_periods: previousPeriod
+    }, { rows, supplement: false });
+    return { client, label: clientLabel(client), ...result };
+  }));
+
+  const rankings = rankClients(clientResults, directionSign(metricDefinition.id));
+  clientResults.forEach(result => {
+    result.ranks = Object.fromEntries(Object.entries(rankings).map(([name, ranking]) => [
+      name,
+      ranking.find(entry => entry.client === result.client)?.rank ?? null
+    ]));
+  });
+
+  const comparable = clientResults.filter(result => result.status !== 'insufficient_data');
+  logger.info(`By-client snapshot: ${comparable.length} of ${clients.length} clients comparable`);
+
+  return {
+    status: comparable.length > 0 ? 'ok' : 'insufficient_data',
+    comparison_mode: 'by_client',
+    snapshot_metadata: {
+      demo_mode: clientResults.some(result => result.snapshot_metadata?.demo_mode),
+      clients: clients.join(', '),
+      client_labels: clients.map(clientLabel),
+      organization: params.organization,
+      metric: params.metric_name,
+      comparison: {
+        current_period: formatPeriods(currentPeriod),
+        previous_period: formatPeriods(previousPeriod),
+        current_periods: currentPeriod,
+        previous_periods: previousPeriod,
+        direction: metricDefinition.direction
+      }
+    },
+    clients: clientResults,
+    rankings,
+    debug_info: {
+      query_plan: describePlan(queryPlan)
+    },
+    timings: {
+      ...fetchTimings,
+      processing_ms: Date.now() - startedAt - fetchTimings.fetch_ms,
+      snapshot_ms: Date.now() - startedAt
+    }
+  };
+}
+
+/**
+ * Ranks comparable clients on each CLIENT_RANKINGS value, best first
+ * Clients with equal values share a rank (1, 1, 3); clients without the value are left out
+ *
+ * @param {Array} clientResults - Per-client snapshot results
+ * @param {number} sign - directionSign of the metric (1 higher is better, -1 lower is better)
+ * @returns {Object} { current_value: [{ rank, client, label, value }], change: [...], ... }
+ */
+function rankClients(clientResults, sign) {
+  return Object.fromEntries(Object.entries(CLIENT_RANKINGS).map(([name, { column, followsDirection }]) => {
+    const order = followsDirection ? sign : 1;
+    const ranked = clientResults
+      .filter(result => result.status === 'ok' && typeof result.values?.[column] === 'number')
+      .map(result => ({ client: result.client, label: result.label, value: result.values[column] }))
+      .sort((a, b) => (b.value - a.value) * order);
+
+    let rank = 0;
+    return [name, ranked.map((entry, index) => {
+      if (index === 0 || entry.value !== ranked[index - 1].value) rank = index + 1;
+      return { rank, ...entry };
+    })];
+  }));
+}
+
+/**
+ * Typed numeric model of a snapshot, alongside the display strings in snapshot_metadata and coaching_activity
+ * Keys are the metric_snapshots columns saveSnapshot writes them to; null means not available.
+ * Values are rounded like their display strings (2 decimals, volume change % to 1)
+ *
+ * @param {Object} options
+ * @param {number|null} options.currentValue - Aggregated metric value, current period
+ * @param {number|null} options.previousValue - Aggregated metric value, previous period
+ * @param {string} options.direction - 'higher' or 'lower' is better
+ * @param {Object|null} options.currentGoal - summarizeGoal result for the current period (null when not computed)
+ * @param {Object|null} options.previousGoal - summarizeGoal result for the previous period
+ * @param {number} options.programsCount
+ * @param {number} options.currentSessions - Coaching sessions, current coaching window
+ * @param {number} options.previousSessions - Coaching sessions, previous coaching window
+ * @param {number|null} options.currentEffectiveness - Average effectiveness as a fraction (0.54)
+ * @param {number|null} options.previousEffectiveness
+ * @param {Object} options.coachingLag - { lag_months, mode }
+ * @returns {Object}
+ */
+function buildSnapshotValues({ currentValue, previousValue, direction, currentGoal, previousGoal, programsCount, currentSessions, previousSessions, currentEffectiveness, previousEffectiveness, coachingLag }) {
+  const round = (value, digits = 2) => (value === null || value === undefined || !Number.isFinite(value) ? null : Number(value.toFixed(digits)));
+  const change = currentValue !== null && previousValue !== null ? currentValue - previousValue : null;
+  const goal = (summary, field) => (summary ? round(summary[field]) : null);
+  const goalMonths = (summary, field) => (summary ? summary[field] : 0);
+  
+  return {
+    current_value: round(currentValue),
+    previous_value: round(previousValue),
+    change_value: round(change),
+    percent_change: change !== null && previousValue !== 0 ? round((change / previousValue) * 100) : null,
+    metric_direction: direction,
+    current_goal: goal(currentGoal, 'goal'),
+    previous_goal: goal(previousGoal, 'goal'),
+    current_gap_to_goal: goal(currentGoal, 'gap'),
+    previous_gap_to_goal: goal(previousGoal, 'gap'),
+    current_percent_of_goal: goal(currentGoal, 'percentOfGoal'),
+    previous_percent_of_goal: goal(previousGoal, 'percentOfGoal'),
+    current_months_with_goal: goalMonths(currentGoal, 'monthsWithGoal'),
+    previous_months_with_goal: goalMonths(previousGoal, 'monthsWithGoal'),
+    current_months_at_or_above_goal: goalMonths(currentGoal, 'monthsAtOrAboveGoal'),
+    previous_months_at_or_above_goal: goalMonths(previousGoal, 'monthsAtOrAboveGoal'),
+    current_months_meeting_goal: goalMonths(currentGoal, 'monthsMeetingGoal'),
+    previous_months_meeting_goal: goalMonths(previousGoal, 'monthsMeetingGoal'),
+    current_programs_count: programsCount,
+    current_coaching_sessions: currentSessions,
+    previous_coaching_sessions: previousSessions,
+    coaching_volume_change: currentSessions - previousSessions,
+    coaching_volume_change_pct: previousSessions > 0 ? round(((currentSessions - previousSessions) / previousSessions) * 100, 1) : null,
+    // Effectiveness is stored in percent (54.00), like its display string
+    current_coaching_effectiveness: currentEffectiveness !== null ? round(currentEffectiveness * 100) : null,
+    previous_coaching_effectiveness: previousEffectiveness !== null ? round(previousEffectiveness * 100) : null,
+    coaching_effectiveness_change: currentEffectiveness !== null && previousEffectiveness !== null
+      ? round((currentEffectiveness - previousEffectiveness) * 100)
+      : null,
+    lag_months: coachingLag.lag_months,
+    lag_mode: coachingLag.mode
+  };
+}
+
+/**
+ * Describes what data exists for a client/org/metric selection when a snapshot can't be built:
+ * what was missing, which months have metric and coaching rows, and the nearest comparison that would work
+ *
+ * @param {Object} options
+ * @param {Array<string>} options.clients - Effective clients (after supplementing)
+ * @param {Array} options.missing - { dataset, period, periods, period_label } entries that came back empty
+ * @param {number} options.lagMonths - Coaching lag used for the request
+ * @param {number} options.step - Months to move the comparison per attempt (3 for quarters)
+ * @param {Array} options.fetchedMetrics - Rows already loaded, used if the options query fails
+ * @param {Array} options.fetchedCoaching - Rows already loaded, used if the options query fails
+ * @returns {Promise<Object>} { message, missing, metric_months, coaching_months, nearest_valid_periods }
+ */
+async function describeDataAvailability({ clients, organizationId, metricId, metricName, currentPeriod, previousPeriod, lagMonths, step, missing, fetchedMetrics, fetchedCoaching }) {
+  // Row counts per { year, month } across every year, not just the ones fetched for this request
+  let rows;
+  try {
+    rows = await getDataAvailability({ clients, organizationId, metricId });
+  } catch (error) {
+    logger.warn(`Could not load data availability, using the fetched rows only: ${error.message}`);
+    rows = [
+      ...fetchedMetrics.map(row => ({ year: row.year, month: row.month, metric_rows: 1, coaching_rows: 0 })),
+      ...fetchedCoaching.map(row => ({ year: row.year, month: row.month, metric_rows: 0, coaching_rows: 1 }))
+    ];
+  }
+  
+  const metricCounts = {};
+  const coachingCounts = {};
+  rows.forEach(row => {
+    const month = normalizeMonth(row.month);
+    if (!month) return;
+    const period = { year: Number(row.year), month };
+    const key = periodKey(period);
+    [[metricCounts, row.metric_rows], [coachingCounts, row.coaching_rows]].forEach(([counts, n]) => {
+      if (!n) return;
+      if (!counts[key]) counts[key] = { ...period, rows: 0 };
+      counts[key].rows += Number(n);
+    });
+  });
+  const sortedMonths = (counts) => Object.keys(counts).sort().map(key => counts[key]);
+  
+  // Move both windows together until every month has metric rows and either window has lagged coaching
+  const hasMetrics = (periods) => periods.every(p => metricCounts[periodKey(p)]);
+  const hasCoaching = (periods) => periods.some(p => coachingCounts[periodKey(shiftPeriod(p, -lagMonths))]);
+  let nearest = null;
+  for (let distance = 1; distance <= 24 && !nearest; distance++) {
+    for (const shift of [-distance * step, distance * step]) {
+      const current = currentPeriod.map(p => shiftPeriod(p, shift));
+      const previous = previousPeriod.map(p => shiftPeriod(p, shift));
+      if (hasMetrics(current) && hasMetrics(previous) && (hasCoaching(current) || hasCoaching(previous))) {
+        nearest = {
+          shift_months: shift,
+          current_period: formatPeriods(current),
+          previous_period: formatPeriods(previous),
+          current_periods: current,
+          previous_periods: previous
+        };
+        break;
+      }
+    }
+  }
+  
+  const datasetLabels = { monthly_metrics: `${metricName} results`, behavioral_coaching: 'coaching' };
+  const message = `Not enough data for ${metricName} (${organizationId}, ${clients.join(', ')}): ` +
+    missing.map(item => `no ${datasetLabels[item.dataset]} for ${item.period_label} (${item.period})`).join('; ') +
+    (nearest
+      ? `. Nearest period with data: ${nearest.current_period} vs ${nearest.previous_period}`
+      : '. No nearby period has enough data');
+  
+  return {
+    message,
+    missing,
+    metric_months: sortedMonths(metricCounts),
+    coaching_months: sortedMonths(coachingCounts),
+    nearest_valid_periods: nearest
+  };
+}
@@ -1,117 +1,415 @@
-import { supabase } from '../config/database.js';
+import { supabase, requireDatabase } from '../config/database.js';
 import { logger } from '../utils/logger.js';
+import { loadRegistry, resolveOrganization, resolveMetric } from './registry.js';
+import { describeLag } from '../utils/periods.js';
+import { NARRATIVE_PRESETS } from './narrativePresets.js';
+
+// Numeric columns copied from the processor's typed `values` model
+const VALUE_COLUMNS = [
+  'current_value', 'previous_value', 'change_value', 'percent_change', 'metric_direction',
+  'current_goal', 'previous_goal', 'current_gap_to_goal', 'previous_gap_to_goal',
+  'current_percent_of_goal', 'previous_percent_of_goal',
+  'current_months_with_goal', 'previous_months_with_goal',
+  'current_months_at_or_above_goal', 'previous_months_at_or_above_goal',
+  'current_months_meeting_goal', 'previous_months_meeting_goal',
+  'current_programs_count', 'current_coaching_sessions', 'previous_coaching_sessions',
+  'coaching_volume_change', 'coaching_volume_change_pct',
+  'current_coaching_effectiveness', 'previous_coaching_effectiveness', 'coaching_effectiveness_change',
+  'lag_months', 'lag_mode'
+];
+
+/**
+ * Columns saveSnapshot writes and their types (migrations/create_metric_snapshots_table.sql)
+ * type: string | number | integer | boolean | string[] | json; `values` restricts to a fixed set
+ */
+export const SNAPSHOT_RECORD_SCHEMA = {
+  clients: { type: 'string[]', required: true },
+  amplifai_org: { type: 'string', required: true },
+  amplifai_metric: { type: 'string', required: true },
+  comparison_type: { type: 'string', required: true, values: ['month', 'quarter', 'rolling', 'yoy'] },
+  current_period_label: { type: 'string', required: true },
+  previous_period_label: { type: 'string', required: true },
+  year: { type: 'integer', required: true },
+  lag_months: { type: 'integer' },
+  lag_mode: { type: 'string', values: ['default', 'fixed', 'auto'] },
+  current_value: { type: 'number' },
+  previous_value: { type: 'number' },
+  change_value: { type: 'number' },
+  percent_change: { type: 'number' },
+  metric_direction: { type: 'string', values: ['higher', 'lower'] },
+  current_goal: { type: 'number' },
+  previous_goal: { type: 'number' },
+  current_gap_to_goal: { type: 'number' },
+  previous_gap_to_goal: { type: 'number' },
+  current_percent_of_goal: { type: 'number' },
+  previous_percent_of_goal: { type: 'number' },
+  current_months_with_goal: { type: 'integer' },
+  previous_months_with_goal: { type: 'integer' },
+  current_months_at_or_above_goal: { type: 'integer' },
+  previous_months_at_or_above_goal: { type: 'integer' },
+  current_months_meeting_goal: { type: 'integer' },
+  previous_months_meeting_goal: { type: 'integer' },
+  current_programs_count: { type: 'integer' },
+  current_coaching_sessions: { type: 'integer' },
+  previous_coaching_sessions: { type: 'integer' },
+  coaching_volume_change: { type: 'integer' },
+  coaching_volume_change_pct: { type: 'number' },
+  current_coaching_effectiveness: { type: 'number' },
+  previous_coaching_effectiveness: { type: 'number' },
+  coaching_effectiveness_change: { type: 'number' },
+  current_top_behaviors: { type: 'json' },
+  previous_top_behaviors: { type: 'json' },
+  ai_summary: { type: 'string' },
+  narrative_preset: { type: 'string' },
+  narrative_preset_version: { type: 'integer' },
+  prompt_template: { type: 'string' },
+  prompt_template_version: { type: 'integer' },
+  is_demo: { type: 'boolean', required: true },
+  cache_key: { type: 'string' },
+  data_version: { type: 'string' },
+  result_payload: { type: 'json' },
+  created_by: { type: 'string', required: true }
+};
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  'string[]': (value) => Array.isArray(value) && value.every(item => typeof item === 'string'),
+  json: (value) => typeof value === 'object'
+};
+
+/**
+ * Validates a metric_snapshots record against SNAPSHOT_RECORD_SCHEMA
+ * @param {Object} record
+ * @throws {Error} Listing every invalid or unknown column
+ */
+export function validateSnapshotRecord(record) {
+  const problems = [];
+  
+  Object.entries(SNAPSHOT_RECORD_SCHEMA).forEach(([column, rule]) => {
+    const value = record[column];
+    if (value === null || value === undefined) {
+      if (rule.required) problems.push(`${column} is required`);
+      return;
+    }
+    if (!TYPE_CHECKS[rule.type](value)) {
+      problems.push(`${column} must be ${rule.type === 'integer' ? 'an integer' : `a ${rule.type}`} (got ${JSON.stringify(value)})`);
+    } else if (rule.values && !rule.values.includes(value)) {
+      problems.push(`${column} must be one of: ${rule.values.join(', ')} (got ${JSON.stringify(value)})`);
+    }
+  });
+  
+  Object.keys(record)
+    .filter(column => !SNAPSHOT_RECORD_SCHEMA[column])
+    .forEach(column => problems.push(`${column} is not a metric_snapshots column`));
+  
+  if (problems.length > 0) {
+    throw new Error(`Invalid snapshot record: ${problems.join('; ')}`);
+  }
+}
+
+/**
+ * Maps a snapshot result to a metric_snapshots record
+ * Numbers come from the processor's typed `values`, never from the display strings
+ *
+ * @param {Object} snapshotData - processSnapshotData result (with ai_summary and cache)
+ * @param {Object} params - Request params
+ * @returns {Object} Record for metric_snapshots
+ */
+export function buildSnapshotRecord(snapshotData, params) {
+  const { values } = snapshotData;
+  if (!values) {
+    throw new Error('Snapshot has no typed values to save');
+  }
+  
+  const comparison = snapshotData.snapshot_metadata?.comparison || {};
+  const record = {
+    clients: params.clients,
+    // Org and metric are stored under their canonical registry ids
+    amplifai_org: resolveOrganization(params.organization),
+    amplifai_metric: resolveMetric(params.metric_name),
+    comparison_type: params.comparison_type,
+    current_period_label: comparison.current_period,
+    previous_period_label: comparison.previous_period,
+    year: params.year,
+    current_top_behaviors: snapshotData.coaching_activity?.current?.top_behaviors || null,
+    previous_top_behaviors: snapshotData.coaching_activity?.previous?.top_behaviors || null,
+    ai_summary: snapshotData.ai_summary || null,
+    narrative_preset: snapshotData.narrative_preset?.id || null,
+    narrative_preset_version: snapshotData.narrative_preset?.version ?? null,
+    prompt_template: snapshotData.prompt_template?.id || null,
+    prompt_template_version: snapshotData.prompt_template?.version ?? null,
+    is_demo: snapshotData.snapshot_metadata?.demo_mode === true,
+    cache_key: snapshotData.cache?.key || null,
+    data_version: snapshotData.cache?.data_version || null,
+    result_payload: snapshotData.cache?.cacheable === false ? null : cachePayload(snapshotData),
+    created_by: 'System'
+  };
+  VALUE_COLUMNS.forEach(column => {
+    record[column] = values[column] ?? null;
+  });
+  
+  return record;
+}
 
 /**
  * Saves snapshot to metric_snapshots table
  * Replicates the "Snapshot" node from n8n workflow
+ *
+ * @returns {Promise<Object>} The saved row
+ * @throws {Error} When the record fails validation or the insert fails
  */
 export async function saveSnapshot(snapshotData, params) {
   logger.debug('Saving snapshot to metric_snapshots table');
   
+  await loadRegistry();
+  const record = buildSnapshotRecord(snapshotData, params);
+  validateSnapshotRecord(record);
+  
+  const { data, error } = await requireDatabase()
+    .from('metric_snapshots')
+    .insert(record)
+    .select()
+    .single();
+  
+  if (error) {
+    throw new Error(`Failed to save snapshot: ${error.message} (code: ${error.code}, hint: ${error.hint || 'none'})`);
+  }
+  
+  logger.info('Snapshot saved successfully');
+  return data;
+}
+
+/**
+ * The part of a snapshot response worth replaying from cache
+ * Timings and cache details describe one request, so they are left out
+ */
+function cachePayload(snapshotData) {
+  const { timings, cache, ...payload } = snapshotData;
+  return payload;
+}
+
+/**
+ * Finds the latest saved snapshot for a cache key built from the same data version
+ * Demo snapshots are never reused
+ *
+ * @param {string} cacheKey - From snapshotCacheKey
+ * @param {string} dataVersion - From snapshotDataVersion
+ * @returns {Promise<Object|null>} { id, created_at, result_payload } or null on a miss (or lookup error)
+ */
+export async function findCachedSnapshot(cacheKey, dataVersion) {
+  // Nothing is cached without a database (DATA_SOURCE=file)
+  if (!supabase) return null;
+  
   try {
-    // Extract percent change number
-    let percentChangeNum = null;
-    if (snapshotData.snapshot_metadata?.comparison?.percent_change && 
-        snapshotData.snapshot_metadata.comparison.percent_change !== 'N/A' && 
-        !snapshotData.snapshot_metadata.comparison.percent_change.includes('previous was 0')) {
-      percentChangeNum = parseFloat(snapshotData.snapshot_metadata.comparison.percent_change.replace('%', ''));
-    }
-    
-    // Parse numeric values
-    const parseValue = (val) => {
-      if (val === 'N/A' || val === null || val === undefined) return null;
-      const num = parseFloat(val);
-      return isNaN(num) ? null : num;
-    };
-    
-    // Extract coaching volume change pct
-    let coachingVolChangePct = null;
-    if (snapshotData.coaching_activity?.change?.coaching_volume_change_pct && 
-        snapshotData.coaching_activity.change.coaching_volume_change_pct !== 'N/A') {
-      coachingVolChangePct = parseFloat(snapshotData.coaching_activity.change.coaching_volume_change_pct.replace('%', ''));
-    }
-    
-    // Extract effectiveness values
-    const parseEffectiveness = (val) => {
-      if (!val || val === 'No effectiveness data') return null;
-      const match = val.match(/^([\d.]+)%/);
-      return match ? parseFloat(match[1]) : null;
-    };
-    
-    // Helper to get amplifai_org from org_mapping
-    const getAmplifaiOrg = (org) => {
-      // For now, just handle UHC variations
-      if (org && (org.includes('UNITED') && org.includes('HEALTH'))) {
-        return 'UHC';
-      }
-      return org;
-    };
-    
-    // Helper to get amplifai_metric from metric_mapping
-    const getAmplifaiMetric = (metric) => {
-      const standardized = {
-        'NPS': ['NPS', 'CHAT NPS', 'IB NPS', 'NPS RATING', 'UES-NPS COMPOSITE SCORE'],
-        'AHT': ['AHT', 'AVERAGE HANDLE TIME', 'AVE HANDLE TIME'],
-        'QA': ['QA', 'QUALITY', 'QA SCORE', 'QUALITY SCORE'],
-        'CSAT': ['CSAT', 'C-SAT', 'CSAT%'],
-        'FCR': ['FCR', 'FIRST CALL RESOLUTION', 'FCR36'],
-        'TRANSFER_RATE': ['TRANSFER RATE', 'TRANSFER%', 'TRANSFERS'],
-        'ATTENDANCE': ['ATTENDANCE', 'ATTENDANCE %', 'RELIABILITY'],
-        'RELEASE_RATE': ['RELEASE RATE', 'RELEASE %']
-      };
-      
-      for (const [standard, variations] of Object.entries(standardized)) {
-        if (variations.some(v => metric && metric.toUpperCase().includes(v))) {
-          return standard;
-        }
-      }
-      return metric; // Return original if no match
-    };
-    
-    const record = {
-      clients: params.clients,
-      amplifai_org: getAmplifaiOrg(params.organization),
-      amplifai_metric: getAmplifaiMetric(params.metric_name),
-      comparison_type: params.comparison_type,
-      current_period_label: snapshotData.snapshot_metadata?.comparison?.current_period || 'N/A',
-      previous_period_label: snapshotData.snapshot_metadata?.comparison?.previous_period || 'N/A',
-      year: params.year,
-      current_value: parseValue(snapshotData.snapshot_metadata?.comparison?.current_value),
-      previous_value: parseValue(snapshotData.snapshot_metadata?.comparison?.previous_value),
-      change_value: parseValue(snapshotData.snapshot_metadata?.comparison?.current_value),
-      percent_change: percentChangeNum,
-      current_programs_count: snapshotData.snapshot_metadata?.programs_count || null,
-      current_coaching_sessions: snapshotData.coaching_activity?.current?.total_coaching_sessions || null,
-      previous_coaching_sessions: snapshotData.coaching_activity?.previous?.total_coaching_sessions || null,
-      coaching_volume_change: snapshotData.coaching_activity?.change?.coaching_volume_change || null,
-      coaching_volume_change_pct: coachingVolChangePct,
-      current_coaching_effectiveness: parseEffectiveness(snapshotData.coaching_activity?.current?.coaching_effectiveness),
-      previous_coaching_effectiveness: parseEffectiveness(snapshotData.coaching_activity?.previous?.coaching_effectiveness),
-      coaching_effectiveness_change: parseValue(snapshotData.coaching_activity?.change?.effectiveness_change?.replace(' points', '')),
-      current_top_behaviors: snapshotData.coaching_activity?.current?.top_behaviors || null,
-      previous_top_behaviors: snapshotData.coaching_activity?.previous?.top_behaviors || null,
-      ai_summary: snapshotData.ai_summary || null,
-      created_by: 'System'
-    };
-    
     const { data, error } = await supabase
       .from('metric_snapshots')
-      .insert(record)
-      .select()
-      .single();
+      .select('id, created_at, result_payload')
+      .eq('cache_key', cacheKey)
+      .eq('data_version', dataVersion)
+      .eq('is_demo', false)
+      .not('result_payload', 'is', null)
+      .order('created_at', { ascending: false })
+      .limit(1);
     
     if (error) {
-      logger.error('Failed to save snapshot', error);
-      // Don't throw - just log the error
+      // Missing cache columns (migration not run) just means no caching
+      logger.warn('Snapshot cache lookup failed; generating a fresh snapshot', error);
       return null;
     }
     
-    logger.info('Snapshot saved successfully');
-    return data;
+    return data?.[0] || null;
     
   } catch (error) {
-    logger.error('Error saving snapshot', error);
+    logger.warn('Error looking up cached snapshot', error);
     return null;
   }
 }
 
+/**
+ * Response for a cache hit: the saved result, with the saved row's id in snapshot_id like a freshly
+ * saved snapshot, so /api/snapshots/:id finds what was served
+ *
+ * @param {Object} cached - From findCachedSnapshot
+ * @param {Object} cache - { key, data_version } of the request
+ */
+export function cachedSnapshotResponse(cached, cache) {
+  return {
+    ...cached.result_payload,
+    snapshot_id: cached.id,
+    cache: { hit: true, ...cache, force_refresh: false, snapshot_id: cached.id, cached_at: cached.created_at }
+  };
+}
+
+// Columns for history listings (everything except the large payload and top behaviors)
+const HISTORY_COLUMNS = 'id, created_at, clients, amplifai_org, amplifai_metric, comparison_type, current_period_label, previous_period_label, year, current_value, previous_value, percent_change, metric_direction, lag_months, lag_mode, current_coaching_sessions, previous_coaching_sessions, narrative_preset, narrative_preset_version, prompt_template, prompt_template_version, is_demo, cache_key';
+
+export const HISTORY_PAGE_SIZE = 50;
+export const MAX_HISTORY_PAGE_SIZE = 200;
+
+/**
+ * Lists saved snapshots, newest first
+ *
+ * @param {Object} filters
+ * @param {string} filters.organization - Organization (any registry alias)
+ * @param {string} filters.metric - Metric (any registry alias)
+ * @param {Array<string>} filters.clients - Snapshots covering all of these clients
+ * @param {string} filters.period - Current or previous period label, e.g. "Jan 2025" or "Q1 2025"
+ * @param {number} filters.year - Year the current period ends in
+ * @param {string} filters.from - Created on or after (ISO date)
+ * @param {string} filters.to - Created on or before (ISO date; a bare date includes that whole day)
+ * @param {boolean} filters.includeDemo - Include demo snapshots (default false)
+ * @param {number} filters.limit
+ * @param {number} filters.offset
+ * @returns {Promise<{snapshots: Array, total: number, limit: number, offset: number}>}
+ */
+export async function listSnapshots({ organization, metric, clients, period, year, from, to, includeDemo = false, limit = HISTORY_PAGE_SIZE, offset = 0 } = {}) {
+  await loadRegistry();
+  
+  let query = requireDatabase()
+    .from('metric_snapshots')
+    .select(HISTORY_COLUMNS, { count: 'exact' });
+  
+  if (organization) query = query.eq('amplifai_org', resolveOrganization(organization));
+  if (metric) query = query.eq('amplifai_metric', resolveMetric(metric));
+  if (clients?.length) query = query.contains('clients', clients);
+  if (period) {
+    const label = `"${String(period).replace(/"/g, '\\"')}"`;
+    query = query.or(`current_period_label.eq.${label},previous_period_label.eq.${label}`);
+  }
+  if (year) query = query.eq('year', year);
+  if (from) query = query.gte('created_at', from);
+  if (to) query = query.lte('created_at', /^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to);
+  if (!includeDemo) query = query.eq('is_demo', false);
+  
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+  
+  if (error) {
+    throw new Error(`Failed to list snapshots: ${error.message}`);
+  }
+  
+  return {
+    snapshots: (data || []).map(row => ({ ...row, cached: !!row.cache_key })),
+    total: count ?? (data || []).length,
+    limit,
+    offset
+  };
+}
+
+/**
+ * Loads one saved snapshot in the same shape /api/snapshot returns
+ * Snapshots saved before result_payload existed are rebuilt from their columns
+ *
+ * @param {string|number} id - metric_snapshots id
+ * @returns {Promise<Object|null>} Snapshot response with a `history` block, or null if not found
+ */
+export async function getSavedSnapshot(id) {
+  const { data, error } = await requireDatabase()
+    .from('metric_snapshots')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+  
+  if (error) {
+    throw new Error(`Failed to load snapshot ${id}: ${error.message}`);
+  }
+  if (!data) return null;
+  
+  const snapshot = data.result_payload || rebuildSnapshot(data);
+  return {
+    ...snapshot,
+    history: {
+      snapshot_id: data.id,
+      created_at: data.created_at,
+      source: data.result_payload ? 'saved_result' : 'rebuilt_from_columns'
+    }
+  };
+}
+
+/**
+ * Rebuilds the dashboard JSON from metric_snapshots columns (values formatted like processSnapshotData)
+ * Detail only kept in the full result (program breakdown, lag analysis, debug info) is absent
+ */
+function rebuildSnapshot(row) {
+  const fixed = (value, suffix = '') => value === null || value === undefined ? 'N/A' : Number(value).toFixed(2) + suffix;
+  // Recomputed rather than read from change_value, which older rows saved as the current value
+  const hasValues = row.current_value !== null && row.previous_value !== null;
+  const change = hasValues ? Number(row.current_value) - Number(row.previous_value) : null;
+  const effectiveness = (value) => value === null || value === undefined ? 'No effectiveness data' : fixed(value, '%');
+  // Only the lag is stored, so the coaching windows are described relative to the compared periods
+  const coachingLabel = (periodLabel) => row.lag_months
+    ? `${describeLag(row.lag_months)} before ${periodLabel}`
+    : periodLabel;
+  
+  return {
+    status: row.is_demo ? 'demo' : 'ok',
+    snapshot_metadata: {
+      demo_mode: row.is_demo === true,
+      clients: (row.clients || []).join(', '),
+      organization: row.amplifai_org,
+      metric: row.amplifai_metric,
+      comparison: {
+        current_period: row.current_period_label,
+        previous_period: row.previous_period_label,
+        current_value: fixed(row.current_value),
+        previous_value: fixed(row.previous_value),
+        change: fixed(change),
+        percent_change: fixed(row.percent_change, '%'),
+        direction: row.metric_direction,
+        improved: change !== null && change !== 0 && row.metric_direction
+          ? (row.metric_direction === 'lower' ? change < 0 : change > 0)
+          : null,
+        current_goal: fixed(row.current_goal),
+        previous_goal: fixed(row.previous_goal),
+        current_gap_to_goal: fixed(row.current_gap_to_goal),
+        previous_gap_to_goal: fixed(row.previous_gap_to_goal),
+        current_percent_of_goal: fixed(row.current_percent_of_goal, '%'),
+        previous_percent_of_goal: fixed(row.previous_percent_of_goal, '%'),
+        current_months_at_or_above_goal: row.current_months_at_or_above_goal,
+        previous_months_at_or_above_goal: row.previous_months_at_or_above_goal,
+        current_months_meeting_goal: row.current_months_meeting_goal,
+        previous_months_meeting_goal: row.previous_months_meeting_goal,
+        current_months_with_goal: row.current_months_with_goal,
+        previous_months_with_goal: row.previous_months_with_goal
+      },
+      programs_count: row.current_programs_count,
+      coaching_lag: row.lag_months !== null && row.lag_months !== undefined
+        ? { lag_months: row.lag_months, mode: row.lag_mode }
+        : undefined
+    },
+    coaching_activity: {
+      current: {
+        period_label: coachingLabel(row.current_period_label),
+        total_coaching_sessions: row.current_coaching_sessions || 0,
+        coaching_effectiveness: effectiveness(row.current_coaching_effectiveness),
+        top_behaviors: row.current_top_behaviors || []
+      },
+      previous: {
+        period_label: coachingLabel(row.previous_period_label),
+        total_coaching_sessions: row.previous_coaching_sessions || 0,
+        coaching_effectiveness: effectiveness(row.previous_coaching_effectiveness),
+        top_behaviors: row.previous_top_behaviors || []
+      },
+      change: {
+        coaching_volume_change: row.coaching_volume_change ?? 0,
+        coaching_volume_change_pct: row.coaching_volume_change_pct !== null && row.coaching_volume_change_pct !== undefined
+          ? Number(row.coaching_volume_change_pct).toFixed(1) + '%'
+          : 'N/A',
+        effectiveness_change: row.coaching_effectiveness_change !== null && row.coaching_effectiveness_change !== undefined
+          ? Number(row.coaching_effectiveness_change).toFixed(2) + ' points'
+          : 'N/A'
+      }
+    },
+    ai_summary: row.ai_summary,
+    narrative_preset: row.narrative_preset
+      ? { id: row.narrative_preset, version: row.narrative_preset_version, label: NARRATIVE_PRESETS[row.narrative_preset]?.label ?? row.narrative_preset }
+      : undefined,
+    prompt_template: row.prompt_template
+      ? { id: row.prompt_template, version: row.prompt_template_version }
+      : undefined
+  };
+}
@@ -12,6 +12,7 @@ import { logger } from '../utils/logger.js';
  * @param {number} options.year - Year to query (default: 2025)
  * @param {number} options.limit - Maximum number of stories to generate (default: 5)
  * @param {boolean} options.saveToDatabase - Whether to save stories to database (default: true)
+ * @param {string} options.aggregation - Aggregation mode for program averages (default: 'mean')
  * @returns {Promise<Array>} Array of generated stories
  */
 export async function generateHighPerformerStories(options = {}) {
@@ -19,13 +20,14 @@ export async function generateHighPerformerStories(options = {}) {
     year = 2025,
     limit = 5,
     saveToDatabase = true,
+    aggregation = 'mean',
   } = options;
   
   logger.info(`Starting story generation for year ${year}, limit ${limit}`);
   
   try {
     // 1. Query for high performers
-    const performers = await getHighPerformers(year, limit * 2); // Get more than needed for filtering
+    const performers = await getHighPerformers(year, limit * 2, { aggregation }); // Get more than needed for filtering
     
     if (!performers || performers.length === 0) {
       logger.warn('No high performers found');
@@ -82,11 +84,17 @@ export async function generateHighPerformerStories(options = {}) {
             months_above_goal: performer.months_above_goal,
             pct_above_goal: performer.pct_above_goal,
             months_tracked: performer.months_tracked,
+            aggregation_method: performer.aggregation_method || aggregation,
           },
           coaching_summary: coachingData,
           generated_content: storyContent.content,
+          prompt_template: storyContent.prompt_template.id,
+          prompt_template_version: storyContent.prompt_template.version,
           source_query: 'high_performers',
-          data_quality_notes: `Based on ${performer.total_months} months of data, ${performer.pct_above_goal}% above goal`,
+          data_quality_notes: `Based on ${performer.total_months} months of data, ${performer.pct_above_goal}% meeting goal` +
+            (storyContent.verification?.status === 'mismatch'
+              ? `; fact check: unverified ${storyContent.verification.mismatches.map(m => m.text).join(', ')}`
+              : ''),
         };
         
         // 6. Save to database
@@ -99,6 +107,7 @@ export async function generateHighPerformerStories(options = {}) {
           ...storyRecord,
           tokens_used: storyContent.tokens_used,
           model: storyContent.model,
+          verification: storyContent.verification,
         });
         
         // Small delay to avoid rate limiting
@@ -1,4 +1,4 @@
-import { supabase } from '../config/database.js';
+import { requireDatabase } from '../config/database.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -11,7 +11,7 @@ export async function saveStory(storyRecord) {
   logger.debug(`Saving story for ${storyRecord.organization}/${storyRecord.program}`);
   
   try {
-    const { data, error } = await supabase
+    const { data, error } = await requireDatabase()
       .from('story_log')
       .insert({
         story_type: storyRecord.story_type,
@@ -22,6 +22,8 @@ export async function saveStory(storyRecord) {
         performance_summary: storyRecord.performance_summary,
         coaching_summary: storyRecord.coaching_summary,
         generated_content: storyRecord.generated_content,
+        prompt_template: storyRecord.prompt_template,
+        prompt_template_version: storyRecord.prompt_template_version,
         source_query: storyRecord.source_query,
         data_quality_notes: storyRecord.data_quality_notes,
       })
@@ -53,7 +55,7 @@ export async function saveStory(storyRecord) {
 export async function getStories(filters = {}) {
   const { story_type, organization, limit = 50 } = filters;
   
-  let query = supabase
+  let query = requireDatabase()
     .from('story_log')
     .select('*')
     .order('generation_date', { ascending: false })
@@ -0,0 +1,127 @@
+/**
+ * Metric aggregation helpers
+ * Collapses monthly_metrics rows (one per program-month) into a single value for a period
+ */
+
+export const AGGREGATION_MODES = ['mean', 'weighted', 'median', 'goal_ratio'];
+
+export const DEFAULT_AGGREGATION = 'mean';
+
+// Columns tried, in order, when weighting rows; the first one populated on the rows wins
+export const WEIGHT_COLUMNS = ['volume', 'headcount'];
+
+const isNumber = (v) => v !== null && v !== undefined && v !== '' && !isNaN(Number(v));
+
+/**
+ * Parses the aggregation request value
+ * @param {string|undefined} value - One of AGGREGATION_MODES, or empty for the default
+ * @returns {string} Aggregation mode
+ */
+export function parseAggregationMode(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_AGGREGATION;
+  const mode = String(value).trim().toLowerCase();
+  if (!AGGREGATION_MODES.includes(mode)) {
+    throw new Error(`aggregation must be one of: ${AGGREGATION_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * Parses the weight_column request value
+ * @returns {string|null} null means "first of WEIGHT_COLUMNS present on the rows"
+ */
+export function parseWeightColumn(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const column = String(value).trim().toLowerCase();
+  if (!WEIGHT_COLUMNS.includes(column)) {
+    throw new Error(`weight_column must be one of: ${WEIGHT_COLUMNS.join(', ')}`);
+  }
+  return column;
+}
+
+/**
+ * Picks the weight column to use for a set of rows
+ * @returns {string|null} Column name, or null if no candidate has a positive value on any row
+ */
+export function detectWeightColumn(rows, preferred = null) {
+  const candidates = preferred ? [preferred] : WEIGHT_COLUMNS;
+  return candidates.find(column => rows.some(r => isNumber(r[column]) && Number(r[column]) > 0)) || null;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+/**
+ * Aggregates a numeric field across rows
+ *
+ * Modes:
+ * - mean:       simple average of every row
+ * - weighted:   average weighted by the volume/headcount column (falls back to mean when no row has one)
+ * - median:     middle row value
+ * - goal_ratio: average of actual / goal × 100 per row, so the result is percent of goal
+ *
+ * @param {Array} rows - monthly_metrics rows
+ * @param {string} mode - One of AGGREGATION_MODES
+ * @param {Object} options
+ * @param {string} options.field - Column to aggregate (default: 'actual'; ignored for goal_ratio)
+ * @param {string|null} options.weightColumn - Force a weight column instead of auto-detecting
+ * @returns {{value: number|null, mode: string, weight_column: string|null, rows_used: number, fallback: string|null}}
+ */
+export function aggregateMetric(rows, mode = DEFAULT_AGGREGATION, options = {}) {
+  const { field = 'actual', weightColumn = null } = options;
+  const result = { value: null, mode, weight_column: null, rows_used: 0, fallback: null };
+
+  if (mode === 'goal_ratio') {
+    const ratios = (rows || [])
+      .filter(r => isNumber(r.actual) && isNumber(r.goal) && Number(r.goal) !== 0)
+      .map(r => (Number(r.actual) / Number(r.goal)) * 100);
+    result.rows_used = ratios.length;
+    result.value = ratios.length > 0 ? ratios.reduce((a, b) => a + b, 0) / ratios.length : null;
+    return result;
+  }
+
+  const valid = (rows || []).filter(r => isNumber(r[field]));
+  result.rows_used = valid.length;
+  if (valid.length === 0) return result;
+  const values = valid.map(r => Number(r[field]));
+
+  if (mode === 'median') {
+    result.value = median(values);
+    return result;
+  }
+
+  if (mode === 'weighted') {
+    const column = detectWeightColumn(valid, weightColumn);
+    const weighted = column ? valid.filter(r => isNumber(r[column]) && Number(r[column]) > 0) : [];
+    const totalWeight = weighted.reduce((sum, r) => sum + Number(r[column]), 0);
+    if (totalWeight > 0) {
+      result.weight_column = column;
+      result.rows_used = weighted.length;
+      result.value = weighted.reduce((sum, r) => sum + Number(r[field]) * Number(r[column]), 0) / totalWeight;
+      return result;
+    }
+    result.fallback = `No ${weightColumn || WEIGHT_COLUMNS.join('/')} values on these rows; used simple mean`;
+  }
+
+  result.value = values.reduce((a, b) => a + b, 0) / values.length;
+  return result;
+}
+
+/**
+ * Human-readable aggregation method, e.g. "weighted by volume", "median", "percent of goal"
+ */
+export function describeAggregation(mode, weightColumn = null) {
+  switch (mode) {
+    case 'weighted':
+      return weightColumn ? `weighted by ${weightColumn}` : 'simple mean (no weight column available)';
+    case 'median':
+      return 'median';
+    case 'goal_ratio':
+      return 'percent of goal';
+    default:
+      return 'simple mean';
+  }
+}
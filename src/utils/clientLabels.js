@@ -0,0 +1,42 @@
+/**
+ * Generic client (BPO) labels
+ * Real vendor names stay in the data and API requests; anything shown to end clients or written
+ * into case studies uses BPO 1/2/3 instead. The dashboard's clientNameMap uses the same labels.
+ */
+
+// Keyed by upper-cased client name
+export const CLIENT_LABELS = {
+  ALORICA: 'BPO 1',
+  TP: 'BPO 2',
+  TTEC: 'BPO 3'
+};
+
+/**
+ * Generic label for one client name ("TTEC" -> "BPO 3"); unknown names are returned unchanged
+ */
+export function clientLabel(name) {
+  if (!name) return name;
+  return CLIENT_LABELS[String(name).trim().toUpperCase()] || name;
+}
+
+/**
+ * Generic labels for a client list, given as an array or a comma-separated string
+ * @returns {string} e.g. "BPO 2, BPO 3"
+ */
+export function clientLabelList(clients) {
+  if (!clients) return clients;
+  const names = Array.isArray(clients) ? clients : String(clients).split(',');
+  return names.map(name => clientLabel(String(name).trim())).join(', ');
+}
+
+/**
+ * Replaces whole-word client names in free text with their generic labels
+ * TP is matched case-sensitively so words like "tp" in other contexts are left alone
+ */
+export function genericizeClientNames(text) {
+  if (!text) return text;
+  return String(text)
+    .replace(/\bAlorica\b/gi, CLIENT_LABELS.ALORICA)
+    .replace(/\bTP\b/g, CLIENT_LABELS.TP)
+    .replace(/\bTTEC\b/gi, CLIENT_LABELS.TTEC);
+}
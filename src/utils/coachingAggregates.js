@@ -0,0 +1,106 @@
+/**
+ * Coaching rollups for a snapshot's current and previous coaching windows
+ * JavaScript twin of get_snapshot_aggregates (migrations/create_snapshot_aggregates_function.sql);
+ * test/snapshotAggregates.test.js checks both produce identical output
+ */
+
+import { matchesPeriods } from './periods.js';
+
+export const TOP_BEHAVIORS = 5;
+export const TOP_SUB_BEHAVIORS = 3;
+
+// Same normalization as snapshot_normalize_name and the registry: case and extra whitespace ignored
+const normalizeName = (value) => String(value ?? '').trim().replace(/\s+/g, ' ').toUpperCase();
+
+// Row order for tie-breaking: numeric ids in number order, text or uuid ids compared as strings
+const byId = (a, b) => String(a.id).localeCompare(String(b.id), undefined, { numeric: true });
+
+/**
+ * Case-insensitive behavior key plus its title-case display name
+ * "active  LISTENING " -> { key: "active  listening", display: "Active Listening" }
+ */
+export function behaviorKey(behavior) {
+  const trimmed = String(behavior ?? '').trim();
+  return {
+    key: trimmed.toLowerCase(),
+    display: trimmed
+      .split(/\s+/)
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+      .join(' ')
+  };
+}
+
+/**
+ * Sums by key, then ranks by total descending with ties in first-seen order (rows are in id order)
+ */
+function rankedTotals(rows, keyOf, limit) {
+  const totals = new Map();
+  rows.forEach(row => {
+    const key = keyOf(row);
+    totals.set(key, (totals.get(key) || 0) + row.sessions);
+  });
+  return [...totals.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit);
+}
+
+/**
+ * Rolls up one coaching window
+ * @param {Array} rows - Matching behavioral_coaching rows in id order
+ * @returns {{total_sessions: number, records: number, effectiveness_records: number, effectiveness_avg: number|null, behaviors: Array}}
+ */
+function summarizeWindow(rows) {
+  const sessions = rows.map(row => ({ ...row, sessions: Number(row.coaching_count) || 0 }));
+  const withEffectiveness = rows.filter(row => row.effectiveness_pct !== null && row.effectiveness_pct !== undefined);
+  const behaviorRows = sessions.filter(row => row.behavior);
+
+  const behaviors = rankedTotals(behaviorRows, row => behaviorKey(row.behavior).key, TOP_BEHAVIORS)
+    .map(([key, total]) => {
+      const subBehaviorRows = behaviorRows.filter(row => row.sub_behavior && behaviorKey(row.behavior).key === key);
+      return {
+        key,
+        behavior: behaviorKey(key).display,
+        sessions: total,
+        sub_behaviors: rankedTotals(subBehaviorRows, row => row.sub_behavior, TOP_SUB_BEHAVIORS)
+          .map(([subBehavior, subTotal]) => ({ sub_behavior: subBehavior, sessions: subTotal }))
+      };
+    });
+
+  return {
+    total_sessions: sessions.reduce((sum, row) => sum + row.sessions, 0),
+    records: rows.length,
+    effectiveness_records: withEffectiveness.length,
+    effectiveness_avg: withEffectiveness.length > 0
+      ? withEffectiveness.reduce((sum, row) => sum + Number(row.effectiveness_pct), 0) / withEffectiveness.length
+      : null,
+    behaviors
+  };
+}
+
+/**
+ * Filters coaching rows to the selection and rolls up the current and previous windows
+ *
+ * @param {Array} rows - behavioral_coaching rows (any selection, any order; sorted by id here)
+ * @param {Object} options
+ * @param {Array<string>} options.clients - Clients to include
+ * @param {Array<string>} options.organizations - Organization id and aliases
+ * @param {Array<string>} options.metrics - Metric id and aliases (matched on amplifai_metric or metric)
+ * @param {Array<{year: number, month: string}>} options.currentPeriods - Current coaching window
+ * @param {Array<{year: number, month: string}>} options.previousPeriods - Previous coaching window
+ * @returns {{current: Object, previous: Object}}
+ */
+export function aggregateCoachingWindows(rows, { clients, organizations, metrics, currentPeriods, previousPeriods }) {
+  const organizationNames = new Set(organizations.map(normalizeName));
+  const metricNames = new Set(metrics.map(normalizeName));
+  const selected = [...rows]
+    .sort(byId)
+    .filter(row => clients.includes(row.client) &&
+      organizationNames.has(normalizeName(row.amplifai_org)) &&
+      ((row.amplifai_metric && metricNames.has(normalizeName(row.amplifai_metric))) ||
+        (row.metric && metricNames.has(normalizeName(row.metric)))));
+
+  return {
+    current: summarizeWindow(selected.filter(row => matchesPeriods(row, currentPeriods))),
+    previous: summarizeWindow(selected.filter(row => matchesPeriods(row, previousPeriods)))
+  };
+}
@@ -0,0 +1,283 @@
+/**
+ * Dataset bundles: a filtered copy of the app's tables written as JSON or CSV files, plus a
+ * manifest with each file's row count, column types and sha256 checksum
+ * Used by scripts/dataset.js (export, verify, restore) and readable by the file data source.
+ */
+
+import { createHash } from 'node:crypto';
+import { readFile, writeFile, mkdir, access } from 'node:fs/promises';
+import { join } from 'node:path';
+
+export const BUNDLE_FORMAT = 'brand-snapshot-dataset';
+// Bump when the manifest or file layout changes; readers reject newer versions
+export const BUNDLE_VERSION = 1;
+export const MANIFEST_FILE = 'manifest.json';
+export const BUNDLE_FILE_FORMATS = ['json', 'csv'];
+export const DATASET_TABLES = ['monthly_metrics', 'behavioral_coaching', 'wonky_data', 'story_log', 'metric_snapshots'];
+
+const TIMESTAMP_RE = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/;
+
+const sha256 = (content) => createHash('sha256').update(content).digest('hex');
+
+/**
+ * Postgres type for a column from its values: bigint, numeric, boolean, text, timestamptz, text[] or jsonb
+ * Columns with no values are text; mixed values fall back to jsonb so nothing is lost
+ */
+function inferType(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  if (present.length === 0) return 'text';
+  if (present.every(value => typeof value === 'boolean')) return 'boolean';
+  if (present.every(value => typeof value === 'number')) return present.every(Number.isInteger) ? 'bigint' : 'numeric';
+  if (present.every(value => typeof value === 'string')) return present.every(value => TIMESTAMP_RE.test(value)) ? 'timestamptz' : 'text';
+  if (present.every(value => Array.isArray(value) && value.every(item => typeof item === 'string'))) return 'text[]';
+  return 'jsonb';
+}
+
+/**
+ * Columns of a set of rows in first-seen order, with inferred types
+ * @returns {Array<{name: string, type: string}>}
+ */
+export function inferColumns(rows) {
+  const names = [];
+  rows.forEach(row => Object.keys(row).forEach(name => {
+    if (!names.includes(name)) names.push(name);
+  }));
+  return names.map(name => ({ name, type: inferType(rows.map(row => row[name])) }));
+}
+
+// CSV: null is an empty unquoted field, the empty string is "", arrays and JSON are JSON text
+const csvCell = (value, type) => {
+  if (value === null || value === undefined) return '';
+  const text = type === 'jsonb' || type === 'text[]' ? JSON.stringify(value) : String(value);
+  return text === '' || /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Rows as CSV with a header line
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.map(column => csvCell(column.name, 'text')).join(',')];
+  rows.forEach(row => lines.push(columns.map(column => csvCell(row[column.name], column.type)).join(',')));
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Splits CSV text into records of { value, quoted } fields (quoted fields may contain newlines)
+ */
+function parseCsvRecords(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let inQuotes = false;
+
+  const endField = () => {
+    record.push({ value: field, quoted });
+    field = '';
+    quoted = false;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+      quoted = true;
+    } else if (ch === ',') {
+      endField();
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endField();
+      records.push(record);
+      record = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || quoted || record.length > 0) {
+    endField();
+    records.push(record);
+  }
+  return records;
+}
+
+const fromCsvCell = ({ value, quoted }, type) => {
+  if (value === '' && !quoted) return null;
+  if (type === 'bigint' || type === 'numeric') return Number(value);
+  if (type === 'boolean') return value === 'true';
+  if (type === 'jsonb' || type === 'text[]') return JSON.parse(value);
+  return value;
+};
+
+/**
+ * Parses CSV written by toCsv back into typed rows
+ * @param {string} text
+ * @param {Array<{name: string, type: string}>} columns - From the manifest
+ */
+export function fromCsv(text, columns) {
+  const [header, ...records] = parseCsvRecords(text);
+  const types = Object.fromEntries(columns.map(column => [column.name, column.type]));
+  const names = (header || []).map(field => field.value);
+  return records.map(record => Object.fromEntries(names.map((name, i) => [name, fromCsvCell(record[i] || { value: '', quoted: false }, types[name])])));
+}
+
+/**
+ * Writes a bundle: one file per table plus manifest.json
+ *
+ * @param {string} dir - Output directory (created if missing)
+ * @param {Object} options
+ * @param {Object<string, Array>} options.tables - Rows by table name
+ * @param {string} options.format - 'json' or 'csv'
+ * @param {Object} options.filters - The export filters, recorded in the manifest
+ * @param {string|null} options.asOf - Cutoff date for timestamped tables, recorded in the manifest
+ * @param {string} options.source - Where the rows came from (e.g. 'supabase')
+ * @returns {Promise<Object>} The manifest
+ */
+export async function writeBundle(dir, { tables, format = 'json', filters = {}, asOf = null, source = 'supabase' }) {
+  if (!BUNDLE_FILE_FORMATS.includes(format)) {
+    throw new Error(`format must be one of: ${BUNDLE_FILE_FORMATS.join(', ')}`);
+  }
+  await mkdir(dir, { recursive: true });
+
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    created_at: new Date().toISOString(),
+    as_of: asOf,
+    source,
+    filters,
+    tables: {}
+  };
+
+  for (const [table, rows] of Object.entries(tables)) {
+    const columns = inferColumns(rows);
+    const file = `${table}.${format}`;
+    const content = format === 'csv' ? toCsv(rows, columns) : JSON.stringify(rows, null, 2) + '\n';
+    await writeFile(join(dir, file), content, 'utf8');
+    manifest.tables[table] = { file, format, rows: rows.length, sha256: sha256(content), columns };
+  }
+
+  await writeFile(join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+  return manifest;
+}
+
+/**
+ * Whether a directory holds a bundle (has a manifest.json)
+ */
+export async function isBundle(dir) {
+  try {
+    await access(join(dir, MANIFEST_FILE));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Reads a bundle, checking its format, version, checksums and row counts
+ * @param {string} dir
+ * @returns {Promise<{manifest: Object, tables: Object<string, Array>}>}
+ * @throws {Error} Listing every file that is missing, changed or miscounted
+ */
+export async function readBundle(dir) {
+  const manifest = JSON.parse(await readFile(join(dir, MANIFEST_FILE), 'utf8'));
+  if (manifest.format !== BUNDLE_FORMAT) {
+    throw new Error(`${dir} is not a ${BUNDLE_FORMAT} bundle`);
+  }
+  if (!(manifest.version <= BUNDLE_VERSION)) {
+    throw new Error(`Bundle version ${manifest.version} is newer than this tool supports (${BUNDLE_VERSION})`);
+  }
+
+  const tables = {};
+  const problems = [];
+  for (const [table, entry] of Object.entries(manifest.tables || {})) {
+    let content;
+    try {
+      content = await readFile(join(dir, entry.file), 'utf8');
+    } catch {
+      problems.push(`${entry.file} is missing`);
+      continue;
+    }
+    if (sha256(content) !== entry.sha256) {
+      problems.push(`${entry.file} does not match its checksum`);
+      continue;
+    }
+    const rows = entry.format === 'csv' ? fromCsv(content, entry.columns) : JSON.parse(content);
+    if (rows.length !== entry.rows) {
+      problems.push(`${entry.file} has ${rows.length} rows, manifest says ${entry.rows}`);
+      continue;
+    }
+    tables[table] = rows;
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Bundle ${dir} failed verification: ${problems.join('; ')}`);
+  }
+  return { manifest, tables };
+}
+
+const quoteIdent = (name) => `"${String(name).replace(/"/g, '""')}"`;
+const quoteText = (text) => `'${String(text).replace(/'/g, "''")}'`;
+
+/**
+ * SQL literal for a value of a column type
+ */
+function sqlLiteral(value, type) {
+  if (value === null || value === undefined) return 'NULL';
+  if (type === 'bigint' || type === 'numeric') return Number.isFinite(value) ? String(value) : 'NULL';
+  if (type === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (type === 'text[]') return `${quoteText(`{${value.map(item => `"${String(item).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`).join(',')}}`)}::text[]`;
+  if (type === 'jsonb') return `${quoteText(JSON.stringify(value))}::jsonb`;
+  return quoteText(value);
+}
+
+/**
+ * SQL statements that load a bundle into Postgres
+ * Tables are created from the manifest's column types when they don't exist yet (an existing table
+ * keeps its own schema), and serial id sequences are moved past the restored ids
+ *
+ * @param {Object} manifest
+ * @param {Object<string, Array>} tables - Rows by table name (from readBundle)
+ * @param {Object} options
+ * @param {boolean} options.truncate - Delete existing rows from each table first
+ * @param {number} options.batchSize - Rows per INSERT
+ * @returns {Array<string>} Statements, wrapped in BEGIN/COMMIT
+ */
+export function restoreStatements(manifest, tables, { truncate = false, batchSize = 500 } = {}) {
+  const statements = ['BEGIN'];
+
+  Object.entries(manifest.tables).forEach(([table, entry]) => {
+    const rows = tables[table] || [];
+    const columns = entry.columns;
+    if (columns.length === 0) return;
+
+    const definitions = columns.map(column => `${quoteIdent(column.name)} ${column.type}${column.name === 'id' ? ' PRIMARY KEY' : ''}`);
+    statements.push(`CREATE TABLE IF NOT EXISTS ${quoteIdent(table)} (${definitions.join(', ')})`);
+    if (truncate) {
+      statements.push(`DELETE FROM ${quoteIdent(table)}`);
+    }
+
+    const columnList = columns.map(column => quoteIdent(column.name)).join(', ');
+    for (let start = 0; start < rows.length; start += batchSize) {
+      const values = rows.slice(start, start + batchSize)
+        .map(row => `(${columns.map(column => sqlLiteral(row[column.name], column.type)).join(', ')})`);
+      statements.push(`INSERT INTO ${quoteIdent(table)} (${columnList}) VALUES ${values.join(', ')}`);
+    }
+
+    if (columns.some(column => column.name === 'id')) {
+      statements.push(`SELECT setval(pg_get_serial_sequence(${quoteText(table)}, 'id'), (SELECT MAX(id) FROM ${quoteIdent(table)})) ` +
+        `WHERE pg_get_serial_sequence(${quoteText(table)}, 'id') IS NOT NULL AND EXISTS (SELECT 1 FROM ${quoteIdent(table)})`);
+    }
+  });
+
+  statements.push('COMMIT');
+  return statements;
+}
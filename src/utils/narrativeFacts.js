@@ -0,0 +1,166 @@
+/**
+ * Numeric fact-checking for generated narratives
+ * Pulls every number, percentage, month and quarter out of generated text and checks each one against
+ * the data the text was written from (a snapshot result, or a story's performance and coaching summary).
+ */
+
+import { MONTHS, normalizeMonth } from './periods.js';
+
+// Operational fields that carry numbers no narrative should quote
+const SKIP_KEYS = new Set(['cache', 'debug_info', 'timings', 'snapshot_id', 'id', 'key', 'data_version', 'query_plan']);
+
+const MONTH_PATTERN = '(?:Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)';
+const PERIOD_RE = new RegExp(`\\b(?:(${MONTH_PATTERN})|Q([1-4]))\\b(?:,?\\s+((?:19|20)\\d{2})\\b)?`, 'g');
+const YEAR_RE = /\b((?:19|20)\d{2})\b/g;
+const NUMBER_RE = /(?<![\w.])([-+−]?)(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?(\s?%|\s?percent\b)?/g;
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Every number and period mentioned in a text
+ * Years next to a month or quarter belong to that period; numbers in "BPO 1" style labels are names, not claims.
+ *
+ * @param {string} text
+ * @returns {Array<{type: 'number'|'percent'|'period', text: string, value: number|string, decimals?: number}>}
+ */
+export function extractClaims(text = '') {
+  const claims = [];
+  const taken = [];
+  const overlaps = (start, end) => taken.some(([from, to]) => start < to && end > from);
+
+  for (const match of text.matchAll(PERIOD_RE)) {
+    const [raw, month, quarter, year] = match;
+    const name = month ? normalizeMonth(month) : `Q${quarter}`;
+    claims.push({ type: 'period', text: raw, value: year ? `${name} ${year}` : name, index: match.index });
+    taken.push([match.index, match.index + raw.length]);
+  }
+
+  for (const match of text.matchAll(YEAR_RE)) {
+    if (overlaps(match.index, match.index + match[0].length)) continue;
+    claims.push({ type: 'period', text: match[0], value: match[1], index: match.index });
+    taken.push([match.index, match.index + match[0].length]);
+  }
+
+  for (const match of text.matchAll(NUMBER_RE)) {
+    const [raw, sign, digits, fraction = '', percent] = match;
+    if (overlaps(match.index, match.index + raw.length)) continue;
+    if (/BPO\s*$/i.test(text.slice(Math.max(0, match.index - 4), match.index))) continue;
+    const value = Number(`${digits.replace(/,/g, '')}${fraction}`) * (sign && sign !== '+' ? -1 : 1);
+    claims.push({
+      type: percent ? 'percent' : 'number',
+      text: raw.trim(),
+      value,
+      decimals: fraction ? fraction.length - 1 : 0,
+      index: match.index
+    });
+  }
+
+  return claims.sort((a, b) => a.index - b.index).map(({ index, ...claim }) => claim);
+}
+
+/**
+ * Numbers and periods available in the source data
+ * Numeric strings ("76.50", "-28.5%", "54.00% (based on 45 of 54 sessions)") contribute every number in them;
+ * { year, month } objects and period labels contribute their months, quarters and years.
+ *
+ * @param {Object} source
+ * @returns {{numbers: Array<number>, periods: Set<string>}}
+ */
+export function collectFacts(source) {
+  const numbers = [];
+  const periods = new Set();
+
+  const addPeriod = (name, year) => {
+    periods.add(name);
+    if (year) {
+      periods.add(String(year));
+      periods.add(`${name} ${year}`);
+    }
+  };
+
+  const visit = (value) => {
+    if (value === null || value === undefined) return;
+    if (typeof value === 'number') {
+      if (Number.isFinite(value)) numbers.push(value);
+      return;
+    }
+    if (typeof value === 'string') {
+      extractClaims(value).forEach(claim => {
+        if (claim.type === 'period') {
+          const [name, year] = claim.value.split(' ');
+          if (/^\d{4}$/.test(name)) periods.add(name);
+          else addPeriod(name, year);
+        } else {
+          numbers.push(claim.value);
+        }
+      });
+      // "Jan, Feb, Mar 2025": earlier months share the label's trailing year
+      const labelYear = value.match(/\b((?:19|20)\d{2})\s*$/)?.[1];
+      if (labelYear) {
+        extractClaims(value).filter(claim => claim.type === 'period' && !/\d/.test(claim.value))
+          .forEach(claim => addPeriod(claim.value, labelYear));
+      }
+      return;
+    }
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+      return;
+    }
+    if (typeof value === 'object') {
+      const month = normalizeMonth(value.month);
+      if (month && value.year) {
+        addPeriod(month, value.year);
+        const quarter = `Q${Math.floor(MONTHS.indexOf(month) / 3) + 1}`;
+        addPeriod(quarter, value.year);
+      }
+      Object.entries(value).forEach(([key, child]) => {
+        if (!SKIP_KEYS.has(key)) visit(child);
+      });
+    }
+  };
+
+  visit(source);
+  return { numbers, periods };
+}
+
+/**
+ * Whether a claimed number matches a source number, allowing for the claim's rounding, a dropped sign
+ * ("declined 1.5" for a change of -1.50) and ratios written as percentages (0.62 → 62%)
+ */
+function matchesNumber(claim, numbers) {
+  const tolerance = 0.5 * Math.pow(10, -claim.decimals) + 1e-9;
+  const claimed = Math.abs(claim.value);
+  return numbers.some(number => {
+    const candidates = [Math.abs(number)];
+    if (Math.abs(number) <= 1.5) candidates.push(Math.abs(number) * 100);
+    return candidates.some(candidate => Math.abs(round(candidate) - claimed) <= tolerance);
+  });
+}
+
+/**
+ * Checks every number and period in a generated text against its source data
+ *
+ * @param {string} text - Generated narrative
+ * @param {Object} source - Data the narrative was generated from
+ * @returns {{status: 'verified'|'mismatch', checked: number, verified: number, mismatches: Array<Object>}}
+ */
+export function verifyNarrative(text, source) {
+  const claims = extractClaims(text);
+  const facts = collectFacts(source);
+
+  const mismatches = claims.filter(claim => claim.type === 'period'
+    ? !facts.periods.has(claim.value)
+    : !matchesNumber(claim, facts.numbers))
+    .map(claim => ({
+      type: claim.type,
+      text: claim.text,
+      reason: claim.type === 'period' ? 'period not in the source data' : 'number not in the source data'
+    }));
+
+  return {
+    status: mismatches.length === 0 ? 'verified' : 'mismatch',
+    checked: claims.length,
+    verified: claims.length - mismatches.length,
+    mismatches
+  };
+}
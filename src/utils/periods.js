@@ -0,0 +1,233 @@
+/**
+ * Year-aware period helpers
+ * A period is always a { year, month } pair so comparisons can span year boundaries
+ * (e.g. Dec 2024 → Jan 2025, Q4 2024 → Q1 2025)
+ */
+
+export const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+export const QUARTER_MONTHS = {
+  'Q1': ['Jan', 'Feb', 'Mar'],
+  'Q2': ['Apr', 'May', 'Jun'],
+  'Q3': ['Jul', 'Aug', 'Sep'],
+  'Q4': ['Oct', 'Nov', 'Dec']
+};
+
+export const COMPARISON_TYPES = ['month', 'quarter', 'rolling', 'yoy'];
+
+export const MAX_LAG_MONTHS = 3;
+
+const MONTH_ALIASES = {
+  'JAN': 'Jan', 'JANUARY': 'Jan',
+  'FEB': 'Feb', 'FEBRUARY': 'Feb',
+  'MAR': 'Mar', 'MARCH': 'Mar',
+  'APR': 'Apr', 'APRIL': 'Apr',
+  'MAY': 'May',
+  'JUN': 'Jun', 'JUNE': 'Jun',
+  'JUL': 'Jul', 'JULY': 'Jul',
+  'AUG': 'Aug', 'AUGUST': 'Aug',
+  'SEP': 'Sep', 'SEPT': 'Sep', 'SEPTEMBER': 'Sep',
+  'OCT': 'Oct', 'OCTOBER': 'Oct',
+  'NOV': 'Nov', 'NOVEMBER': 'Nov',
+  'DEC': 'Dec', 'DECEMBER': 'Dec'
+};
+
+/**
+ * Normalizes a month name or number to the short form used in the database ("Jan", "Feb", ...)
+ * @param {string|number} month - "Jun", "June", "JUN" or 6
+ * @returns {string|null} Canonical month name, or null if unrecognized
+ */
+export function normalizeMonth(month) {
+  if (month === null || month === undefined || month === '') return null;
+  if (typeof month === 'number' || /^\d+$/.test(String(month).trim())) {
+    const idx = parseInt(month, 10) - 1;
+    return MONTHS[idx] || null;
+  }
+  return MONTH_ALIASES[String(month).trim().toUpperCase()] || null;
+}
+
+/**
+ * Builds a validated { year, month } pair
+ * @returns {{year: number, month: string}}
+ */
+export function toPeriod(year, month) {
+  const y = parseInt(year, 10);
+  const m = normalizeMonth(month);
+  if (isNaN(y) || !m) {
+    throw new Error(`Invalid period: year=${year}, month=${month}`);
+  }
+  return { year: y, month: m };
+}
+
+/**
+ * Shifts a period by a number of months, wrapping across years
+ * @param {{year: number, month: string}} period
+ * @param {number} deltaMonths - Negative values move back in time
+ */
+export function shiftPeriod(period, deltaMonths) {
+  const index = period.year * 12 + MONTHS.indexOf(normalizeMonth(period.month)) + deltaMonths;
+  return { year: Math.floor(index / 12), month: MONTHS[((index % 12) + 12) % 12] };
+}
+
+/**
+ * Returns `count` consecutive periods ending at (and including) `end`, oldest first
+ */
+export function periodRange(end, count) {
+  const periods = [];
+  for (let i = count - 1; i >= 0; i--) {
+    periods.push(shiftPeriod(end, -i));
+  }
+  return periods;
+}
+
+/**
+ * Returns the three periods of a quarter
+ * @param {string} quarter - "Q1".."Q4"
+ * @param {number} year
+ */
+export function quarterPeriods(quarter, year) {
+  const months = QUARTER_MONTHS[String(quarter || '').toUpperCase()];
+  if (!months) {
+    throw new Error(`Invalid quarter: ${quarter}`);
+  }
+  return months.map(month => toPeriod(year, month));
+}
+
+/**
+ * Sortable key for a period (e.g. 2025-01)
+ */
+export function periodKey(period) {
+  const idx = MONTHS.indexOf(normalizeMonth(period.month)) + 1;
+  return `${period.year}-${String(idx).padStart(2, '0')}`;
+}
+
+/**
+ * Checks whether a database row (with year and month columns) falls in any of the periods
+ */
+export function matchesPeriods(row, periods) {
+  const rowMonth = normalizeMonth(row.month);
+  const rowYear = Number(row.year);
+  return periods.some(p => p.year === rowYear && p.month === rowMonth);
+}
+
+/**
+ * Unique years covered by one or more period lists
+ */
+export function periodYears(...periodLists) {
+  return [...new Set(periodLists.flat().map(p => p.year))].sort((a, b) => a - b);
+}
+
+/**
+ * Formats periods for display, grouping months by year
+ * e.g. "Jul 2025", "Jul, Aug, Sep 2025", "Nov, Dec 2024, Jan 2025"
+ */
+export function formatPeriods(periods) {
+  if (!periods || periods.length === 0) return 'N/A';
+  const groups = [];
+  [...periods]
+    .sort((a, b) => periodKey(a).localeCompare(periodKey(b)))
+    .forEach(p => {
+      const last = groups[groups.length - 1];
+      if (last && last.year === p.year) {
+        last.months.push(p.month);
+      } else {
+        groups.push({ year: p.year, months: [p.month] });
+      }
+    });
+  return groups.map(g => `${g.months.join(', ')} ${g.year}`).join(', ');
+}
+
+/**
+ * Resolves the current and previous performance periods for a snapshot request
+ *
+ * Supported comparison types:
+ * - month:   current_month/current_year vs previous_month/previous_year
+ * - quarter: current_quarter/current_year vs previous_quarter/previous_year
+ * - rolling: trailing `window_months` (default 3) ending at current_month/current_year vs the window before it
+ * - yoy:     current_month (or current_quarter) in current_year vs the same month(s) one year earlier
+ *
+ * Explicit `current_periods` / `previous_periods` arrays of { year, month } override the above.
+ * `year` is used as the default for any missing current_year/previous_year.
+ *
+ * @param {Object} params - Snapshot request parameters
+ * @returns {{current: Array<{year: number, month: string}>, previous: Array<{year: number, month: string}>}}
+ */
+export function resolveComparisonPeriods(params) {
+  if (Array.isArray(params.current_periods) && Array.isArray(params.previous_periods)) {
+    const current = params.current_periods.map(p => toPeriod(p.year, p.month));
+    const previous = params.previous_periods.map(p => toPeriod(p.year, p.month));
+    if (current.length === 0 || previous.length === 0) {
+      throw new Error('current_periods and previous_periods must not be empty');
+    }
+    return { current, previous };
+  }
+
+  const currentYear = params.current_year ?? params.year;
+  const previousYear = params.previous_year ?? params.year;
+
+  switch (params.comparison_type) {
+    case 'month':
+      return {
+        current: [toPeriod(currentYear, params.current_month)],
+        previous: [toPeriod(previousYear, params.previous_month)]
+      };
+    case 'quarter':
+      return {
+        current: quarterPeriods(params.current_quarter, currentYear),
+        previous: quarterPeriods(params.previous_quarter, previousYear)
+      };
+    case 'rolling': {
+      const windowMonths = parseInt(params.window_months ?? 3, 10);
+      if (isNaN(windowMonths) || windowMonths < 1 || windowMonths > 12) {
+        throw new Error('window_months must be between 1 and 12');
+      }
+      const end = toPeriod(currentYear, params.current_month);
+      return {
+        current: periodRange(end, windowMonths),
+        previous: periodRange(shiftPeriod(end, -windowMonths), windowMonths)
+      };
+    }
+    case 'yoy': {
+      const current = params.current_quarter
+        ? quarterPeriods(params.current_quarter, currentYear)
+        : [toPeriod(currentYear, params.current_month)];
+      return {
+        current,
+        previous: current.map(p => shiftPeriod(p, -12))
+      };
+    }
+    default:
+      throw new Error(`Invalid comparison_type: ${params.comparison_type}. Use one of: ${COMPARISON_TYPES.join(', ')}`);
+  }
+}
+
+/**
+ * Default coaching-to-performance lag for a comparison type
+ * Quarters look at the preceding quarter; everything else looks one month back
+ */
+export function defaultLagMonths(comparisonType) {
+  return comparisonType === 'quarter' ? 3 : 1;
+}
+
+/**
+ * Parses the lag_months request value
+ * @param {number|string|undefined} value - 0..MAX_LAG_MONTHS, "auto", or empty for the default
+ * @returns {number|'auto'|null} null means "use the default for the comparison type"
+ */
+export function parseLagMonths(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (String(value).trim().toLowerCase() === 'auto') return 'auto';
+  const lag = Number(value);
+  if (!Number.isInteger(lag) || lag < 0 || lag > MAX_LAG_MONTHS) {
+    throw new Error(`lag_months must be an integer from 0 to ${MAX_LAG_MONTHS}, or "auto"`);
+  }
+  return lag;
+}
+
+/**
+ * Human-readable lag, e.g. "same month", "1 month", "3 months"
+ */
+export function describeLag(lagMonths) {
+  if (lagMonths === 0) return 'same month';
+  return `${lagMonths} month${lagMonths === 1 ? '' : 's'}`;
+}
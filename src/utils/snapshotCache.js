@@ -0,0 +1,84 @@
+/**
+ * Snapshot cache helpers
+ * A saved snapshot is reused when the request normalizes to the same cache key and the rows it was
+ * built from (its data version) are unchanged
+ */
+
+import { createHash } from 'node:crypto';
+import { periodKey } from './periods.js';
+
+// Bump when the snapshot result format changes so older saved payloads stop matching
+export const SNAPSHOT_CACHE_VERSION = 2;
+
+const sha256 = (text) => createHash('sha256').update(text).digest('hex');
+
+// JSON with object keys sorted, so column order in the response doesn't change the hash
+export const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Normalized snapshot parameters: everything that changes the result, in a canonical form
+ * Clients are sorted, periods are "YYYY-MM" keys and organization/metric are registry ids,
+ * so "uhc" + ["TTEC", "TP"] and "UHC" + ["TP", "TTEC"] normalize the same
+ *
+ * @param {Object} options
+ * @param {Array<string>} options.clients - Requested clients
+ * @param {Array<string>} options.clientsUsed - Clients whose rows are used (requested plus any supplements)
+ * @param {string} options.organizationId - Canonical organization id
+ * @param {string} options.metricId - Canonical metric id
+ * @param {string} options.direction - Metric direction from the registry
+ * @param {string} options.comparisonType
+ * @param {Array<{year: number, month: string}>} options.currentPeriods
+ * @param {Array<{year: number, month: string}>} options.previousPeriods
+ * @param {number|string|null} options.lagMonths - Requested lag (number, "auto" or null for the default)
+ * @param {string} options.aggregation - Aggregation mode
+ * @param {string|null} options.weightColumn
+ * @param {string} options.narrativePreset - "id@version" of the preset the AI summary is written with
+ * @param {string} options.promptTemplate - "id@version" of the summary prompt template
+ * @returns {Object}
+ */
+export function normalizeSnapshotParams({ clients, clientsUsed, organizationId, metricId, direction, comparisonType, currentPeriods, previousPeriods, lagMonths, aggregation, weightColumn, narrativePreset, promptTemplate }) {
+  return {
+    version: SNAPSHOT_CACHE_VERSION,
+    clients: [...new Set(clients)].sort(),
+    clients_used: [...new Set(clientsUsed || clients)].sort(),
+    organization: organizationId,
+    metric: metricId,
+    direction,
+    comparison_type: comparisonType,
+    current_periods: currentPeriods.map(periodKey).sort(),
+    previous_periods: previousPeriods.map(periodKey).sort(),
+    lag_months: lagMonths ?? 'default',
+    aggregation,
+    weight_column: weightColumn || null,
+    narrative_preset: narrativePreset,
+    prompt_template: promptTemplate
+  };
+}
+
+/**
+ * Cache key for normalized snapshot parameters
+ * @returns {string} sha256 hex
+ */
+export function snapshotCacheKey(normalizedParams) {
+  return sha256(stableStringify(normalizedParams));
+}
+
+/**
+ * Fingerprint of the rows a snapshot is built from; any added, removed or edited row changes it
+ * @param {Array} monthlyMetrics - monthly_metrics rows fetched for the snapshot
+ * @param {Array} behavioralCoaching - behavioral_coaching rows fetched for the snapshot
+ * @returns {string} sha256 hex
+ */
+export function snapshotDataVersion(monthlyMetrics, behavioralCoaching) {
+  const byId = (rows) => [...(rows || [])].sort((a, b) => String(a.id).localeCompare(String(b.id), undefined, { numeric: true }));
+  return sha256(stableStringify({
+    monthly_metrics: byId(monthlyMetrics),
+    behavioral_coaching: byId(behavioralCoaching)
+  }));
+}
@@ -0,0 +1,95 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { PGlite } from '@electric-sql/pglite';
+import { writeBundle, readBundle, restoreStatements, inferColumns } from '../src/utils/datasetBundle.js';
+import { createFileSource } from '../src/dataSources/fileSource.js';
+
+// Bundles must round-trip every value the tables hold (nulls vs empty strings, quotes, arrays, JSON)
+// and refuse to load files that changed after export
+
+let dir;
+
+const tables = {
+  monthly_metrics: [
+    { id: 1, client: 'TP', amplifai_org: 'UHC', amplifai_metric: 'NPS', year: 2025, month: 'Jan', actual: 75.5, goal: 78, notes: 'said "ok", then\nleft' },
+    { id: 2, client: 'TP', amplifai_org: 'UHC', amplifai_metric: 'NPS', year: 2025, month: 'Feb', actual: 80, goal: null, notes: '' }
+  ],
+  wonky_data: [
+    { id: 7, record_id: 2, reviewed: false },
+    { id: 8, record_id: 1, reviewed: true }
+  ],
+  metric_snapshots: [
+    { id: 40, created_at: '2025-03-01T10:00:00+00:00', clients: ['TP', "O'Neil \"Co\""], current_top_behaviors: [{ behavior: 'Empathy', sessions: 3 }], is_demo: false }
+  ]
+};
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dataset-bundle-'));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('column types are inferred from values', () => {
+  assert.deepEqual(inferColumns(tables.metric_snapshots).map(column => column.type), ['bigint', 'timestamptz', 'text[]', 'jsonb', 'boolean']);
+  assert.deepEqual(inferColumns(tables.monthly_metrics).map(column => column.type).slice(6, 9), ['numeric', 'bigint', 'text']);
+});
+
+for (const format of ['json', 'csv']) {
+  test(`${format} bundles round-trip rows and record checksums`, async () => {
+    const out = path.join(dir, format);
+    const manifest = await writeBundle(out, { tables, format, filters: { clients: ['TP'] }, asOf: '2025-03-31' });
+    assert.equal(manifest.tables.monthly_metrics.rows, 2);
+    assert.match(manifest.tables.monthly_metrics.sha256, /^[0-9a-f]{64}$/);
+
+    const bundle = await readBundle(out);
+    assert.deepEqual(bundle.tables, tables);
+    assert.equal(bundle.manifest.as_of, '2025-03-31');
+  });
+}
+
+test('changed files fail verification', async () => {
+  const out = path.join(dir, 'tampered');
+  await writeBundle(out, { tables, format: 'csv' });
+  fs.appendFileSync(path.join(out, 'wonky_data.csv'), '9,1,false\n');
+  await assert.rejects(readBundle(out), /wonky_data\.csv does not match its checksum/);
+});
+
+test('restore statements load the bundle into Postgres', async () => {
+  const db = new PGlite();
+  // An existing table keeps its schema and serial sequence
+  await db.exec('CREATE TABLE metric_snapshots (id BIGSERIAL PRIMARY KEY, created_at TIMESTAMPTZ, clients TEXT[], current_top_behaviors JSONB, is_demo BOOLEAN, ai_summary TEXT)');
+  await db.exec("INSERT INTO metric_snapshots (clients) VALUES ('{old}')");
+
+  const out = path.join(dir, 'restore');
+  await writeBundle(out, { tables, format: 'csv' });
+  const bundle = await readBundle(out);
+  for (const statement of restoreStatements(bundle.manifest, bundle.tables, { truncate: true, batchSize: 1 })) {
+    await db.exec(statement);
+  }
+
+  const metrics = await db.query('SELECT id, actual, goal, notes FROM monthly_metrics ORDER BY id');
+  assert.deepEqual(metrics.rows.map(row => ({ ...row, actual: Number(row.actual) })), [
+    { id: 1, actual: 75.5, goal: 78, notes: 'said "ok", then\nleft' },
+    { id: 2, actual: 80, goal: null, notes: '' }
+  ]);
+
+  const snapshots = await db.query('SELECT id, clients, current_top_behaviors FROM metric_snapshots');
+  assert.deepEqual(snapshots.rows, [{ id: 40, clients: ['TP', "O'Neil \"Co\""], current_top_behaviors: [{ behavior: 'Empathy', sessions: 3 }] }]);
+
+  const next = await db.query("INSERT INTO metric_snapshots (clients) VALUES ('{new}') RETURNING id");
+  assert.equal(next.rows[0].id, 41);
+  await db.close();
+});
+
+test('the file data source reads bundles, including wonky records', async () => {
+  const out = path.join(dir, 'source');
+  await writeBundle(out, { tables, format: 'json' });
+  const source = createFileSource(out);
+  assert.deepEqual((await source.fetchGoalMetrics(2025)).map(row => row.id), [1]);
+  assert.deepEqual(await source.fetchWonkyRecordIds(), [2]);
+});
@@ -0,0 +1,111 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createFileSource } from '../src/dataSources/fileSource.js';
+
+// The file data source must return the rows the Supabase filters would: exact clients, case-insensitive
+// org/metric names (metric on amplifai_metric or metric for coaching), and months in any case or as numbers
+
+let dir;
+
+const plan = {
+  clients: ['TTEC', 'TP'],
+  organizations: ['UHC', 'UNITED HEALTH'],
+  metrics: ['NPS', 'CHAT NPS'],
+  metric_periods: [{ year: 2024, month: 'Dec' }, { year: 2025, month: 'Jan' }],
+  coaching_periods: [{ year: 2024, month: 'Dec' }]
+};
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-source-'));
+  const write = (name, data) => fs.writeFileSync(path.join(dir, name), JSON.stringify(data));
+  write('alorica-2025-Jan.json', {
+    year: 2025,
+    month: 'Jan',
+    monthly_metrics: [
+      { id: 3, client: 'TTEC', amplifai_org: 'uhc', amplifai_metric: 'nps', year: 2025, month: 'JANUARY', actual: 80, goal: 78 },
+      { id: 4, client: 'Alorica', amplifai_org: 'UHC', amplifai_metric: 'NPS', year: 2025, month: 'Jan', actual: 70, goal: 78 },
+      { id: 5, client: 'TP', amplifai_org: 'UHC', amplifai_metric: 'AHT', year: 2025, month: 'Jan', actual: 600, goal: 580 }
+    ],
+    behavioral_coaching: []
+  });
+  write('alorica-2024-Dec.json', {
+    year: 2024,
+    month: 'Dec',
+    monthly_metrics: [
+      { id: 1, client: 'TP', amplifai_org: 'United Health', amplifai_metric: 'Chat NPS', year: 2024, month: 'Dec', actual: 75, goal: 78 },
+      { id: 2, client: 'TP', amplifai_org: 'UHC', amplifai_metric: 'NPS', year: 2024, month: 'Nov', actual: 74, goal: 78 }
+    ],
+    behavioral_coaching: [
+      { id: 10, client: 'TP', amplifai_org: 'UHC', amplifai_metric: null, metric: 'chat nps', year: 2024, month: 'Dec', behavior: 'Empathy', coaching_count: 4 },
+      { id: 11, client: 'TP', program: 'Medicare', amplifai_org: 'UHC', amplifai_metric: 'NPS', metric: 'NPS', year: 2024, month: '12', behavior: 'Empathy', sub_behavior: null, coaching_count: 4, effectiveness_pct: 0.5 },
+      { id: 12, client: 'TTEC', amplifai_org: 'Acme', amplifai_metric: 'NPS', metric: 'NPS', year: 2024, month: 'Dec', behavior: 'Empathy', coaching_count: 4 }
+    ]
+  });
+  write('summary.json', { total_months: 2 });
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('metrics are filtered like the Supabase query', async () => {
+  const source = createFileSource(dir);
+  const { rows } = await source.fetchMonthlyMetrics(plan, 'id, client, month');
+  assert.deepEqual(rows, [
+    { id: 1, client: 'TP', month: 'Dec' },
+    { id: 3, client: 'TTEC', month: 'JANUARY' }
+  ]);
+});
+
+test('coaching matches the metric on either column and numeric months', async () => {
+  const source = createFileSource(dir);
+  const { rows } = await source.fetchBehavioralCoaching(plan, '*');
+  assert.deepEqual(rows.map(row => row.id), [10, 11]);
+});
+
+test('database functions report an error so callers fall back', async () => {
+  const source = createFileSource(dir);
+  const { data, error } = await source.rpc('get_snapshot_aggregates', {});
+  assert.equal(data, null);
+  assert.match(error.message, /not available in the file data source/);
+});
+
+test('goal metrics and program coaching', async () => {
+  const source = createFileSource(dir);
+  assert.deepEqual((await source.fetchGoalMetrics(2025)).map(row => row.id), [3, 4, 5]);
+  assert.deepEqual(await source.fetchWonkyRecordIds(), []);
+  assert.deepEqual(await source.fetchProgramCoaching({ client: 'TP', organization: 'UHC', program: 'Medicare', metric: 'NPS', year: 2024 }), [
+    { behavior: 'Empathy', sub_behavior: null, coaching_count: 4, effectiveness_pct: 0.5 }
+  ]);
+  assert.equal(await source.testConnection(), true);
+  assert.equal(await createFileSource(path.join(dir, 'missing')).testConnection(), false);
+});
+
+test('data availability reads only the selection, across every month', async () => {
+  process.env.DATA_SOURCE = 'file';
+  process.env.LOG_LEVEL = 'error';
+  const { setDataSource } = await import('../src/dataSources/index.js');
+  const { getDataAvailability } = await import('../src/queries/snapshotOptions.js');
+  setDataSource({ ...createFileSource(dir), fetchAllRows: () => assert.fail('read a whole table') });
+  try {
+    const rows = await getDataAvailability({ clients: ['TP'], organizationId: 'UHC', metricId: 'NPS' });
+    assert.deepEqual(rows.map(({ client, year, month, metric_rows, coaching_rows }) => [client, year, month, metric_rows, coaching_rows]), [
+      ['TP', 2024, 'Nov', 1, 0],
+      ['TP', 2024, 'Dec', 1, 2]
+    ]);
+  } finally {
+    setDataSource(null);
+  }
+});
+
+test('Supabase filters match months in any case or as numbers, and names literally', async () => {
+  process.env.DATA_SOURCE = 'file';
+  const { periodFilter, nameFilter } = await import('../src/dataSources/supabaseSource.js');
+  assert.equal(periodFilter(plan.metric_periods),
+    'and(year.eq.2024,or(month.ilike.dec*,month.in.(12))),and(year.eq.2025,or(month.ilike.jan*,month.in.(1,01)))');
+  assert.equal(nameFilter(['amplifai_org'], ['UHC', 'A_B 100%', 'Star*']),
+    'amplifai_org.ilike."UHC",amplifai_org.ilike."A\\\\_B 100\\\\%",amplifai_org.eq."Star*"');
+});
@@ -0,0 +1,149 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+
+// Record/replay end to end: the story pipeline (Content API), the snapshot AI summary and the case-study
+// endpoint (OpenAI-compatible) are recorded against a local stand-in server, then replayed with the
+// server stopped and no credentials, and must produce the same text
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+const bundleDir = path.join(dir, 'bundle');
+const fixtureDir = path.join(dir, 'fixtures');
+
+process.env.DATA_SOURCE = 'file';
+process.env.FALLBACK_DATA_DIR = bundleDir;
+process.env.LLM_FIXTURES_DIR = fixtureDir;
+process.env.LLM_PROVIDER_SUMMARY = 'openai_compatible';
+process.env.LLM_PROVIDER_CASE_STUDY = 'openai_compatible';
+process.env.LLM_PROVIDER_STORY = 'content_api';
+process.env.LLM_MODEL = 'local-model';
+process.env.LOG_LEVEL = 'error';
+
+const { writeBundle } = await import('../src/utils/datasetBundle.js');
+const { generateText } = await import('../src/llmProviders/index.js');
+const { fixtureKey } = await import('../src/llmProviders/fixtureProvider.js');
+const { generateHighPerformerStories } = await import('../src/services/storyGenerator.js');
+const { default: snapshotHandler } = await import('../api/snapshot.js');
+const { default: caseStudyHandler } = await import('../api/case-study.js');
+
+let server;
+const requests = [];
+const recorded = {};
+
+// Answers like the real APIs; replies name what they answer, without numbers the fact check would question
+function startServer() {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      requests.push({ url: req.url, payload });
+      res.setHeader('Content-Type', 'application/json');
+      if (req.url === '/content') {
+        res.end(JSON.stringify({ content: `Story for ${payload.data.program}`, tokens_used: 42, model: 'content-model' }));
+        return;
+      }
+      res.end(JSON.stringify({
+        id: `chatcmpl-${requests.length}`,
+        object: 'chat.completion',
+        model: payload.model,
+        choices: [{ index: 0, message: { role: 'assistant', content: `Reply from ${payload.model} to ${payload.max_tokens === 300 ? 'the summary' : 'the case study'} prompt` }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 }
+      }));
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+const mockResponse = () => ({
+  setHeader() {},
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; },
+  end() { return this; }
+});
+
+const snapshotRequest = {
+  clients: ['TP'], organization: 'UHC', metric_name: 'NPS', comparison_type: 'month',
+  current_month: 'Mar', current_year: 2025, previous_month: 'Feb', previous_year: 2025
+};
+
+// Story, snapshot summary and case study, as the app runs them
+async function runPipeline() {
+  const [story] = await generateHighPerformerStories({ year: 2025, limit: 1, saveToDatabase: false });
+  const snapshot = mockResponse();
+  await snapshotHandler({ method: 'POST', body: snapshotRequest }, snapshot);
+  const caseStudy = mockResponse();
+  await caseStudyHandler({ method: 'POST', body: { snapshotData: snapshot.body } }, caseStudy);
+  return { story, snapshot, caseStudy };
+}
+
+before(async () => {
+  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May'];
+  await writeBundle(bundleDir, {
+    tables: {
+      monthly_metrics: months.map((month, i) => ({ id: i + 1, client: 'TP', amplifai_org: 'UHC', program: 'Medicare', amplifai_metric: 'NPS', metric: 'NPS', year: 2025, month, actual: 80 + i, goal: 78 })),
+      behavioral_coaching: months.flatMap((month, i) => ['Empathy', 'Active Listening'].map((behavior, j) => ({
+        id: 100 + i * 2 + j, client: 'TP', amplifai_org: 'UHC', program: 'Medicare', amplifai_metric: 'NPS', metric: 'NPS',
+        year: 2025, month, behavior, sub_behavior: 'Acknowledge', coaching_count: 10 + i + j * 3, effectiveness_pct: 0.5 + j * 0.1
+      }))),
+      wonky_data: []
+    }
+  });
+});
+
+after(() => {
+  server?.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('record mode calls the providers and writes one fixture per request', async () => {
+  const port = await startServer();
+  process.env.LLM_FIXTURES = 'record';
+  process.env.LLM_BASE_URL = `http://127.0.0.1:${port}/v1`;
+  process.env.CONTENT_API_URL = `http://127.0.0.1:${port}/content`;
+  process.env.CONTENT_API_KEY = 'test-key';
+
+  const { story, snapshot, caseStudy } = await runPipeline();
+  assert.deepEqual(requests.map(request => request.url), ['/content', '/v1/chat/completions', '/v1/chat/completions']);
+  assert.equal(story.generated_content, 'Story for Medicare');
+  assert.equal(snapshot.statusCode, 200);
+  assert.equal(snapshot.body.ai_summary, 'Reply from local-model to the summary prompt');
+  assert.equal(caseStudy.statusCode, 200);
+  assert.equal(caseStudy.body.case_study, 'Reply from local-model to the case study prompt');
+  Object.assign(recorded, { story: story.generated_content, summary: snapshot.body.ai_summary, caseStudy: caseStudy.body.case_study });
+
+  const files = fs.readdirSync(fixtureDir).sort();
+  assert.deepEqual(files.map(file => file.replace(/-[0-9a-f]{16}\.json$/, '')), ['case_study', 'story', 'summary']);
+  const storyFixture = JSON.parse(fs.readFileSync(path.join(fixtureDir, files[1]), 'utf8'));
+  assert.equal(storyFixture.key, fixtureKey('content_api', requests[0].payload));
+  assert.deepEqual(storyFixture.request, requests[0].payload);
+  assert.deepEqual(storyFixture.response, { text: 'Story for Medicare', model: 'content-model', tokens_used: 42 });
+});
+
+test('replay mode answers from fixtures without the server or credentials', async () => {
+  await new Promise(resolve => server.close(resolve));
+  server = null;
+  process.env.LLM_FIXTURES = 'replay';
+  delete process.env.LLM_BASE_URL;
+  delete process.env.CONTENT_API_URL;
+  delete process.env.CONTENT_API_KEY;
+  const callsBefore = requests.length;
+
+  const { story, snapshot, caseStudy } = await runPipeline();
+  assert.equal(requests.length, callsBefore);
+  assert.equal(story.generated_content, recorded.story);
+  assert.equal(story.model, 'content-model');
+  assert.equal(snapshot.body.ai_summary, recorded.summary);
+  assert.equal(caseStudy.body.case_study, recorded.caseStudy);
+});
+
+test('replay fails clearly for a request that was never recorded', async () => {
+  process.env.LLM_FIXTURES = 'replay';
+  await assert.rejects(
+    generateText('case_study', { system: 'sys', prompt: 'a prompt nobody recorded', temperature: 0.5, maxTokens: 10 }),
+    /No case_study fixture for this openai_compatible request .* record it with LLM_FIXTURES=record/
+  );
+});
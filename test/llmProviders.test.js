@@ -0,0 +1,152 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// Provider configuration per use case, and the whole story pipeline offline: the file data source over a
+// bundle plus the template provider, with no database or network
+
+process.env.DATA_SOURCE = 'file';
+process.env.LOG_LEVEL = 'error';
+
+const { resolveLlmConfig, llmConfigurationError, generateText, setLlmProvider } = await import('../src/llmProviders/index.js');
+const { setDataSource } = await import('../src/dataSources/index.js');
+const { createFileSource } = await import('../src/dataSources/fileSource.js');
+const { writeBundle } = await import('../src/utils/datasetBundle.js');
+const { generateHighPerformerStories } = await import('../src/services/storyGenerator.js');
+const { generateAISummary } = await import('../src/services/openaiService.js');
+const { default: snapshotHandler } = await import('../api/snapshot.js');
+
+const LLM_ENV = ['LLM_PROVIDER', 'LLM_PROVIDER_SUMMARY', 'LLM_PROVIDER_STORY', 'LLM_MODEL', 'LLM_MODEL_SUMMARY', 'OPENAI_MODEL', 'OPENAI_API_KEY', 'CONTENT_API_URL', 'CONTENT_API_KEY'];
+const savedEnv = Object.fromEntries(LLM_ENV.map(name => [name, process.env[name]]));
+let dir;
+
+const snapshot = {
+  snapshot_metadata: {
+    organization: 'UHC',
+    metric: 'NPS',
+    comparison: {
+      current_period: 'Mar 2025', previous_period: 'Feb 2025', current_value: '76.50', previous_value: '75.00',
+      change: '1.50', percent_change: '2.00%', improved: true, current_goal: '75.00', current_percent_of_goal: '102.0%'
+    }
+  },
+  coaching_activity: {
+    current: { period_label: 'Feb 2025', total_coaching_sessions: 120, top_behaviors: [{ behavior: 'Empathy', sessions: 70 }, { behavior: 'Active Listening', sessions: 50 }] }
+  }
+};
+
+before(async () => {
+  LLM_ENV.forEach(name => delete process.env[name]);
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-providers-'));
+  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May'];
+  await writeBundle(dir, {
+    tables: {
+      monthly_metrics: months.map((month, i) => ({ id: i + 1, client: 'TP', amplifai_org: 'UHC', program: 'Medicare', amplifai_metric: 'NPS', year: 2025, month, actual: 80 + i, goal: 78 })),
+      behavioral_coaching: [
+        { id: 10, client: 'TP', amplifai_org: 'UHC', program: 'Medicare', amplifai_metric: 'NPS', year: 2025, month: 'Jan', behavior: 'Empathy', sub_behavior: null, coaching_count: 12, effectiveness_pct: 0.6 },
+        { id: 11, client: 'TP', amplifai_org: 'UHC', program: 'Medicare', amplifai_metric: 'NPS', year: 2025, month: 'Feb', behavior: 'Active Listening', sub_behavior: null, coaching_count: 5, effectiveness_pct: 0.5 }
+      ],
+      wonky_data: []
+    }
+  });
+  setDataSource(createFileSource(dir));
+});
+
+afterEach(() => {
+  LLM_ENV.forEach(name => delete process.env[name]);
+  setLlmProvider(null);
+});
+
+after(() => {
+  Object.entries(savedEnv).forEach(([name, value]) => {
+    if (value !== undefined) process.env[name] = value;
+  });
+  setDataSource(null);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('use cases keep their providers and models unless configured', () => {
+  assert.deepEqual(resolveLlmConfig('summary'), { provider: 'openai', model: 'gpt-4o-mini' });
+  assert.deepEqual(resolveLlmConfig('case_study'), { provider: 'openai', model: 'gpt-4o' });
+  assert.deepEqual(resolveLlmConfig('story'), { provider: 'content_api', model: null });
+
+  process.env.OPENAI_MODEL = 'gpt-4.1-mini';
+  process.env.LLM_PROVIDER = 'template';
+  process.env.LLM_PROVIDER_SUMMARY = 'openai_compatible';
+  process.env.LLM_MODEL = 'llama3.1';
+  assert.deepEqual(resolveLlmConfig('summary'), { provider: 'openai_compatible', model: 'gpt-4.1-mini' });
+  assert.deepEqual(resolveLlmConfig('story'), { provider: 'template', model: 'llama3.1' });
+  process.env.LLM_MODEL_SUMMARY = 'qwen2.5';
+  assert.equal(resolveLlmConfig('summary').model, 'qwen2.5');
+
+  process.env.LLM_PROVIDER = 'gemini';
+  assert.throws(() => resolveLlmConfig('story'), /must be one of: openai, openai_compatible, content_api, template/);
+  assert.throws(() => resolveLlmConfig('poem'), /Unknown LLM use case/);
+});
+
+test('unconfigured providers are reported before any call', async () => {
+  assert.equal(llmConfigurationError('summary'), 'OPENAI_API_KEY not configured');
+  assert.equal(await generateAISummary(snapshot), null);
+  await assert.rejects(generateText('story', { prompt: 'x' }), /story uses the content_api provider: CONTENT_API_URL and CONTENT_API_KEY must be set/);
+});
+
+test('summaries return null instead of throwing on a bad provider or prompt configuration', async () => {
+  process.env.LLM_PROVIDER = 'gemini';
+  assert.equal(await generateAISummary(snapshot), null);
+
+  process.env.LLM_PROVIDER = 'template';
+  process.env.PROMPT_VERSION_SNAPSHOT_SUMMARY = '99';
+  try {
+    assert.equal(await generateAISummary(snapshot), null);
+  } finally {
+    delete process.env.PROMPT_VERSION_SNAPSHOT_SUMMARY;
+  }
+});
+
+test('snapshots still return when the summary provider is invalid', async () => {
+  process.env.LLM_PROVIDER = 'bogus';
+  const res = {
+    setHeader() {},
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    end() { return this; }
+  };
+  await snapshotHandler({ method: 'POST', body: {
+    clients: ['TP'], organization: 'UHC', metric_name: 'NPS', comparison_type: 'month',
+    current_month: 'Mar', current_year: 2025, previous_month: 'Feb', previous_year: 2025
+  } }, res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.snapshot_metadata.metric, 'NPS');
+  assert.equal(res.body.ai_summary, null);
+});
+
+test('the template provider writes the same summary for the same snapshot', async () => {
+  process.env.LLM_PROVIDER = 'template';
+  const expected = 'NPS improved from 75.00 in Feb 2025 to 76.50 in Mar 2025 (1.50, 2.00%) for UHC. That is 102.0% of the 75.00 goal. ' +
+    'Feb 2025 coaching totaled 120 sessions, led by Empathy (70 sessions) and Active Listening (50 sessions).';
+  const first = await generateAISummary(snapshot);
+  assert.equal(first.summary, expected);
+  assert.equal(first.verification.status, 'verified');
+  assert.deepEqual(await generateAISummary(snapshot), first);
+});
+
+test('stories generate end to end offline', async () => {
+  process.env.LLM_PROVIDER_STORY = 'template';
+  const stories = await generateHighPerformerStories({ year: 2025, limit: 1, saveToDatabase: false });
+  assert.equal(stories.length, 1);
+  assert.equal(stories[0].model, 'template');
+  assert.equal(stories[0].generated_content,
+    'Medicare at UHC kept NPS at or above goal in 100% of 5 tracked months, averaging 82 against a goal of 78. ' +
+    'Coaching focused on Empathy (12 sessions) and Active Listening (5 sessions).');
+});
+
+test('a stub provider receives the prompt and structured data', async () => {
+  const calls = [];
+  setLlmProvider({ name: 'stub', configurationError: () => null, generate: async (request) => { calls.push(request); return { text: 'ok', model: 'stub-1', tokens_used: 3 }; } });
+  const result = await generateText('case_study', { system: 'sys', prompt: 'write', data: snapshot, temperature: 0.5, maxTokens: 10 });
+  assert.deepEqual(result, { text: 'ok', model: 'stub-1', tokens_used: 3, provider: 'stub' });
+  assert.equal(calls[0].useCase, 'case_study');
+  assert.equal(calls[0].model, 'gpt-4o');
+  assert.equal(calls[0].data, snapshot);
+});
@@ -0,0 +1,89 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Numbers, percentages and periods in generated text are checked against the data they were written from;
+// mismatches are regenerated or flagged, and always reported
+
+process.env.LOG_LEVEL = 'error';
+
+const { extractClaims, verifyNarrative } = await import('../src/utils/narrativeFacts.js');
+const { generateVerifiedText } = await import('../src/services/factChecker.js');
+const { setLlmProvider } = await import('../src/llmProviders/index.js');
+
+const snapshot = {
+  snapshot_metadata: {
+    organization: 'UHC',
+    metric: 'NPS',
+    comparison: {
+      current_period: 'Mar 2025', previous_period: 'Feb 2025', current_value: '76.50', previous_value: '75.00',
+      change: '1.50', percent_change: '2.00%', improved: true
+    }
+  },
+  coaching_activity: { current: { period_label: 'Feb 2025', total_coaching_sessions: 1200, effectiveness: 0.62 } },
+  timings: { total_ms: 431 }
+};
+
+// Replies in order, one per call
+function stubProvider(replies) {
+  const prompts = [];
+  setLlmProvider({
+    name: 'stub',
+    configurationError: () => null,
+    generate: async ({ prompt }) => {
+      prompts.push(prompt);
+      return { text: replies[prompts.length - 1], model: 'stub-1', tokens_used: 1 };
+    }
+  });
+  return prompts;
+}
+
+afterEach(() => {
+  setLlmProvider(null);
+  delete process.env.FACT_CHECK;
+  delete process.env.FACT_CHECK_RETRIES;
+});
+
+test('claims cover numbers, percentages and periods', () => {
+  const claims = extractClaims('BPO 1 coached 1,200 sessions in Q1 2025, up 2.5% since March 2024 and 3 points in 2023.');
+  assert.deepEqual(claims.map(({ type, value }) => [type, value]), [
+    ['number', 1200], ['period', 'Q1 2025'], ['percent', 2.5], ['period', 'Mar 2024'], ['number', 3], ['period', '2023']
+  ]);
+});
+
+test('a narrative quoting the snapshot is verified', () => {
+  const text = 'NPS rose 1.5 points from 75 in Feb 2025 to 76.50 in March 2025 (2%), with 1,200 coaching sessions at 62% effectiveness.';
+  assert.deepEqual(verifyNarrative(text, snapshot), { status: 'verified', checked: 8, verified: 8, mismatches: [] });
+});
+
+test('invented figures, periods and operational numbers are mismatches', () => {
+  const report = verifyNarrative('NPS reached 81.2 in April 2025, up 4% in 431 ms.', snapshot);
+  assert.equal(report.status, 'mismatch');
+  assert.deepEqual(report.mismatches.map(({ type, text }) => [type, text]), [
+    ['number', '81.2'], ['period', 'April 2025'], ['percent', '4%'], ['number', '431']
+  ]);
+});
+
+test('regenerate mode retries with the mismatches pointed out and keeps the corrected draft', async () => {
+  const prompts = stubProvider(['NPS reached 81.2 in Mar 2025.', 'NPS reached 76.50 in Mar 2025.']);
+  const result = await generateVerifiedText('summary', { prompt: 'Summarize.' }, snapshot);
+  assert.equal(result.text, 'NPS reached 76.50 in Mar 2025.');
+  assert.deepEqual(result.verification, { status: 'verified', checked: 2, verified: 2, mismatches: [], attempts: 2, regenerated: true });
+  assert.match(prompts[1], /^Summarize\.\n\nFACT CHECK:\nA previous draft used numbers or periods that are not in the data: 81\.2\./);
+});
+
+test('flag mode reports mismatches without regenerating, and off skips the check', async () => {
+  process.env.FACT_CHECK = 'flag';
+  const prompts = stubProvider(['NPS reached 81.2 in Mar 2025.', 'unused']);
+  const flagged = await generateVerifiedText('summary', { prompt: 'Summarize.' }, snapshot);
+  assert.equal(prompts.length, 1);
+  assert.equal(flagged.verification.status, 'mismatch');
+  assert.deepEqual(flagged.verification.mismatches, [{ type: 'number', text: '81.2', reason: 'number not in the source data' }]);
+  assert.equal(flagged.verification.regenerated, false);
+
+  process.env.FACT_CHECK = 'off';
+  stubProvider(['NPS reached 81.2 in Mar 2025.']);
+  assert.equal((await generateVerifiedText('summary', { prompt: 'Summarize.' }, snapshot)).verification, null);
+
+  process.env.FACT_CHECK = 'strict';
+  await assert.rejects(generateVerifiedText('summary', { prompt: 'Summarize.' }, snapshot), /FACT_CHECK must be one of: regenerate, flag, off/);
+});
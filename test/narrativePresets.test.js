@@ -0,0 +1,90 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Narrative presets pick the audience and tone of summaries and case studies, and are recorded with the result
+
+process.env.DATA_SOURCE = 'file';
+process.env.LOG_LEVEL = 'error';
+process.env.FACT_CHECK = 'off';
+
+const { NARRATIVE_PRESETS, resolveNarrativePreset, narrativePresetKey } = await import('../src/services/narrativePresets.js');
+const { setLlmProvider } = await import('../src/llmProviders/index.js');
+const { generateAISummary } = await import('../src/services/openaiService.js');
+const { buildSnapshotRecord, validateSnapshotRecord } = await import('../src/services/snapshotStorage.js');
+const { default: caseStudyHandler } = await import('../api/case-study.js');
+
+const snapshot = {
+  snapshot_metadata: {
+    organization: 'UHC',
+    metric: 'NPS',
+    comparison: { current_period: 'Mar 2025', previous_period: 'Feb 2025', current_value: '76.50', previous_value: '75.00', change: '1.50', percent_change: '2.00%', current_goal: 'N/A' }
+  },
+  coaching_activity: { current: { period_label: 'Feb 2025', total_coaching_sessions: 120, top_behaviors: [] } },
+  values: { current_value: 76.5, previous_value: 75 }
+};
+
+const mockResponse = () => ({
+  setHeader() {},
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; },
+  end() { return this; }
+});
+
+function stubProvider() {
+  const calls = [];
+  setLlmProvider({ name: 'stub', configurationError: () => null, generate: async (request) => { calls.push(request); return { text: 'Steady results.', model: 'stub-1' }; } });
+  return calls;
+}
+
+afterEach(() => setLlmProvider(null));
+
+test('presets resolve by id, default to client marketing and reject unknown ids', () => {
+  assert.equal(resolveNarrativePreset().id, 'client_marketing');
+  assert.equal(resolveNarrativePreset(' Executive_Brief ').label, 'Executive brief');
+  assert.equal(narrativePresetKey(), 'client_marketing@1');
+  assert.throws(() => resolveNarrativePreset('toString'), /narrative_preset must be one of: client_marketing, internal_ops, executive_brief, qa_compliance/);
+});
+
+test('each preset writes the summary with its own role, tone and temperature', async () => {
+  const calls = stubProvider();
+  for (const id of Object.keys(NARRATIVE_PRESETS)) {
+    const result = await generateAISummary(snapshot, resolveNarrativePreset(id));
+    assert.equal(result.summary, 'Steady results.');
+    assert.equal(result.verification, null);
+  }
+  assert.equal(new Set(calls.map(call => call.prompt)).size, 4);
+  const [marketing, internal, , qa] = calls;
+  assert.match(marketing.prompt, /showcases results in the best possible light[\s\S]*Soften negatives/);
+  assert.match(internal.prompt, /candid summary for the internal operations team[\s\S]*if the metric declined or missed goal, say so/);
+  assert.doesNotMatch(internal.prompt, /Soften negatives|EXAMPLES OF GOOD FRAMING/);
+  assert.match(qa.prompt, /do not claim it caused them/);
+  assert.deepEqual(calls.map(call => call.temperature), [0.7, 0.3, 0.4, 0.2]);
+});
+
+test('case studies default to the snapshot preset and report the preset used', async () => {
+  const calls = stubProvider();
+  const fromSnapshot = mockResponse();
+  await caseStudyHandler({ method: 'POST', body: { snapshotData: { ...snapshot, narrative_preset: { id: 'internal_ops', version: 1 } } } }, fromSnapshot);
+  assert.deepEqual(fromSnapshot.body.narrative_preset, { id: 'internal_ops', version: 1, label: 'Internal ops (candid)' });
+  assert.match(calls[0].prompt, /Write a candid internal case study/);
+  assert.equal(calls[0].system, NARRATIVE_PRESETS.internal_ops.caseStudy.system);
+
+  const requested = mockResponse();
+  await caseStudyHandler({ method: 'POST', body: { snapshotData: snapshot, narrative_preset: 'qa_compliance' } }, requested);
+  assert.equal(requested.body.narrative_preset.id, 'qa_compliance');
+
+  const unknown = mockResponse();
+  await caseStudyHandler({ method: 'POST', body: { snapshotData: snapshot, narrative_preset: 'spin' } }, unknown);
+  assert.equal(unknown.statusCode, 400);
+  assert.equal(calls.length, 2);
+});
+
+test('saved snapshots record the preset id and version', () => {
+  const record = buildSnapshotRecord(
+    { ...snapshot, ai_summary: 'Steady results.', narrative_preset: { id: 'executive_brief', version: 1, label: 'Executive brief' } },
+    { clients: ['TP'], organization: 'UHC', metric_name: 'NPS', comparison_type: 'month', year: 2025 }
+  );
+  assert.equal(record.narrative_preset, 'executive_brief');
+  assert.equal(record.narrative_preset_version, 1);
+  validateSnapshotRecord(record);
+});
@@ -0,0 +1,86 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Prompt templates: declared variables, the rendering engine, version pinning and the id/version recorded
+// with generated text
+
+process.env.DATA_SOURCE = 'file';
+process.env.LOG_LEVEL = 'error';
+process.env.FACT_CHECK = 'off';
+
+const { PROMPT_TEMPLATES, getPromptTemplate, promptTemplateKey, renderPrompt, undeclaredVariables } = await import('../src/prompts/index.js');
+const { renderTemplate, templateVariables } = await import('../src/prompts/engine.js');
+const { setLlmProvider } = await import('../src/llmProviders/index.js');
+const { generateStory } = await import('../src/services/contentAPI.js');
+const { describeMetricDirection } = await import('../src/services/registry.js');
+
+const storyVariables = { metric: 'AHT', goal_side: 'at or below', pct_above_goal: 80, months_above_goal: 4, total_months: 5, metric_direction: 'Lower is better' };
+
+afterEach(() => {
+  delete process.env.PROMPT_VERSION_HIGH_PERFORMER_STORY;
+  setLlmProvider(null);
+});
+
+test('every template declares exactly the variables it uses, once per id and version', () => {
+  const keys = PROMPT_TEMPLATES.map(template => `${template.id}@${template.version}`);
+  assert.equal(new Set(keys).size, keys.length);
+  PROMPT_TEMPLATES.forEach(template => {
+    assert.deepEqual(undeclaredVariables(template), [], `${template.id} v${template.version}`);
+    assert.deepEqual(
+      [...template.variables].sort(),
+      templateVariables(`${template.system || ''}${template.prompt}`).sort(),
+      `${template.id} v${template.version}`
+    );
+  });
+});
+
+test('the engine fills tags and keeps sections only for truthy values', () => {
+  const text = 'A {{name}}.\n{{#extra}}\nExtra: {{extra}}\n{{/extra}}\nEnd';
+  assert.equal(renderTemplate(text, { name: 'x', extra: 'y' }), 'A x.\n\nExtra: y\n\nEnd');
+  assert.equal(renderTemplate(text, { name: 'x', extra: '' }), 'A x.\n\nEnd');
+  assert.equal(renderTemplate('{{n}} of {{n}}', { n: 0 }), '0 of 0');
+  assert.throws(() => renderTemplate('{{#open}} never closed', { open: true }), /Unmatched section tag \{\{#open\}\}/);
+});
+
+test('rendering checks the declared variables', () => {
+  const rendered = renderPrompt('high_performer_story', storyVariables);
+  assert.deepEqual(rendered.template, { id: 'high_performer_story', version: 1 });
+  assert.equal(rendered.system, null);
+  assert.match(rendered.prompt, /across AHT\. The program has maintained performance at or below goal for 80% of tracked months \(4 of 5 months\)\. Lower is better\.$/);
+
+  const { total_months, ...missing } = storyVariables;
+  assert.throws(() => renderPrompt('high_performer_story', missing), /Prompt template high_performer_story v1 is missing variables: total_months/);
+  assert.throws(() => renderPrompt('high_performer_story', { ...storyVariables, tone: 'x' }), /does not declare: tone/);
+  assert.throws(() => renderPrompt('poem', {}), /Unknown prompt template: poem/);
+});
+
+test('the latest version is used unless PROMPT_VERSION_<ID> pins an older one', () => {
+  PROMPT_TEMPLATES.push({ ...getPromptTemplate('high_performer_story'), version: 2, prompt: 'Story v2 about {{metric}}.', variables: ['metric'] });
+  try {
+    assert.equal(promptTemplateKey('high_performer_story'), 'high_performer_story@2');
+    assert.equal(renderPrompt('high_performer_story', { metric: 'AHT' }).prompt, 'Story v2 about AHT.');
+
+    process.env.PROMPT_VERSION_HIGH_PERFORMER_STORY = '1';
+    assert.equal(promptTemplateKey('high_performer_story'), 'high_performer_story@1');
+    assert.deepEqual(renderPrompt('high_performer_story', storyVariables).template, { id: 'high_performer_story', version: 1 });
+
+    process.env.PROMPT_VERSION_HIGH_PERFORMER_STORY = '3';
+    assert.throws(() => getPromptTemplate('high_performer_story'), /PROMPT_VERSION_HIGH_PERFORMER_STORY must be one of: 1, 2/);
+  } finally {
+    PROMPT_TEMPLATES.pop();
+  }
+});
+
+test('generated stories report the template that wrote them', async () => {
+  const calls = [];
+  setLlmProvider({ name: 'stub', configurationError: () => null, generate: async (request) => { calls.push(request); return { text: 'A steady program.', model: 'stub-1' }; } });
+  const story = await generateStory(
+    { organization: 'UHC', program: 'Medicare', amplifai_metric: 'NPS', pct_above_goal: 100, months_above_goal: 5, total_months: 5, avg_goal: 78, avg_actual: 82 },
+    [{ behavior: 'Empathy', total_sessions: 12, avg_effectiveness: 0.6 }]
+  );
+  assert.deepEqual(story.prompt_template, { id: 'high_performer_story', version: 1 });
+  assert.equal(calls[0].prompt, renderPrompt('high_performer_story', {
+    metric: 'NPS', goal_side: 'at or above', pct_above_goal: 100, months_above_goal: 5, total_months: 5,
+    metric_direction: describeMetricDirection('NPS')
+  }).prompt);
+});
@@ -0,0 +1,138 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { PGlite } from '@electric-sql/pglite';
+import { aggregateCoachingWindows } from '../src/utils/coachingAggregates.js';
+
+// get_snapshot_aggregates (SQL) and aggregateCoachingWindows (JavaScript fallback) must agree exactly,
+// including on messy rows: case/whitespace variants, month spellings, alias metrics, nulls and ties
+
+const MIGRATION = new URL('../migrations/create_snapshot_aggregates_function.sql', import.meta.url);
+
+const ROWS = [
+  // Current window (Jan 2025) - behaviors tie on sessions, so first occurrence wins
+  { id: 1, client: 'TTEC', amplifai_org: 'UHC', amplifai_metric: 'NPS', metric: null, year: 2025, month: 'Jan', behavior: 'Empathy', sub_behavior: 'Acknowledge', coaching_count: 10, effectiveness_pct: 0.5 },
+  { id: 2, client: 'TTEC', amplifai_org: 'UHC', amplifai_metric: 'NPS', metric: null, year: 2025, month: 'January', behavior: 'Active Listening', sub_behavior: 'Paraphrase', coaching_count: 6, effectiveness_pct: 0.1 },
+  { id: 3, client: 'TP', amplifai_org: ' united  health ', amplifai_metric: 'nps', metric: null, year: 2025, month: '1', behavior: '  active listening ', sub_behavior: 'Acknowledge', coaching_count: 4, effectiveness_pct: 0.2 },
+  { id: 4, client: 'TP', amplifai_org: 'uhc', amplifai_metric: null, metric: 'Chat NPS', year: 2025, month: 'JAN', behavior: 'EMPATHY', sub_behavior: null, coaching_count: 0, effectiveness_pct: null },
+  { id: 5, client: 'TTEC', amplifai_org: 'UHC', amplifai_metric: 'NPS', metric: null, year: 2025, month: 'Jan', behavior: 'Policy Knowledge', sub_behavior: 'Verify', coaching_count: 3, effectiveness_pct: 0.3 },
+  { id: 6, client: 'TTEC', amplifai_org: 'UHC', amplifai_metric: 'NPS', metric: null, year: 2025, month: 'Jan', behavior: 'Policy Knowledge', sub_behavior: 'Explain', coaching_count: 3, effectiveness_pct: null },
+  { id: 7, client: 'TTEC', amplifai_org: 'UHC', amplifai_metric: 'NPS', metric: null, year: 2025, month: 'Jan', behavior: 'Ownership', sub_behavior: 'Follow Up', coaching_count: 2, effectiveness_pct: 0.7 },
+  { id: 8, client: 'TTEC', amplifai_org: 'UHC', amplifai_metric: 'NPS', metric: null, year: 2025, month: 'Jan', behavior: 'Tone', sub_behavior: 'Warmth', coaching_count: 2, effectiveness_pct: 0.7 },
+  { id: 9, client: 'TTEC', amplifai_org: 'UHC', amplifai_metric: 'NPS', metric: null, year: 2025, month: 'Jan', behavior: 'Brand New Skill', sub_behavior: 'Warmth', coaching_count: 2, effectiveness_pct: 0.3 },
+  { id: 10, client: 'TTEC', amplifai_org: 'UHC', amplifai_metric: 'NPS', metric: null, year: 2025, month: 'Jan', behavior: null, sub_behavior: null, coaching_count: 5, effectiveness_pct: 0.9 },
+  { id: 11, client: 'TTEC', amplifai_org: 'UHC', amplifai_metric: 'NPS', metric: null, year: 2025, month: 'Jan', behavior: 'Empathy', sub_behavior: 'Reassure', coaching_count: null, effectiveness_pct: 0.6 },
+  { id: 12, client: 'TTEC', amplifai_org: 'UHC', amplifai_metric: 'NPS', metric: null, year: 2025, month: 'Jan', behavior: 'Empathy', sub_behavior: 'Validate', coaching_count: 1, effectiveness_pct: 0.4 },
+  // Outside the selection: other client, organization, metric and year
+  { id: 13, client: 'Alorica', amplifai_org: 'UHC', amplifai_metric: 'NPS', metric: null, year: 2025, month: 'Jan', behavior: 'Empathy', sub_behavior: 'Acknowledge', coaching_count: 50, effectiveness_pct: 0.9 },
+  { id: 14, client: 'TTEC', amplifai_org: 'Humana', amplifai_metric: 'NPS', metric: null, year: 2025, month: 'Jan', behavior: 'Empathy', sub_behavior: 'Acknowledge', coaching_count: 50, effectiveness_pct: 0.9 },
+  { id: 15, client: 'TTEC', amplifai_org: 'UHC', amplifai_metric: 'AHT', metric: 'AHT', year: 2025, month: 'Jan', behavior: 'Empathy', sub_behavior: 'Acknowledge', coaching_count: 50, effectiveness_pct: 0.9 },
+  { id: 16, client: 'TTEC', amplifai_org: 'UHC', amplifai_metric: 'NPS', metric: null, year: 2024, month: 'Jan', behavior: 'Empathy', sub_behavior: 'Acknowledge', coaching_count: 50, effectiveness_pct: 0.9 },
+  // Previous window (Nov-Dec 2024)
+  { id: 17, client: 'TTEC', amplifai_org: 'UHC', amplifai_metric: 'NPS', metric: null, year: 2024, month: 'December', behavior: 'empathy', sub_behavior: 'Acknowledge', coaching_count: 8, effectiveness_pct: 0.25 },
+  { id: 18, client: 'TP', amplifai_org: 'UHC', amplifai_metric: 'NPS', metric: null, year: 2024, month: '11', behavior: 'Tone', sub_behavior: 'Warmth', coaching_count: 8, effectiveness_pct: null }
+];
+
+const SELECTION = {
+  clients: ['TTEC', 'TP'],
+  organizations: ['UHC', 'UNITED HEALTH', 'UNITEDHEALTHCARE'],
+  metrics: ['NPS', 'CHAT NPS'],
+  currentPeriods: [{ year: 2025, month: 'Jan' }],
+  previousPeriods: [{ year: 2024, month: 'Nov' }, { year: 2024, month: 'Dec' }]
+};
+
+let db;
+
+before(async () => {
+  db = new PGlite();
+  await db.exec(`
+    CREATE TABLE behavioral_coaching (
+      id BIGINT PRIMARY KEY,
+      client TEXT,
+      amplifai_org TEXT,
+      amplifai_metric TEXT,
+      metric TEXT,
+      year INTEGER,
+      month TEXT,
+      behavior TEXT,
+      sub_behavior TEXT,
+      coaching_count INTEGER,
+      effectiveness_pct NUMERIC
+    );
+  `);
+  for (const row of ROWS) {
+    await db.query(
+      `INSERT INTO behavioral_coaching VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [row.id, row.client, row.amplifai_org, row.amplifai_metric, row.metric, row.year, row.month,
+        row.behavior, row.sub_behavior, row.coaching_count, row.effectiveness_pct]
+    );
+  }
+  await db.exec(fs.readFileSync(MIGRATION, 'utf8'));
+});
+
+after(async () => {
+  await db?.close();
+});
+
+async function aggregateInDatabase(selection) {
+  const { rows } = await db.query(
+    'SELECT get_snapshot_aggregates($1, $2, $3, $4, $5) AS result',
+    [selection.clients, selection.organizations, selection.metrics,
+      JSON.stringify(selection.currentPeriods), JSON.stringify(selection.previousPeriods)]
+  );
+  return rows[0].result;
+}
+
+test('SQL and JavaScript aggregates match', async () => {
+  const database = await aggregateInDatabase(SELECTION);
+  const javascript = aggregateCoachingWindows(ROWS, SELECTION);
+
+  assert.deepEqual(database, javascript);
+});
+
+test('aggregates normalize names, months and behavior spelling', () => {
+  const { current, previous } = aggregateCoachingWindows(ROWS, SELECTION);
+
+  assert.equal(current.records, 12);
+  assert.equal(current.total_sessions, 38);
+  assert.equal(current.effectiveness_records, 10);
+  assert.deepEqual(current.behaviors.map(b => [b.behavior, b.sessions]), [
+    ['Empathy', 11],
+    ['Active Listening', 10],
+    ['Policy Knowledge', 6],
+    ['Ownership', 2],
+    ['Tone', 2]
+  ]);
+  assert.deepEqual(current.behaviors[0].sub_behaviors, [
+    { sub_behavior: 'Acknowledge', sessions: 10 },
+    { sub_behavior: 'Validate', sessions: 1 },
+    { sub_behavior: 'Reassure', sessions: 0 }
+  ]);
+  assert.deepEqual(current.behaviors[2].sub_behaviors.map(s => s.sub_behavior), ['Verify', 'Explain']);
+
+  assert.equal(previous.records, 2);
+  assert.equal(previous.total_sessions, 16);
+  assert.equal(previous.effectiveness_avg, 0.25);
+  assert.deepEqual(previous.behaviors.map(b => b.behavior), ['Empathy', 'Tone']);
+});
+
+test('text ids order rows the same way in any input order', () => {
+  const textIds = ROWS.map(row => ({ ...row, id: `row-${row.id}` })).reverse();
+
+  assert.deepEqual(aggregateCoachingWindows(textIds, SELECTION), aggregateCoachingWindows(ROWS, SELECTION));
+});
+
+test('empty windows match', async () => {
+  const selection = { ...SELECTION, currentPeriods: [{ year: 2026, month: 'Jan' }], previousPeriods: [] };
+  const database = await aggregateInDatabase(selection);
+  const javascript = aggregateCoachingWindows(ROWS, selection);
+
+  assert.deepEqual(database, javascript);
+  assert.deepEqual(javascript.current, {
+    total_sessions: 0,
+    records: 0,
+    effectiveness_records: 0,
+    effectiveness_avg: null,
+    behaviors: []
+  });
+});
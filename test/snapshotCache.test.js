@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Cached snapshots are served like freshly saved ones, under the id /api/snapshots/:id looks up
+
+process.env.DATA_SOURCE = 'file';
+process.env.LOG_LEVEL = 'error';
+
+const { cachedSnapshotResponse } = await import('../src/services/snapshotStorage.js');
+
+test('a cache hit returns the saved row id as snapshot_id', () => {
+  const cached = {
+    id: 42,
+    created_at: '2025-04-02T09:15:00.000Z',
+    result_payload: { snapshot_metadata: { metric: 'NPS' }, ai_summary: 'Steady results.' }
+  };
+  const response = cachedSnapshotResponse(cached, { key: 'abc', data_version: 'v1' });
+
+  assert.equal(response.snapshot_id, 42);
+  assert.equal(response.ai_summary, 'Steady results.');
+  assert.deepEqual(response.cache, {
+    hit: true, key: 'abc', data_version: 'v1', force_refresh: false, snapshot_id: 42, cached_at: '2025-04-02T09:15:00.000Z'
+  });
+});